@@ -0,0 +1,149 @@
+const EventEmitter = require("events");
+const express = require("express");
+const cors = require("cors");
+const { createAuthMiddleware } = require("./middleware/auth");
+const { createParcelService } = require("./services/parcelService");
+const { createPaymentService } = require("./services/paymentService");
+const { createAnalyticsService } = require("./services/analyticsService");
+const { createAuditService } = require("./services/auditService");
+const { createNotificationService } = require("./services/notificationService");
+const { createRealtimeService } = require("./services/realtimeService");
+const { createContactService } = require("./services/contactService");
+const { createGeoService } = require("./services/geoService");
+const { createHubService } = require("./services/hubService");
+const { createEarningsService } = require("./services/earningsService");
+const { createDeliveryProofService } = require("./services/deliveryProofService");
+const { createProviders } = require("./notifications/providers");
+const { createStorage } = require("./storage");
+const { createParcelRouter } = require("./routes/parcels");
+const { createPaymentRouter } = require("./routes/payments");
+const { createRiderRouter } = require("./routes/riders");
+const { createUserRouter } = require("./routes/users");
+const { createAdminRouter } = require("./routes/admin");
+const { createAnalyticsRouter } = require("./routes/analytics");
+const { createExportRouter } = require("./routes/exports");
+const { createRealtimeRouter } = require("./routes/realtime");
+const { createContactRouter } = require("./routes/contacts");
+const { createGeoRouter } = require("./routes/geo");
+const { createHubRouter } = require("./routes/hubs");
+const { createEarningsRouter } = require("./routes/earnings");
+const { createRiderApplicationRouter } = require("./routes/riderApplications");
+const { createDeliveryProofRouter } = require("./routes/deliveryProof");
+const { createDocsRouter } = require("./routes/docs");
+const { buildOpenApiDocument } = require("./openapi");
+const { createResponseContract } = require("./middleware/responseContract");
+const { assertNoDuplicateRoutes } = require("./utils/routeRegistry");
+
+/**
+ * Build the Express app
+ * data: collections from createDataLayer, stripe: Stripe client, firebaseAuth: admin.auth()
+ * notificationProviders: { email, sms } (defaults to the ones picked by environment variables)
+ * fileStorage: where delivery photos and signatures are kept (defaults to the one picked by FILE_STORAGE_PROVIDER)
+ * Background jobs aren't started here - index.js starts them via app.locals once MongoDB is up
+ * Throws if two routers register the same method and path
+ */
+const createApp = ({
+  data,
+  stripe,
+  firebaseAuth,
+  notificationProviders = createProviders(),
+  fileStorage = createStorage(),
+}) => {
+  const app = express();
+
+  // Behind a load balancer, e.g. TRUST_PROXY=1, so req.ip (recorded in audit logs) is the client's address
+  if (process.env.TRUST_PROXY) {
+    app.set("trust proxy", Number(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+  }
+
+  // Middleware
+  app.use(cors());
+  app.use(
+    express.json({
+      // Keep the raw body around for Stripe webhook signature verification
+      verify: (req, res, buf) => {
+        req.rawBody = buf;
+      },
+    })
+  );
+
+  const openApiDocument = buildOpenApiDocument();
+
+  // Development aid: warn when a response doesn't match the OpenAPI document
+  if (process.env.OPENAPI_VALIDATE_RESPONSES === "true") {
+    app.use(createResponseContract(openApiDocument).middleware);
+  }
+
+  // App-wide event bus (parcel lifecycle events)
+  const events = new EventEmitter();
+
+  const auditService = createAuditService({ data });
+  const middleware = createAuthMiddleware({ data, firebaseAuth, auditService });
+  const parcelService = createParcelService({ data, auditService, events });
+  const paymentService = createPaymentService({ data, stripe, parcelService, auditService, events });
+  const analyticsService = createAnalyticsService({ data });
+  const notificationService = createNotificationService({ data, events, providers: notificationProviders });
+  app.locals.notificationService = notificationService;
+  const realtimeService = createRealtimeService({ data, events });
+  const contactService = createContactService({ data });
+  const geoService = createGeoService({ data });
+  const hubService = createHubService({ data, geoService, parcelService, auditService, events });
+  const earningsService = createEarningsService({ data, auditService, events });
+  app.locals.earningsService = earningsService;
+  const deliveryProofService = createDeliveryProofService({
+    data,
+    events,
+    notificationService,
+    storage: fileStorage,
+    auditService,
+  });
+  const deps = {
+    data,
+    stripe,
+    firebaseAuth,
+    middleware,
+    parcelService,
+    paymentService,
+    analyticsService,
+    auditService,
+    realtimeService,
+    contactService,
+    geoService,
+    hubService,
+    earningsService,
+    deliveryProofService,
+    events,
+    openApiDocument,
+  };
+
+  const routers = [
+    createParcelRouter(deps),
+    createPaymentRouter(deps),
+    createRiderRouter(deps),
+    createUserRouter(deps),
+    createAdminRouter(deps),
+    createAnalyticsRouter(deps),
+    createExportRouter(deps),
+    createRealtimeRouter(deps),
+    createContactRouter(deps),
+    createGeoRouter(deps),
+    createHubRouter(deps),
+    createEarningsRouter(deps),
+    createRiderApplicationRouter(deps),
+    createDeliveryProofRouter(deps),
+    createDocsRouter(deps),
+  ];
+
+  assertNoDuplicateRoutes(routers);
+  routers.forEach((router) => app.use(router));
+
+  // ==================== TEST ROUTE ====================
+
+  app.get("/", (req, res) => {
+    res.send("Uni Ship API is live! 🚀");
+  });
+
+  return app;
+};
+
+module.exports = { createApp };
@@ -0,0 +1,135 @@
+// ==========================================
+// GEOGRAPHIC MASTER DATA
+// ==========================================
+// Divisions, districts and service centers of Bangladesh, seeded into the districts collection
+// by seedGeography(). Names use the current official spellings; aliases are older or common
+// spellings that parcels and contacts may still be sent with.
+// Every district has a service center at its headquarters (Sadar); larger cities have more.
+
+const sadar = (district) => [`${district} Sadar`];
+
+const DIVISIONS = [
+  {
+    name: "Dhaka",
+    districts: [
+      { name: "Dhaka", serviceCenters: ["Dhanmondi", "Mirpur", "Uttara", "Motijheel", "Tejgaon", "Badda"] },
+      { name: "Faridpur" },
+      { name: "Gazipur", serviceCenters: ["Gazipur Sadar", "Tongi"] },
+      { name: "Gopalganj" },
+      { name: "Kishoreganj" },
+      { name: "Madaripur" },
+      { name: "Manikganj" },
+      { name: "Munshiganj" },
+      { name: "Narayanganj", serviceCenters: ["Narayanganj Sadar", "Siddhirganj"] },
+      { name: "Narsingdi", aliases: ["Narshingdi"] },
+      { name: "Rajbari" },
+      { name: "Shariatpur" },
+      { name: "Tangail" },
+    ],
+  },
+  {
+    name: "Chattogram",
+    districts: [
+      { name: "Bandarban" },
+      { name: "Brahmanbaria" },
+      { name: "Chandpur" },
+      { name: "Chattogram", aliases: ["Chittagong"], serviceCenters: ["Agrabad", "GEC Circle", "Halishahar"] },
+      { name: "Cox's Bazar", aliases: ["Coxs Bazar", "Cox Bazar"] },
+      { name: "Cumilla", aliases: ["Comilla"] },
+      { name: "Feni" },
+      { name: "Khagrachhari", aliases: ["Khagrachari"] },
+      { name: "Lakshmipur", aliases: ["Laxmipur"] },
+      { name: "Noakhali" },
+      { name: "Rangamati" },
+    ],
+  },
+  {
+    name: "Rajshahi",
+    districts: [
+      { name: "Bogura", aliases: ["Bogra"] },
+      { name: "Chapainawabganj", aliases: ["Chapai Nawabganj", "Nawabganj"] },
+      { name: "Joypurhat" },
+      { name: "Naogaon" },
+      { name: "Natore" },
+      { name: "Pabna" },
+      { name: "Rajshahi" },
+      { name: "Sirajganj", aliases: ["Serajganj"] },
+    ],
+  },
+  {
+    name: "Khulna",
+    districts: [
+      { name: "Bagerhat" },
+      { name: "Chuadanga" },
+      { name: "Jashore", aliases: ["Jessore"] },
+      { name: "Jhenaidah" },
+      { name: "Khulna", serviceCenters: ["Khulna Sadar", "Sonadanga"] },
+      { name: "Kushtia" },
+      { name: "Magura" },
+      { name: "Meherpur" },
+      { name: "Narail" },
+      { name: "Satkhira" },
+    ],
+  },
+  {
+    name: "Barishal",
+    districts: [
+      { name: "Barguna" },
+      { name: "Barishal", aliases: ["Barisal"] },
+      { name: "Bhola" },
+      { name: "Jhalokati", aliases: ["Jhalakathi", "Jhalokathi"] },
+      { name: "Patuakhali" },
+      { name: "Pirojpur" },
+    ],
+  },
+  {
+    name: "Sylhet",
+    districts: [
+      { name: "Habiganj" },
+      { name: "Moulvibazar", aliases: ["Maulvibazar"] },
+      { name: "Sunamganj" },
+      { name: "Sylhet", serviceCenters: ["Sylhet Sadar", "Zindabazar"] },
+    ],
+  },
+  {
+    name: "Rangpur",
+    districts: [
+      { name: "Dinajpur" },
+      { name: "Gaibandha" },
+      { name: "Kurigram" },
+      { name: "Lalmonirhat" },
+      { name: "Nilphamari" },
+      { name: "Panchagarh" },
+      { name: "Rangpur" },
+      { name: "Thakurgaon" },
+    ],
+  },
+  {
+    name: "Mymensingh",
+    districts: [
+      { name: "Jamalpur" },
+      { name: "Mymensingh" },
+      { name: "Netrokona", aliases: ["Netrakona"] },
+      { name: "Sherpur" },
+    ],
+  },
+];
+
+// Lower-cased, trimmed lookup key for district and division names
+const toGeoKey = (name) => (name || "").toString().trim().toLowerCase();
+
+/**
+ * One seed document per district
+ * aliases holds every lookup key (the name itself included)
+ */
+const buildDistrictSeed = () =>
+  DIVISIONS.flatMap((division) =>
+    division.districts.map((district) => ({
+      name: district.name,
+      division: division.name,
+      aliases: [district.name, ...(district.aliases || [])].map(toGeoKey),
+      serviceCenters: (district.serviceCenters || sadar(district.name)).map((name) => ({ name })),
+    }))
+  );
+
+module.exports = { DIVISIONS, toGeoKey, buildDistrictSeed };
@@ -0,0 +1,176 @@
+const { buildDistrictSeed } = require("./geography");
+
+// ==========================================
+// DATA LAYER
+// ==========================================
+
+/**
+ * Collections used by the API
+ * Routers and middleware only get collections from here, so they can be
+ * pointed at any database (e.g. an in-memory MongoDB in tests)
+ */
+const createDataLayer = (database) => ({
+  parcelsCollection: database.collection("parcels"),
+  paymentsCollection: database.collection("payments"),
+  usersCollection: database.collection("users"),
+  exchangeRatesCollection: database.collection("exchangeRates"),
+  codSettlementsCollection: database.collection("codSettlements"),
+  auditLogsCollection: database.collection("auditLogs"),
+  notificationsCollection: database.collection("notifications"),
+  contactsCollection: database.collection("contacts"),
+  districtsCollection: database.collection("districts"),
+  hubsCollection: database.collection("hubs"),
+  commissionRulesCollection: database.collection("commissionRules"),
+  riderEarningsCollection: database.collection("riderEarnings"),
+  riderPayoutsCollection: database.collection("riderPayouts"),
+  riderApplicationsCollection: database.collection("riderApplications"),
+  riderProfilesCollection: database.collection("riderProfiles"),
+  deliveryCodesCollection: database.collection("deliveryCodes"),
+});
+
+/**
+ * Create the indexes the API relies on
+ */
+const ensureIndexes = async ({
+  parcelsCollection,
+  paymentsCollection,
+  auditLogsCollection,
+  notificationsCollection,
+  contactsCollection,
+  districtsCollection,
+  hubsCollection,
+  commissionRulesCollection,
+  riderEarningsCollection,
+  riderPayoutsCollection,
+  riderApplicationsCollection,
+  riderProfilesCollection,
+  deliveryCodesCollection,
+}) => {
+  // One payment record per Stripe Checkout session
+  try {
+    await paymentsCollection.createIndex(
+      { stripeSessionId: 1 },
+      { unique: true, partialFilterExpression: { stripeSessionId: { $type: "string" } } }
+    );
+  } catch (indexError) {
+    console.error("⚠️ Could not create payments index:", indexError.message);
+  }
+
+  // Date range scans for listings and analytics reports
+  try {
+    await paymentsCollection.createIndex({ paidAt: 1 });
+    await parcelsCollection.createIndex({ createdAt: -1 });
+    await parcelsCollection.createIndex({ status: 1, deliveredAt: 1 });
+  } catch (indexError) {
+    console.error("⚠️ Could not create reporting indexes:", indexError.message);
+  }
+
+  // Audit log queries: newest first, by actor or target
+  try {
+    await auditLogsCollection.createIndex({ createdAt: -1 });
+    await auditLogsCollection.createIndex({ "actor.email": 1, createdAt: -1 });
+    await auditLogsCollection.createIndex({ "target.type": 1, "target.id": 1, createdAt: -1 });
+  } catch (indexError) {
+    console.error("⚠️ Could not create audit log indexes:", indexError.message);
+  }
+
+  // Notification retry worker and per-parcel history
+  try {
+    await notificationsCollection.createIndex({ status: 1, nextAttemptAt: 1 });
+    await notificationsCollection.createIndex({ parcelId: 1, createdAt: -1 });
+  } catch (indexError) {
+    console.error("⚠️ Could not create notification indexes:", indexError.message);
+  }
+
+  // Address book listing, and at most one default sender address per user
+  try {
+    await contactsCollection.createIndex({ ownerEmail: 1, name: 1 });
+    await contactsCollection.createIndex(
+      { ownerEmail: 1 },
+      { unique: true, partialFilterExpression: { isDefaultSender: true } }
+    );
+  } catch (indexError) {
+    console.error("⚠️ Could not create contact indexes:", indexError.message);
+  }
+
+  // District lookups by any spelling, listings by division
+  try {
+    await districtsCollection.createIndex({ name: 1 }, { unique: true });
+    await districtsCollection.createIndex({ aliases: 1 });
+    await districtsCollection.createIndex({ division: 1, name: 1 });
+  } catch (indexError) {
+    console.error("⚠️ Could not create district indexes:", indexError.message);
+  }
+
+  // Hub lookups by code, route planning, and the parcels at or heading to a hub
+  try {
+    await hubsCollection.createIndex({ code: 1 }, { unique: true });
+    await hubsCollection.createIndex({ active: 1, type: 1, division: 1 });
+    await hubsCollection.createIndex({ staffEmails: 1 });
+    await parcelsCollection.createIndex({ "currentLocation.hubCode": 1, "currentLocation.state": 1 });
+    await parcelsCollection.createIndex({ "currentLocation.nextHubCode": 1, "currentLocation.state": 1 });
+  } catch (indexError) {
+    console.error("⚠️ Could not create hub indexes:", indexError.message);
+  }
+
+  // One earning per delivered parcel; rider balances, payouts and the rule in effect
+  try {
+    await riderEarningsCollection.createIndex({ parcelId: 1 }, { unique: true });
+    await riderEarningsCollection.createIndex({ riderEmail: 1, status: 1, earnedAt: -1 });
+    await riderEarningsCollection.createIndex({ payoutId: 1 });
+    await riderPayoutsCollection.createIndex({ riderEmail: 1, paidAt: -1 });
+    await commissionRulesCollection.createIndex({ effectiveFrom: -1 });
+  } catch (indexError) {
+    console.error("⚠️ Could not create rider earnings indexes:", indexError.message);
+  }
+
+  // Application queue, at most one pending application per user, one profile per rider
+  try {
+    await riderApplicationsCollection.createIndex({ status: 1, createdAt: 1 });
+    await riderApplicationsCollection.createIndex(
+      { applicantEmail: 1 },
+      { unique: true, partialFilterExpression: { status: "pending" } }
+    );
+    await riderProfilesCollection.createIndex({ email: 1 }, { unique: true });
+  } catch (indexError) {
+    console.error("⚠️ Could not create rider application indexes:", indexError.message);
+  }
+
+  // One live delivery code per parcel
+  try {
+    await deliveryCodesCollection.createIndex({ parcelId: 1 }, { unique: true });
+  } catch (indexError) {
+    console.error("⚠️ Could not create delivery code indexes:", indexError.message);
+  }
+};
+
+/**
+ * Insert any districts missing from the database and refresh their reference data
+ * Coverage flags are only set on insert, so changes made by admins survive restarts
+ */
+const seedGeography = async ({ districtsCollection }) => {
+  const now = new Date().toISOString();
+
+  try {
+    const result = await districtsCollection.bulkWrite(
+      buildDistrictSeed().map(({ name, division, aliases, serviceCenters }) => ({
+        updateOne: {
+          filter: { name },
+          update: {
+            $set: { division, aliases, serviceCenters },
+            $setOnInsert: { coverage: { pickup: true, delivery: true }, createdAt: now, updatedAt: now },
+          },
+          upsert: true,
+        },
+      }))
+    );
+
+    if (result.upsertedCount > 0) {
+      console.log(`✅ Seeded ${result.upsertedCount} districts`);
+    }
+  } catch (seedError) {
+    console.error("⚠️ Could not seed districts:", seedError.message);
+  }
+};
+
+module.exports = { createDataLayer, ensureIndexes, seedGeography };
@@ -0,0 +1,351 @@
+const { ObjectId } = require("mongodb");
+
+/**
+ * Authentication & authorization middleware
+ * Built from the data layer so it can run against any MongoDB (including in-memory for tests)
+ */
+const createAuthMiddleware = ({ data, firebaseAuth, auditService }) => {
+  const { parcelsCollection, usersCollection } = data;
+  const { recordAudit } = auditService;
+
+  // ==========================================
+  // JWT AUTHENTICATION MIDDLEWARE
+  // ==========================================
+
+  /**
+   * Verify Firebase JWT Token
+   * Extracts token from Authorization header and verifies with Firebase Admin SDK
+   */
+  const verifyToken = async (req, res, next) => {
+    try {
+      // Get token from Authorization header
+      const authHeader = req.headers.authorization;
+
+      if (!authHeader || !authHeader.startsWith("Bearer ")) {
+        return res.status(401).json({
+          success: false,
+          message: "Unauthorized: No token provided",
+        });
+      }
+
+      // Extract token (remove "Bearer " prefix)
+      const token = authHeader.split(" ")[1];
+
+      // Verify token with Firebase Admin SDK
+      const decodedToken = await firebaseAuth.verifyIdToken(token);
+
+      // Attach user info to request object
+      req.user = {
+        uid: decodedToken.uid,
+        email: decodedToken.email,
+        emailVerified: decodedToken.email_verified,
+        // Token claims in seconds - long-lived event streams are checked against them
+        authTime: decodedToken.auth_time,
+        expiresAt: decodedToken.exp,
+      };
+
+      // Block suspended/banned accounts (users not yet in the database are allowed through to register)
+      const account = await usersCollection.findOne({ email: decodedToken.email });
+      req.user.role = account?.role || null;
+
+      if (account?.status === "banned") {
+        return res.status(403).json({
+          success: false,
+          code: "ACCOUNT_BANNED",
+          message: "Your account has been banned",
+          reason: account.statusReason || null,
+        });
+      }
+
+      if (account?.status === "suspended") {
+        const suspensionOver = account.suspendedUntil && new Date(account.suspendedUntil) <= new Date();
+
+        if (!suspensionOver) {
+          return res.status(403).json({
+            success: false,
+            code: "ACCOUNT_SUSPENDED",
+            message: "Your account is suspended",
+            reason: account.statusReason || null,
+            suspendedUntil: account.suspendedUntil || null,
+          });
+        }
+
+        // Suspension has expired - reactivate the account
+        const reactivation = await usersCollection.updateOne(
+          { email: account.email, status: "suspended" },
+          {
+            $set: { status: "active", updatedAt: new Date().toISOString() },
+            $unset: { statusReason: "", suspendedUntil: "" },
+          }
+        );
+        // Only the request that actually flipped the status records it
+        if (reactivation.modifiedCount > 0) {
+          await recordAudit(null, {
+            action: "user.status.expire",
+            target: { type: "user", id: account.email },
+            before: { status: "suspended", suspendedUntil: account.suspendedUntil },
+            after: { status: "active" },
+          });
+          console.log("✅ Suspension expired, reactivated:", account.email);
+        }
+      }
+
+      // Reject tokens issued before an admin revoked the user's sessions
+      if (account?.tokensRevokedAt && decodedToken.auth_time * 1000 < new Date(account.tokensRevokedAt).getTime()) {
+        return res.status(401).json({
+          success: false,
+          code: "TOKEN_REVOKED",
+          message: "Session revoked. Please login again.",
+        });
+      }
+
+      console.log("✅ Token verified for user:", req.user.email);
+      next();
+    } catch (error) {
+      console.error("❌ Token verification error:", error.code);
+
+      if (error.code === "auth/id-token-expired") {
+        return res.status(401).json({
+          success: false,
+          message: "Token expired. Please login again.",
+        });
+      }
+
+      if (error.code === "auth/argument-error") {
+        return res.status(401).json({
+          success: false,
+          message: "Invalid token format",
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        message: "Invalid token",
+      });
+    }
+  };
+
+  /**
+   * Verify Admin Role
+   * Must be used after verifyToken middleware
+   * Checks if authenticated user has admin role in database
+   */
+  const verifyAdmin = async (req, res, next) => {
+    try {
+      const email = req.user.email;
+
+      // Get user from database
+      const user = await usersCollection.findOne({ email });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found in database",
+        });
+      }
+
+      if (user.role !== "admin") {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden: Admin access required",
+        });
+      }
+
+      // Attach full user data to request
+      req.userData = user;
+
+      console.log("✅ Admin verified:", email);
+      next();
+    } catch (error) {
+      console.error("❌ Admin verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error verifying admin status",
+      });
+    }
+  };
+
+  /**
+   * Verify Rider Role
+   * Must be used after verifyToken middleware
+   */
+  const verifyRider = async (req, res, next) => {
+    try {
+      const email = req.user.email;
+      const user = await usersCollection.findOne({ email });
+
+      if (!user || user.role !== "rider") {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden: Rider access required",
+        });
+      }
+
+      req.userData = user;
+      console.log("✅ Rider verified:", email);
+      next();
+    } catch (error) {
+      console.error("❌ Rider verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error verifying rider status",
+      });
+    }
+  };
+
+  /**
+   * Verify User Can Access Own Data
+   * Checks if user is accessing their own data or is admin
+   */
+  const verifyOwnDataOrAdmin = async (req, res, next) => {
+    try {
+      const requestedEmail = req.params.email;
+      const userEmail = req.user.email;
+
+      // If requesting own data, allow
+      if (requestedEmail === userEmail) {
+        return next();
+      }
+
+      // Check if user is admin
+      const user = await usersCollection.findOne({ email: userEmail });
+      if (user?.role === "admin") {
+        req.userData = user;
+        return next();
+      }
+
+      // Not own data and not admin
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden: Can only access your own data",
+      });
+    } catch (error) {
+      console.error("❌ Access verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error verifying access",
+      });
+    }
+  };
+
+  /**
+   * Verify User Can Access Parcel
+   * Must be used after verifyToken middleware
+   * Allows the parcel's sender and admins, plus the assigned rider when allowRider is set
+   * Loads the parcel from :id and attaches it to req.parcel
+   */
+  const checkParcelAccess = (allowRider) => async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      req.parcel = parcel;
+
+      // Sender can always access their own parcel
+      if (parcel.senderEmail === req.user.email) {
+        return next();
+      }
+
+      if (allowRider && parcel.riderEmail === req.user.email) {
+        return next();
+      }
+
+      const user = await usersCollection.findOne({ email: req.user.email });
+      if (user?.role === "admin") {
+        req.userData = user;
+        return next();
+      }
+
+      return res.status(403).json({
+        success: false,
+        message: "Forbidden: Can only access your own parcels",
+      });
+    } catch (error) {
+      console.error("❌ Parcel access verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error verifying parcel access",
+      });
+    }
+  };
+
+  // Sender or admin
+  const verifyParcelOwnerOrAdmin = checkParcelAccess(false);
+
+  // Sender, assigned rider or admin
+  const verifyParcelAccess = checkParcelAccess(true);
+
+  /**
+   * Verify Rider Owns Parcel Assignment
+   * Must be used after verifyToken and verifyRider middleware
+   * Loads the parcel from :id and attaches it to req.parcel
+   */
+  const verifyAssignedRider = async (req, res, next) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      if (parcel.riderEmail !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden: Parcel is not assigned to you",
+        });
+      }
+
+      req.parcel = parcel;
+      next();
+    } catch (error) {
+      console.error("❌ Rider assignment verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error verifying parcel assignment",
+      });
+    }
+  };
+
+  return {
+    verifyToken,
+    verifyAdmin,
+    verifyRider,
+    verifyOwnDataOrAdmin,
+    verifyParcelOwnerOrAdmin,
+    verifyParcelAccess,
+    verifyAssignedRider,
+  };
+};
+
+module.exports = { createAuthMiddleware };
@@ -0,0 +1,96 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+
+// ==========================================
+// OPENAPI RESPONSE CONTRACT CHECK
+// ==========================================
+
+const DOCUMENT_ID = "openapi.json";
+
+// "/parcels/:id" -> "/parcels/{id}"
+const toOpenApiPath = (expressPath) => expressPath.replace(/:(\w+)/g, "{$1}");
+
+const pointer = (...tokens) =>
+  tokens.map((token) => encodeURIComponent(String(token).replace(/~/g, "~0").replace(/\//g, "~1"))).join("/");
+
+/**
+ * Check real responses against the OpenAPI document
+ * checkResponse() returns a list of problems (empty when the response matches)
+ */
+const createResponseContract = (document) => {
+  const ajv = new Ajv({ allErrors: true, strict: false });
+  addFormats(ajv);
+  ajv.addSchema({ ...document, $id: DOCUMENT_ID });
+
+  const validators = new Map();
+
+  const getValidator = (method, path, status) => {
+    const key = `${method} ${path} ${status}`;
+    if (validators.has(key)) {
+      return validators.get(key);
+    }
+
+    const response = document.paths[path]?.[method]?.responses?.[status];
+    const compileAt = (...tokens) => ajv.compile({ $ref: `${DOCUMENT_ID}#/${pointer(...tokens)}` });
+
+    let validator = null;
+    if (response?.$ref) {
+      // Shared error responses live under components
+      const name = response.$ref.split("/").pop();
+      validator = compileAt("components", "responses", name, "content", "application/json", "schema");
+    } else if (response?.content) {
+      validator = compileAt("paths", path, method, "responses", status, "content", "application/json", "schema");
+    } else if (response) {
+      validator = () => true;
+    }
+
+    validators.set(key, validator);
+    return validator;
+  };
+
+  const checkResponse = (method, expressPath, status, body) => {
+    const path = toOpenApiPath(expressPath);
+    const lowerMethod = method.toLowerCase();
+
+    if (!document.paths[path]?.[lowerMethod]) {
+      return [`${method} ${path} is not documented`];
+    }
+
+    const validate = getValidator(lowerMethod, path, String(status));
+    if (!validate) {
+      return [`${method} ${path} has no documented ${status} response`];
+    }
+
+    // Compare what the client actually receives (ObjectIds, Dates as strings)
+    if (validate(JSON.parse(JSON.stringify(body)))) {
+      return [];
+    }
+
+    return validate.errors.map((error) => `${error.instancePath || "(body)"} ${error.message}`);
+  };
+
+  /**
+   * Logs a warning whenever a JSON response drifts from the documented shape
+   * Enabled with OPENAPI_VALIDATE_RESPONSES=true (development only - adds overhead)
+   */
+  const middleware = (req, res, next) => {
+    const originalJson = res.json.bind(res);
+
+    res.json = (body) => {
+      // The document itself isn't described in the document
+      if (req.route && req.route.path !== "/openapi.json") {
+        const problems = checkResponse(req.method, req.route.path, res.statusCode, body);
+        if (problems.length > 0) {
+          console.warn(`⚠️ OpenAPI drift on ${req.method} ${req.route.path} (${res.statusCode}):`, problems);
+        }
+      }
+      return originalJson(body);
+    };
+
+    next();
+  };
+
+  return { checkResponse, middleware };
+};
+
+module.exports = { createResponseContract, toOpenApiPath };
@@ -0,0 +1,82 @@
+const Ajv = require("ajv");
+const addFormats = require("ajv-formats");
+const { schemas } = require("../schemas");
+
+const ajv = new Ajv({ allErrors: true });
+addFormats(ajv);
+
+const validators = Object.fromEntries(Object.entries(schemas).map(([name, schema]) => [name, ajv.compile(schema)]));
+
+/**
+ * Turn Ajv errors into { field, message } pairs
+ */
+const formatErrors = (errors) =>
+  errors
+    // if/then failures are already reported by the keywords inside "then"
+    .filter((error) => error.keyword !== "if")
+    .map((error) => {
+      switch (error.keyword) {
+        case "required":
+          return {
+            field: [error.instancePath.slice(1), error.params.missingProperty].filter(Boolean).join("/"),
+            message: "is required",
+          };
+        case "additionalProperties":
+          return { field: error.params.additionalProperty, message: "is not an allowed field" };
+        case "enum":
+          return {
+            field: error.instancePath.slice(1),
+            message: `must be one of: ${error.params.allowedValues.join(", ")}`,
+          };
+        default:
+          return { field: error.instancePath.slice(1) || null, message: error.message };
+      }
+    });
+
+/**
+ * Validate Request Body
+ * Rejects unknown fields, fields the server manages itself (readOnly in the schema)
+ * and anything that doesn't match the named schema
+ */
+const validateBody = (schemaName) => {
+  const schema = schemas[schemaName];
+  const validate = validators[schemaName];
+
+  if (!validate) {
+    throw new Error(`Unknown request schema: ${schemaName}`);
+  }
+
+  const readOnlyFields = Object.keys(schema.properties).filter((field) => schema.properties[field].readOnly);
+
+  return (req, res, next) => {
+    const body = req.body;
+
+    if (!body || typeof body !== "object" || Array.isArray(body)) {
+      return res.status(400).json({
+        success: false,
+        message: "Request body must be a JSON object",
+        errors: [],
+      });
+    }
+
+    const errors = readOnlyFields
+      .filter((field) => body[field] !== undefined)
+      .map((field) => ({ field, message: "is set by the server and cannot be sent" }));
+
+    if (!validate(body)) {
+      errors.push(...formatErrors(validate.errors).filter((error) => !readOnlyFields.includes(error.field)));
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        success: false,
+        message: "Validation failed",
+        errors,
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = { validateBody };
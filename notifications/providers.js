@@ -0,0 +1,68 @@
+const fs = require("fs/promises");
+const path = require("path");
+const { randomUUID } = require("crypto");
+
+// ==========================================
+// NOTIFICATION PROVIDERS
+// ==========================================
+// A provider delivers messages on one channel:
+//   { name, channel: "email" | "sms", send: async ({ to, subject, body }) => ({ id }) }
+// send() throws when delivery fails - the notification service records the error and retries.
+// Real email/SMS gateways plug in by implementing the same shape.
+
+/**
+ * Prints messages to the console (default for local development)
+ */
+const createConsoleProvider = (channel) => ({
+  name: "console",
+  channel,
+  send: async ({ to, subject, body }) => {
+    const id = randomUUID();
+    console.log(`📨 [${channel}] to ${to}${subject ? ` - ${subject}` : ""}\n${body}`);
+    return { id };
+  },
+});
+
+/**
+ * Appends messages as JSON lines to <dir>/<channel>.jsonl so tests can read what was "sent"
+ */
+const createFileProvider = (channel, dir) => {
+  const filePath = path.join(dir, `${channel}.jsonl`);
+
+  return {
+    name: "file",
+    channel,
+    send: async ({ to, subject, body }) => {
+      const id = randomUUID();
+      await fs.mkdir(dir, { recursive: true });
+      await fs.appendFile(filePath, JSON.stringify({ id, to, subject, body, sentAt: new Date().toISOString() }) + "\n");
+      return { id };
+    },
+  };
+};
+
+const PROVIDER_FACTORIES = {
+  console: (channel) => createConsoleProvider(channel),
+  file: (channel) => createFileProvider(channel, process.env.NOTIFICATION_OUTBOX_DIR || "outbox"),
+};
+
+/**
+ * Pick the email and SMS providers from NOTIFICATION_EMAIL_PROVIDER / NOTIFICATION_SMS_PROVIDER
+ * ("console" or "file", default "console")
+ */
+const createProviders = () => {
+  const pick = (channel, name) => {
+    const factory = PROVIDER_FACTORIES[name || "console"];
+    if (!factory) {
+      throw new Error(`Unknown ${channel} notification provider: ${name}`);
+    }
+    return factory(channel);
+  };
+
+  return {
+    email: pick("email", process.env.NOTIFICATION_EMAIL_PROVIDER),
+    sms: pick("sms", process.env.NOTIFICATION_SMS_PROVIDER),
+  };
+};
+
+module.exports = { createConsoleProvider, createFileProvider, createProviders };
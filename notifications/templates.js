@@ -0,0 +1,188 @@
+// ==========================================
+// NOTIFICATION TEMPLATES
+// ==========================================
+// TEMPLATES[event][audience][language] = { subject, email, sms }
+// audience is "sender" (email + SMS) or "receiver" (SMS only - we don't store receiver emails)
+// {{placeholders}} are filled from the parcel (plus any extra values, e.g. deliveryCode) by renderTemplate()
+
+const SUPPORTED_LANGUAGES = ["en", "bn"];
+
+// Used for receivers and senders without a language preference
+const DEFAULT_LANGUAGE = SUPPORTED_LANGUAGES.includes(process.env.NOTIFICATION_LANGUAGE)
+  ? process.env.NOTIFICATION_LANGUAGE
+  : "en";
+
+// Parcel status -> notification event
+const STATUS_EVENTS = {
+  paid: "parcel.booked",
+  cod_pending: "parcel.booked",
+  picked_up: "parcel.picked_up",
+  out_for_delivery: "parcel.out_for_delivery",
+  delivered: "parcel.delivered",
+  returned: "parcel.returned",
+  cancelled: "parcel.cancelled",
+};
+
+const TEMPLATES = {
+  "parcel.booked": {
+    sender: {
+      en: {
+        subject: "Parcel booked - {{trackingNo}}",
+        email:
+          'Hi {{senderName}},\n\nYour parcel "{{parcelName}}" from {{senderDistrict}} to {{receiverDistrict}} is booked.\nTracking number: {{trackingNo}}\n\nWe\'ll let you know when a rider picks it up.\n\nUni Ship',
+        sms: "Uni Ship: Parcel {{trackingNo}} to {{receiverDistrict}} is booked. Track it with this number.",
+      },
+      bn: {
+        subject: "পার্সেল বুক হয়েছে - {{trackingNo}}",
+        email:
+          'প্রিয় {{senderName}},\n\n{{senderDistrict}} থেকে {{receiverDistrict}} পর্যন্ত আপনার পার্সেল "{{parcelName}}" বুক করা হয়েছে।\nট্র্যাকিং নম্বর: {{trackingNo}}\n\nরাইডার পার্সেলটি সংগ্রহ করলে আমরা আপনাকে জানাব।\n\nইউনি শিপ',
+        sms: "ইউনি শিপ: {{receiverDistrict}}-এ পাঠানো পার্সেল {{trackingNo}} বুক করা হয়েছে।",
+      },
+    },
+  },
+
+  "parcel.picked_up": {
+    sender: {
+      en: {
+        subject: "Parcel picked up - {{trackingNo}}",
+        email:
+          "Hi {{senderName}},\n\nA rider has picked up parcel {{trackingNo}}. It is on its way to {{receiverName}} in {{receiverDistrict}}.\n\nUni Ship",
+        sms: "Uni Ship: Parcel {{trackingNo}} has been picked up and is on its way.",
+      },
+      bn: {
+        subject: "পার্সেল সংগ্রহ করা হয়েছে - {{trackingNo}}",
+        email:
+          "প্রিয় {{senderName}},\n\nরাইডার পার্সেল {{trackingNo}} সংগ্রহ করেছেন। এটি {{receiverDistrict}}-এ {{receiverName}}-এর কাছে যাচ্ছে।\n\nইউনি শিপ",
+        sms: "ইউনি শিপ: পার্সেল {{trackingNo}} সংগ্রহ করা হয়েছে এবং পথে রয়েছে।",
+      },
+    },
+    receiver: {
+      en: {
+        sms: "Uni Ship: {{senderName}} sent you a parcel ({{trackingNo}}). It is on its way.",
+      },
+      bn: {
+        sms: "ইউনি শিপ: {{senderName}} আপনাকে একটি পার্সেল ({{trackingNo}}) পাঠিয়েছেন। এটি পথে রয়েছে।",
+      },
+    },
+  },
+
+  "parcel.out_for_delivery": {
+    receiver: {
+      en: {
+        sms: "Uni Ship: Parcel {{trackingNo}} from {{senderName}} is out for delivery today.",
+      },
+      bn: {
+        sms: "ইউনি শিপ: {{senderName}}-এর পাঠানো পার্সেল {{trackingNo}} আজ ডেলিভারির জন্য বের হয়েছে।",
+      },
+    },
+  },
+
+  // Sent by the delivery proof service when a parcel goes out for delivery (not a status event)
+  "parcel.delivery_code": {
+    receiver: {
+      en: {
+        sms: "Uni Ship: Your delivery code for parcel {{trackingNo}} is {{deliveryCode}}. Give it to the rider only after you receive the parcel.",
+      },
+      bn: {
+        sms: "ইউনি শিপ: পার্সেল {{trackingNo}}-এর ডেলিভারি কোড {{deliveryCode}}। পার্সেলটি হাতে পাওয়ার পরেই কোডটি রাইডারকে দিন।",
+      },
+    },
+  },
+
+  "parcel.delivered": {
+    sender: {
+      en: {
+        subject: "Parcel delivered - {{trackingNo}}",
+        email:
+          "Hi {{senderName}},\n\nParcel {{trackingNo}} was delivered to {{receiverName}} in {{receiverDistrict}}.\n\nThank you for shipping with Uni Ship.",
+        sms: "Uni Ship: Parcel {{trackingNo}} was delivered to {{receiverName}}.",
+      },
+      bn: {
+        subject: "পার্সেল ডেলিভারি সম্পন্ন - {{trackingNo}}",
+        email:
+          "প্রিয় {{senderName}},\n\nপার্সেল {{trackingNo}} {{receiverDistrict}}-এ {{receiverName}}-এর কাছে পৌঁছে দেওয়া হয়েছে।\n\nইউনি শিপ ব্যবহারের জন্য ধন্যবাদ।",
+        sms: "ইউনি শিপ: পার্সেল {{trackingNo}} {{receiverName}}-এর কাছে পৌঁছে দেওয়া হয়েছে।",
+      },
+    },
+    receiver: {
+      en: {
+        sms: "Uni Ship: Parcel {{trackingNo}} has been delivered. Thank you!",
+      },
+      bn: {
+        sms: "ইউনি শিপ: পার্সেল {{trackingNo}} ডেলিভারি সম্পন্ন হয়েছে। ধন্যবাদ!",
+      },
+    },
+  },
+
+  "parcel.returned": {
+    sender: {
+      en: {
+        subject: "Parcel returned - {{trackingNo}}",
+        email:
+          "Hi {{senderName}},\n\nParcel {{trackingNo}} could not be delivered to {{receiverName}} and has been returned.\n\nUni Ship",
+        sms: "Uni Ship: Parcel {{trackingNo}} could not be delivered and has been returned.",
+      },
+      bn: {
+        subject: "পার্সেল ফেরত এসেছে - {{trackingNo}}",
+        email:
+          "প্রিয় {{senderName}},\n\nপার্সেল {{trackingNo}} {{receiverName}}-এর কাছে পৌঁছে দেওয়া যায়নি এবং ফেরত পাঠানো হয়েছে।\n\nইউনি শিপ",
+        sms: "ইউনি শিপ: পার্সেল {{trackingNo}} ডেলিভারি করা যায়নি এবং ফেরত পাঠানো হয়েছে।",
+      },
+    },
+  },
+
+  "parcel.cancelled": {
+    sender: {
+      en: {
+        subject: "Parcel cancelled - {{trackingNo}}",
+        email:
+          "Hi {{senderName}},\n\nParcel {{trackingNo}} has been cancelled. Any card payment is refunded to the original card.\n\nUni Ship",
+        sms: "Uni Ship: Parcel {{trackingNo}} has been cancelled.",
+      },
+      bn: {
+        subject: "পার্সেল বাতিল - {{trackingNo}}",
+        email:
+          "প্রিয় {{senderName}},\n\nপার্সেল {{trackingNo}} বাতিল করা হয়েছে। কার্ডে পরিশোধ করা অর্থ একই কার্ডে ফেরত দেওয়া হবে।\n\nইউনি শিপ",
+        sms: "ইউনি শিপ: পার্সেল {{trackingNo}} বাতিল করা হয়েছে।",
+      },
+    },
+  },
+};
+
+/**
+ * Values available to templates
+ */
+const buildTemplateValues = (parcel, extraValues = {}) => ({
+  trackingNo: parcel.tracking_no || "",
+  parcelName: parcel.parcelName || "",
+  senderName: parcel.senderName || "",
+  receiverName: parcel.receiverName || "",
+  senderDistrict: parcel.senderDistrict || "",
+  receiverDistrict: parcel.receiverDistrict || "",
+  codAmount: parcel.codAmount ?? "",
+  ...extraValues,
+});
+
+// Unknown placeholders render as empty strings rather than leaking "{{...}}"
+const fill = (text, values) => text.replace(/\{\{(\w+)\}\}/g, (match, key) => String(values[key] ?? ""));
+
+/**
+ * Render the message for one event, audience, language and channel
+ * Falls back to the default language when a translation is missing
+ * Returns { subject, body } or null when the event doesn't notify that audience on that channel
+ */
+const renderTemplate = (event, audience, language, channel, parcel, extraValues = {}) => {
+  const translations = TEMPLATES[event]?.[audience];
+  if (!translations) return null;
+
+  const template = translations[language] || translations[DEFAULT_LANGUAGE];
+  if (!template?.[channel]) return null;
+
+  const values = buildTemplateValues(parcel, extraValues);
+  return {
+    subject: template.subject ? fill(template.subject, values) : null,
+    body: fill(template[channel], values),
+  };
+};
+
+module.exports = { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, STATUS_EVENTS, TEMPLATES, renderTemplate };
@@ -0,0 +1,1314 @@
+const { getOpenApiSchemas } = require("../schemas");
+const { PARCEL_STATUSES } = require("../utils/parcelStatus");
+const { DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE, SORTABLE_FIELDS } = require("../utils/parcelQuery");
+const { GRANULARITIES } = require("../utils/reportRange");
+
+// ==========================================
+// OPENAPI DOCUMENT
+// ==========================================
+// Keep in sync when adding or changing a route - set OPENAPI_VALIDATE_RESPONSES=true
+// in development to log any response that doesn't match what is documented here
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({ content: { "application/json": { schema } } });
+
+/**
+ * Success response: { success: true, ...properties }
+ */
+const ok = (description, properties = {}) => ({
+  description,
+  ...jsonContent({
+    type: "object",
+    required: ["success", ...Object.keys(properties)],
+    properties: { success: { type: "boolean", enum: [true] }, ...properties },
+  }),
+});
+
+const list = (description, key, itemSchema) =>
+  ok(description, { count: { type: "integer" }, [key]: { type: "array", items: itemSchema } });
+
+// Downloads (CSV exports, PDF receipts)
+const file = (description, mediaType) => ({
+  description,
+  content: { [mediaType]: { schema: { type: "string", format: "binary" } } },
+});
+
+const message = (description) => ok(description, { message: { type: "string" } });
+
+const body = (schema) => ({ required: true, ...jsonContent(schema) });
+
+const object = (properties, required = []) => ({ type: "object", additionalProperties: false, required, properties });
+
+const pathParam = (name, description) => ({
+  name,
+  in: "path",
+  required: true,
+  description,
+  schema: { type: "string" },
+});
+
+const queryParam = (name, description, schema = { type: "string" }) => ({ name, in: "query", description, schema });
+
+const id = pathParam("id", "MongoDB ObjectId");
+
+// Shared by the paginated parcel listings
+const parcelListParams = [
+  queryParam("page", "Page number (default 1)", { type: "integer", minimum: 1 }),
+  queryParam("limit", `Page size (default ${DEFAULT_PAGE_SIZE}, max ${MAX_PAGE_SIZE})`, { type: "integer" }),
+  queryParam("sort", "Sort field", { type: "string", enum: SORTABLE_FIELDS }),
+  queryParam("order", "Sort order (default desc)", { type: "string", enum: ["asc", "desc"] }),
+  queryParam("status", "Comma separated statuses"),
+  queryParam("paymentMethod", "Comma separated payment methods"),
+  queryParam("senderDistrict", "Sender district"),
+  queryParam("receiverDistrict", "Receiver district"),
+  queryParam("district", "Sender or receiver district"),
+  queryParam("riderEmail", "Assigned rider"),
+  queryParam("from", "Created on or after, YYYY-MM-DD in Dhaka time or a timestamp"),
+  queryParam("to", "Created before, inclusive when YYYY-MM-DD"),
+  queryParam("search", "Parcel name, receiver name or tracking number"),
+];
+
+// Shared by the analytics reports
+const reportRangeParams = [
+  queryParam("from", "Start date, YYYY-MM-DD in Dhaka time or a timestamp (default 30 days before 'to')"),
+  queryParam("to", "End date, inclusive when YYYY-MM-DD (default today)"),
+];
+
+const revenueRow = (fields) =>
+  object({
+    ...fields,
+    payments: { type: "integer" },
+    grossBDT: { type: "number" },
+    refundedBDT: { type: "number" },
+    netBDT: { type: "number" },
+  });
+
+const report = (description, properties) =>
+  ok(description, { from: { type: "string" }, to: { type: "string" }, ...properties });
+
+// Shared by the payment listing and export
+const paymentListParams = [
+  queryParam("paymentMethod", "Comma separated payment methods"),
+  queryParam("paymentStatus", "Comma separated payment statuses"),
+  queryParam("email", "Payer email"),
+  queryParam("from", "Paid on or after, YYYY-MM-DD in Dhaka time or a timestamp"),
+  queryParam("to", "Paid before, inclusive when YYYY-MM-DD"),
+  queryParam("search", "Tracking number, parcel name or payer name"),
+];
+
+const parcelPage = (description) =>
+  ok(description, {
+    count: { type: "integer" },
+    total: { type: "integer" },
+    page: { type: "integer" },
+    limit: { type: "integer" },
+    totalPages: { type: "integer" },
+    parcels: { type: "array", items: ref("Parcel") },
+  });
+const email = pathParam("email", "User email");
+
+const errors = {
+  400: { $ref: "#/components/responses/BadRequest" },
+  401: { $ref: "#/components/responses/Unauthorized" },
+  403: { $ref: "#/components/responses/Forbidden" },
+  404: { $ref: "#/components/responses/NotFound" },
+  500: { $ref: "#/components/responses/ServerError" },
+};
+
+/**
+ * Build one operation
+ * access: "public" | "user" | "rider" | "hub_staff" | "admin"
+ */
+const op = ({ tag, summary, access = "user", parameters, requestBody, responses }) => ({
+  tags: [tag],
+  summary,
+  description: access === "public" ? "Public" : `Requires a Firebase ID token (${access})`,
+  ...(access !== "public" && { security: [{ firebaseAuth: [] }] }),
+  ...(parameters && { parameters }),
+  ...(requestBody && { requestBody }),
+  responses: { ...responses, ...errors },
+});
+
+const earningStatusParam = queryParam("status", "Only unpaid or paid earnings", {
+  type: "string",
+  enum: ["unpaid", "paid"],
+});
+
+// Hub scan-in and scan-out
+const hubScan = (summary) =>
+  op({
+    tag: "Hubs",
+    summary,
+    access: "hub_staff",
+    parameters: [pathParam("code", "Hub code")],
+    requestBody: body(ref("HubScan")),
+    responses: {
+      200: ok("Scan recorded", {
+        message: { type: "string" },
+        status: { type: "string", enum: PARCEL_STATUSES },
+        currentLocation: ref("ParcelLocation"),
+        hubRoute: { type: "array", items: ref("RouteStop") },
+        history: ref("StatusHistoryEntry"),
+      }),
+    },
+  });
+
+const paths = {
+  // ==================== PARCELS ====================
+  "/parcels": {
+    get: op({
+      tag: "Parcels",
+      summary: "List all parcels",
+      access: "admin",
+      parameters: parcelListParams,
+      responses: { 200: parcelPage("Page of parcels") },
+    }),
+    post: op({
+      tag: "Parcels",
+      summary:
+        "Create a parcel for the logged in sender - sender and receiver can be filled from saved contacts (the default sender address is used when senderContactId is omitted). Districts must be known and covered for pickup/delivery",
+      requestBody: body(ref("ParcelCreate")),
+      responses: {
+        201: ok("Parcel created", {
+          message: { type: "string" },
+          parcelId: { type: "string" },
+          cost: { type: "number" },
+        }),
+      },
+    }),
+  },
+  "/parcels/user/{email}": {
+    get: op({
+      tag: "Parcels",
+      summary: "List a user's parcels (own data or admin)",
+      parameters: [email, ...parcelListParams],
+      responses: { 200: parcelPage("Page of parcels") },
+    }),
+  },
+  "/parcels/user/{email}/unpaid": {
+    get: op({
+      tag: "Parcels",
+      summary: "List a user's unpaid parcels (own data or admin)",
+      parameters: [email],
+      responses: { 200: list("Unpaid parcels", "parcels", ref("Parcel")) },
+    }),
+  },
+  "/parcels/search/phone/{phone}": {
+    get: op({
+      tag: "Parcels",
+      summary: "Search own parcels by receiver phone in any Bangladeshi format (admins may pass ?email)",
+      parameters: [pathParam("phone", "Receiver phone"), queryParam("email", "Sender email (admin only)")],
+      responses: { 200: list("Matching parcels", "parcels", ref("Parcel")) },
+    }),
+  },
+  "/parcels/{id}": {
+    get: op({
+      tag: "Parcels",
+      summary: "Get a parcel (sender, assigned rider or admin)",
+      parameters: [id],
+      responses: { 200: ok("Parcel", { parcel: ref("Parcel") }) },
+    }),
+    delete: op({
+      tag: "Parcels",
+      summary: "Delete an unpaid parcel (sender or admin)",
+      parameters: [id],
+      responses: { 200: message("Parcel deleted") },
+    }),
+  },
+  "/parcels/{id}/status": {
+    patch: op({
+      tag: "Parcels",
+      summary: "Advance a parcel through its delivery lifecycle",
+      parameters: [id],
+      requestBody: body(
+        object({ status: { type: "string", enum: PARCEL_STATUSES }, note: { type: "string" } }, ["status"])
+      ),
+      responses: {
+        200: ok("Status updated", {
+          message: { type: "string" },
+          status: { type: "string" },
+          history: ref("StatusHistoryEntry"),
+        }),
+        409: { description: "Status changed by another request", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/parcels/{id}/cancellation-request": {
+    post: op({
+      tag: "Parcels",
+      summary: "Ask an admin to cancel and refund a paid parcel before pickup (sender)",
+      parameters: [id],
+      requestBody: body(object({ reason: { type: "string" } })),
+      responses: {
+        201: ok("Cancellation requested", { message: { type: "string" }, cancellationRequest: { type: "object" } }),
+      },
+    }),
+  },
+  "/quotes": {
+    post: op({
+      tag: "Parcels",
+      summary: "Preview the delivery cost of a parcel",
+      access: "public",
+      requestBody: body(
+        object(
+          {
+            parcelType: { type: "string", enum: ["document", "non-document"] },
+            parcelWeight: { type: "number" },
+            senderDistrict: { type: "string" },
+            receiverDistrict: { type: "string" },
+          },
+          ["parcelType", "senderDistrict", "receiverDistrict"]
+        )
+      ),
+      responses: {
+        200: ok("Quote", {
+          quote: {
+            type: "object",
+            required: ["cost", "currency", "breakdown"],
+            properties: { cost: { type: "number" }, currency: { type: "string" }, breakdown: { type: "object" } },
+          },
+        }),
+      },
+    }),
+  },
+  "/track/{trackingNo}": {
+    get: op({
+      tag: "Parcels",
+      summary: "Track a parcel by tracking number (no sender contact details)",
+      access: "public",
+      parameters: [pathParam("trackingNo", "Tracking number, e.g. ZS1234567890")],
+      responses: {
+        200: ok("Tracking details", {
+          tracking: {
+            type: "object",
+            required: ["tracking_no", "status", "timeline"],
+            properties: {
+              tracking_no: { type: "string" },
+              status: { type: "string" },
+              statusDescription: { type: "string" },
+              currentLocation: {
+                type: ["object", "null"],
+                properties: { hubName: { type: "string" }, district: { type: "string" } },
+              },
+              timeline: {
+                type: "array",
+                items: object({
+                  status: { type: "string" },
+                  description: { type: "string" },
+                  location: { type: ["string", "null"] },
+                  timestamp: { type: "string" },
+                }),
+              },
+            },
+          },
+        }),
+      },
+    }),
+  },
+
+  // ==================== PAYMENTS ====================
+  "/create-checkout-session": {
+    post: op({
+      tag: "Payments",
+      summary: "Start a Stripe Checkout session for an unpaid parcel (sender)",
+      requestBody: body(ref("CheckoutSessionCreate")),
+      responses: { 200: ok("Checkout session", { sessionId: { type: "string" }, url: { type: "string" } }) },
+    }),
+  },
+  "/verify-payment": {
+    post: op({
+      tag: "Payments",
+      summary: "Confirm a Checkout session after the Stripe redirect",
+      requestBody: body(object({ sessionId: { type: "string" }, parcelId: { type: "string" } }, ["sessionId"])),
+      responses: {
+        200: ok("Payment recorded", { message: { type: "string" }, tracking_no: { type: "string" } }),
+        409: {
+          description: "The parcel was cancelled or paid another way - the payment is refunded",
+          ...jsonContent(ref("ErrorResponse")),
+        },
+      },
+    }),
+  },
+  "/webhooks/stripe": {
+    post: op({
+      tag: "Payments",
+      summary: "Stripe webhook (verified with the Stripe-Signature header)",
+      access: "public",
+      responses: {
+        200: {
+          description: "Event received",
+          ...jsonContent(object({ received: { type: "boolean" } }, ["received"])),
+        },
+      },
+    }),
+  },
+  "/parcels/{id}/pay": {
+    post: op({
+      tag: "Payments",
+      summary: "Book a parcel for cash on delivery (sender or admin)",
+      parameters: [id],
+      requestBody: body(object({ paymentMethod: { type: "string", enum: ["cod"] } }, ["paymentMethod"])),
+      responses: {
+        200: ok("COD booked", {
+          message: { type: "string" },
+          tracking_no: { type: "string" },
+          parcel: { type: "object" },
+        }),
+        409: { description: "Status changed by another request", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/payments": {
+    get: op({
+      tag: "Payments",
+      summary: "List all payments",
+      access: "admin",
+      parameters: paymentListParams,
+      responses: { 200: list("Payments", "payments", ref("Payment")) },
+    }),
+  },
+  "/payments/user/{email}": {
+    get: op({
+      tag: "Payments",
+      summary: "List a user's payments (own data or admin)",
+      parameters: [email],
+      responses: { 200: list("Payments", "payments", ref("Payment")) },
+    }),
+  },
+  "/payments/{id}": {
+    get: op({
+      tag: "Payments",
+      summary: "Get a payment (payer or admin)",
+      parameters: [id],
+      responses: { 200: ok("Payment", { payment: ref("Payment") }) },
+    }),
+  },
+  "/payments/{id}/receipt": {
+    get: op({
+      tag: "Payments",
+      summary: "Download a PDF receipt (payer or admin)",
+      parameters: [id],
+      responses: { 200: file("PDF receipt", "application/pdf") },
+    }),
+  },
+  "/payments/stats/overview": {
+    get: op({
+      tag: "Payments",
+      summary: "Payment totals",
+      access: "admin",
+      responses: { 200: ok("Payment statistics", { stats: { type: "object" } }) },
+    }),
+  },
+  "/exchange-rates/current": {
+    get: op({
+      tag: "Payments",
+      summary: "BDT per USD rate used for checkout",
+      access: "public",
+      responses: { 200: ok("Current rate", { rate: { type: "object" } }) },
+    }),
+  },
+
+  // ==================== RIDERS ====================
+  "/riders/me/parcels": {
+    get: op({
+      tag: "Riders",
+      summary: "Parcels assigned to the logged in rider",
+      access: "rider",
+      parameters: [
+        queryParam("status", "Parcel status"),
+        queryParam("assignmentStatus", "pending, accepted or rejected"),
+      ],
+      responses: { 200: list("Assigned parcels", "parcels", ref("Parcel")) },
+    }),
+  },
+  "/riders/me/parcels/{id}/accept": {
+    patch: op({
+      tag: "Riders",
+      summary: "Accept an assignment",
+      access: "rider",
+      parameters: [id],
+      responses: {
+        200: message("Assignment accepted"),
+        409: { description: "Reassigned or answered by another request", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/riders/me/parcels/{id}/reject": {
+    patch: op({
+      tag: "Riders",
+      summary: "Reject an assignment",
+      access: "rider",
+      parameters: [id],
+      requestBody: body(object({ reason: { type: "string" } })),
+      responses: {
+        200: message("Assignment rejected"),
+        409: { description: "Reassigned or answered by another request", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/riders/me/parcels/{id}/pickup": {
+    patch: op({
+      tag: "Riders",
+      summary: "Mark an accepted parcel as picked up",
+      access: "rider",
+      parameters: [id],
+      requestBody: body(object({ note: { type: "string" } })),
+      responses: { 200: ok("Picked up", { message: { type: "string" }, status: { type: "string" } }) },
+    }),
+  },
+  "/riders/me/parcels/{id}/deliver": {
+    patch: op({
+      tag: "Riders",
+      summary: "Mark a parcel as delivered with the receiver's delivery code, recording COD cash when due",
+      access: "rider",
+      parameters: [id],
+      requestBody: body(
+        object(
+          {
+            deliveryCode: { type: "string", description: "6 digit code texted to the receiver at dispatch" },
+            note: { type: "string" },
+            cashCollected: {
+              type: "number",
+              description:
+                "COD cash handed over - at least the COD amount, anything above is recorded as overCollected",
+            },
+          },
+          ["deliveryCode"]
+        )
+      ),
+      responses: {
+        200: ok("Delivered", { message: { type: "string" }, status: { type: "string" } }),
+        429: { description: "Too many wrong codes - send a new one", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/riders/me/parcels/{id}/delivery-code": {
+    post: op({
+      tag: "Delivery Proof",
+      summary: "Text the receiver a new delivery code (at most once a minute)",
+      access: "rider",
+      parameters: [id],
+      responses: {
+        200: ok("Code sent", { message: { type: "string" }, expiresAt: { type: "string", format: "date-time" } }),
+        429: { description: "A code was sent less than a minute ago", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/riders/me/parcels/{id}/proof/{kind}": {
+    post: op({
+      tag: "Delivery Proof",
+      summary: "Attach a delivery photo or the receiver's signature (up to 3 of each, 5 MB each)",
+      access: "rider",
+      parameters: [id, pathParam("kind", "photo or signature")],
+      requestBody: {
+        required: true,
+        content: {
+          "image/jpeg": { schema: { type: "string", format: "binary" } },
+          "image/png": { schema: { type: "string", format: "binary" } },
+          "image/webp": { schema: { type: "string", format: "binary" } },
+        },
+      },
+      responses: {
+        201: ok("Attachment saved", { message: { type: "string" }, attachment: ref("ProofAttachment") }),
+        413: { description: "Image larger than 5 MB", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/parcels/{id}/proof": {
+    get: op({
+      tag: "Delivery Proof",
+      summary: "How the delivery was confirmed, with its photos and signatures (sender or admin)",
+      access: "user",
+      parameters: [id],
+      responses: { 200: ok("Delivery proof", { proof: ref("DeliveryProof") }) },
+    }),
+  },
+  "/parcels/{id}/proof/attachments/{attachmentId}": {
+    get: op({
+      tag: "Delivery Proof",
+      summary: "Download a delivery photo or signature (sender or admin)",
+      access: "user",
+      parameters: [id, pathParam("attachmentId", "Attachment ID")],
+      responses: { 200: file("Image", "image/*") },
+    }),
+  },
+
+  // ==================== USERS ====================
+  "/users": {
+    get: op({
+      tag: "Users",
+      summary: "List all users",
+      access: "admin",
+      responses: { 200: list("Users", "users", ref("User")) },
+    }),
+    post: op({
+      tag: "Users",
+      summary: "Create the logged in user's profile after Firebase registration",
+      requestBody: body(ref("UserCreate")),
+      responses: {
+        200: ok("User already exists", { message: { type: "string" }, user: ref("User") }),
+        201: ok("User created", { message: { type: "string" }, user: ref("User") }),
+      },
+    }),
+  },
+  "/users/{email}": {
+    get: op({
+      tag: "Users",
+      summary: "Get a user (own data or admin)",
+      parameters: [email],
+      responses: { 200: ok("User", { user: ref("User") }) },
+    }),
+    delete: op({
+      tag: "Users",
+      summary: "Delete a user",
+      access: "admin",
+      parameters: [email],
+      responses: { 200: message("User deleted") },
+    }),
+  },
+  "/users/{email}/check-admin": {
+    get: op({
+      tag: "Users",
+      summary: "Check a user's role (own data or admin)",
+      parameters: [email],
+      responses: { 200: ok("Role", { isAdmin: { type: "boolean" }, role: { type: "string" } }) },
+    }),
+  },
+  "/users/{email}/role": {
+    patch: op({
+      tag: "Users",
+      summary: "Change a user's role",
+      access: "admin",
+      parameters: [email],
+      requestBody: body(ref("UserRoleUpdate")),
+      responses: { 200: message("Role updated") },
+    }),
+  },
+  "/users/{email}/status": {
+    patch: op({
+      tag: "Users",
+      summary: "Activate, suspend or ban a user",
+      access: "admin",
+      parameters: [email],
+      requestBody: body(ref("UserStatusUpdate")),
+      responses: { 200: ok("Status updated", { message: { type: "string" }, tokensRevoked: { type: "boolean" } }) },
+    }),
+  },
+  "/users/stats/overview": {
+    get: op({
+      tag: "Users",
+      summary: "User totals",
+      access: "admin",
+      responses: { 200: ok("User statistics", { stats: { type: "object" } }) },
+    }),
+  },
+
+  // ==================== ADMIN ====================
+  "/admin/users": {
+    get: op({
+      tag: "Admin",
+      summary: "List all users",
+      access: "admin",
+      responses: { 200: list("Users", "users", ref("User")) },
+    }),
+  },
+  "/parcels/{id}/assign-rider": {
+    patch: op({
+      tag: "Admin",
+      summary: "Assign a parcel awaiting pickup to a rider",
+      access: "admin",
+      parameters: [id],
+      requestBody: body(object({ riderEmail: { type: "string" } }, ["riderEmail"])),
+      responses: {
+        200: message("Rider assigned"),
+        409: { description: "Reassigned or answered by another request", ...jsonContent(ref("ErrorResponse")) },
+      },
+    }),
+  },
+  "/admin/cancellation-requests": {
+    get: op({
+      tag: "Admin",
+      summary: "Parcels with cancellation requests",
+      access: "admin",
+      parameters: [queryParam("status", "pending (default), approved or rejected")],
+      responses: { 200: list("Parcels", "parcels", ref("Parcel")) },
+    }),
+  },
+  "/admin/parcels/{id}/cancellation-request": {
+    patch: op({
+      tag: "Admin",
+      summary: "Approve (with Stripe refund) or reject a cancellation request",
+      access: "admin",
+      parameters: [id],
+      requestBody: body(
+        object(
+          {
+            action: { type: "string", enum: ["approve", "reject"] },
+            refundAmount: { type: "number", description: "BDT, defaults to the full refundable amount" },
+            reason: { type: "string" },
+          },
+          ["action"]
+        )
+      ),
+      responses: { 200: ok("Reviewed", { message: { type: "string" } }) },
+    }),
+  },
+  "/admin/cod/outstanding": {
+    get: op({
+      tag: "Admin",
+      summary: "Outstanding COD cash per rider",
+      access: "admin",
+      responses: {
+        200: ok("Outstanding cash", {
+          count: { type: "integer" },
+          totalOutstanding: { type: "number" },
+          riders: { type: "array", items: { type: "object" } },
+        }),
+      },
+    }),
+  },
+  "/admin/cod/outstanding/{riderEmail}": {
+    get: op({
+      tag: "Admin",
+      summary: "Outstanding COD payments for one rider",
+      access: "admin",
+      parameters: [pathParam("riderEmail", "Rider email")],
+      responses: {
+        200: ok("Outstanding payments", {
+          count: { type: "integer" },
+          totalOutstanding: { type: "number" },
+          payments: { type: "array", items: ref("Payment") },
+        }),
+      },
+    }),
+  },
+  "/admin/cod/settlements": {
+    get: op({
+      tag: "Admin",
+      summary: "COD settlement history",
+      access: "admin",
+      parameters: [queryParam("riderEmail", "Filter by rider")],
+      responses: { 200: list("Settlements", "settlements", { type: "object" }) },
+    }),
+    post: op({
+      tag: "Admin",
+      summary: "Record COD cash handed over by a rider",
+      access: "admin",
+      requestBody: body(
+        object(
+          {
+            riderEmail: { type: "string" },
+            paymentIds: { type: "array", items: { type: "string" } },
+            note: { type: "string" },
+          },
+          ["riderEmail"]
+        )
+      ),
+      responses: { 201: ok("Settled", { message: { type: "string" }, settlement: { type: "object" } }) },
+    }),
+  },
+  "/admin/exchange-rates": {
+    get: op({
+      tag: "Admin",
+      summary: "Exchange rate history",
+      access: "admin",
+      responses: { 200: list("Rates", "rates", { type: "object" }) },
+    }),
+    post: op({
+      tag: "Admin",
+      summary: "Add a BDT per USD rate",
+      access: "admin",
+      requestBody: body(
+        object(
+          {
+            bdtPerUsd: { type: "number" },
+            effectiveFrom: { type: "string", format: "date-time" },
+            note: { type: "string" },
+          },
+          ["bdtPerUsd"]
+        )
+      ),
+      responses: { 201: ok("Rate saved", { message: { type: "string" }, rate: { type: "object" } }) },
+    }),
+  },
+  "/admin/audit-logs": {
+    get: op({
+      tag: "Admin",
+      summary: "Query the audit log of mutations, newest first",
+      access: "admin",
+      parameters: [
+        queryParam("page", "Page number (default 1)", { type: "integer", minimum: 1 }),
+        queryParam("limit", `Page size (default ${DEFAULT_PAGE_SIZE}, max ${MAX_PAGE_SIZE})`, { type: "integer" }),
+        queryParam("action", "Comma separated actions, 'user.*' matches a prefix"),
+        queryParam("actorEmail", "Who made the change"),
+        queryParam("targetType", "user, parcel, payment, codSettlement or exchangeRate"),
+        queryParam("targetId", "Target ID (email for users)"),
+        queryParam("ip", "Client IP"),
+        queryParam("from", "On or after, YYYY-MM-DD in Dhaka time or a timestamp"),
+        queryParam("to", "Before, inclusive when YYYY-MM-DD"),
+      ],
+      responses: {
+        200: ok("Page of audit log entries", {
+          count: { type: "integer" },
+          total: { type: "integer" },
+          page: { type: "integer" },
+          limit: { type: "integer" },
+          totalPages: { type: "integer" },
+          logs: { type: "array", items: ref("AuditLog") },
+        }),
+      },
+    }),
+  },
+  "/admin/notifications": {
+    get: op({
+      tag: "Admin",
+      summary: "Email/SMS notifications and their send attempts, newest first",
+      access: "admin",
+      parameters: [
+        queryParam("page", "Page number (default 1)", { type: "integer", minimum: 1 }),
+        queryParam("limit", `Page size (default ${DEFAULT_PAGE_SIZE}, max ${MAX_PAGE_SIZE})`, { type: "integer" }),
+        queryParam("status", "sending, sent, retrying or failed"),
+        queryParam("channel", "email or sms"),
+        queryParam("event", "e.g. parcel.delivered"),
+        queryParam("trackingNo", "Parcel tracking number"),
+      ],
+      responses: {
+        200: ok("Page of notifications", {
+          count: { type: "integer" },
+          total: { type: "integer" },
+          page: { type: "integer" },
+          limit: { type: "integer" },
+          totalPages: { type: "integer" },
+          notifications: { type: "array", items: ref("Notification") },
+        }),
+      },
+    }),
+  },
+  "/admin/notifications/{id}/retry": {
+    post: op({
+      tag: "Admin",
+      summary: "Queue a failed notification for another round of retries (not ones with a masked delivery code)",
+      access: "admin",
+      parameters: [id],
+      responses: { 200: message("Queued for retry") },
+    }),
+  },
+
+  // ==================== ADDRESS BOOK ====================
+  "/contacts": {
+    get: op({
+      tag: "Contacts",
+      summary: "List own contacts, default sender first then most recently used",
+      parameters: [queryParam("search", "Name, label, phone or district")],
+      responses: { 200: list("Contacts", "contacts", ref("Contact")) },
+    }),
+    post: op({
+      tag: "Contacts",
+      summary: "Save a contact - setting isDefaultSender replaces the previous default",
+      requestBody: body(ref("ContactCreate")),
+      responses: {
+        201: ok("Contact saved", { message: { type: "string" }, contact: ref("Contact") }),
+      },
+    }),
+  },
+  "/contacts/{id}": {
+    get: op({
+      tag: "Contacts",
+      summary: "Get one of own contacts",
+      parameters: [id],
+      responses: { 200: ok("Contact", { contact: ref("Contact") }) },
+    }),
+    patch: op({
+      tag: "Contacts",
+      summary: "Update one of own contacts",
+      parameters: [id],
+      requestBody: body(ref("ContactUpdate")),
+      responses: {
+        200: ok("Contact updated", { message: { type: "string" }, contact: ref("Contact") }),
+      },
+    }),
+    delete: op({
+      tag: "Contacts",
+      summary: "Delete one of own contacts (parcels keep their copy of the address)",
+      parameters: [id],
+      responses: { 200: message("Contact deleted") },
+    }),
+  },
+
+  // ==================== GEOGRAPHY ====================
+  "/geo/divisions": {
+    get: op({
+      tag: "Geography",
+      summary: "List divisions with district and coverage counts",
+      access: "public",
+      responses: { 200: list("Divisions", "divisions", ref("Division")) },
+    }),
+  },
+  "/geo/districts": {
+    get: op({
+      tag: "Geography",
+      summary: "List districts with their service centers and coverage",
+      access: "public",
+      parameters: [
+        queryParam("division", "Division name"),
+        queryParam("service", "Only districts with this coverage", { type: "string", enum: ["pickup", "delivery"] }),
+      ],
+      responses: { 200: list("Districts", "districts", ref("District")) },
+    }),
+  },
+  "/geo/districts/{name}": {
+    get: op({
+      tag: "Geography",
+      summary: "Get a district by any known spelling",
+      access: "public",
+      parameters: [pathParam("name", "District name, e.g. Chittagong or Chattogram")],
+      responses: { 200: ok("District", { district: ref("District") }) },
+    }),
+  },
+  "/geo/service-centers": {
+    get: op({
+      tag: "Geography",
+      summary: "List service centers",
+      access: "public",
+      parameters: [queryParam("division", "Division name")],
+      responses: {
+        200: list(
+          "Service centers",
+          "serviceCenters",
+          object({
+            name: { type: "string" },
+            district: { type: "string" },
+            division: { type: "string" },
+            coverage: { type: "object" },
+          })
+        ),
+      },
+    }),
+  },
+  "/admin/districts/{name}/coverage": {
+    patch: op({
+      tag: "Geography",
+      summary: "Turn pickup and/or delivery coverage on or off for a district",
+      access: "admin",
+      parameters: [pathParam("name", "District name")],
+      requestBody: body(ref("DistrictCoverageUpdate")),
+      responses: {
+        200: ok("Coverage updated", { message: { type: "string" }, district: ref("District") }),
+      },
+    }),
+  },
+
+  // ==================== HUBS ====================
+  "/admin/hubs": {
+    get: op({
+      tag: "Hubs",
+      summary: "List hubs and warehouses",
+      access: "admin",
+      parameters: [
+        queryParam("type", "Hub type", { type: "string", enum: ["hub", "warehouse"] }),
+        queryParam("division", "Division name"),
+        queryParam("active", "Active or inactive only", { type: "boolean" }),
+      ],
+      responses: { 200: list("Hubs", "hubs", ref("Hub")) },
+    }),
+    post: op({
+      tag: "Hubs",
+      summary: "Create a hub or warehouse",
+      access: "admin",
+      requestBody: body(ref("HubCreate")),
+      responses: { 201: ok("Hub created", { message: { type: "string" }, hub: ref("Hub") }) },
+    }),
+  },
+  "/admin/hubs/{code}": {
+    patch: op({
+      tag: "Hubs",
+      summary: "Update a hub, e.g. assign staff or deactivate it",
+      access: "admin",
+      parameters: [pathParam("code", "Hub code")],
+      requestBody: body(ref("HubUpdate")),
+      responses: { 200: ok("Hub updated", { message: { type: "string" }, hub: ref("Hub") }) },
+    }),
+  },
+  "/hubs/assigned": {
+    get: op({
+      tag: "Hubs",
+      summary: "Hubs the logged in hub staff member is assigned to",
+      access: "hub_staff",
+      responses: { 200: list("Assigned hubs", "hubs", ref("Hub")) },
+    }),
+  },
+  "/hubs/{code}/parcels": {
+    get: op({
+      tag: "Hubs",
+      summary: "Parcels at a hub, or on their way to it (hub staff or admin)",
+      access: "hub_staff",
+      parameters: [
+        pathParam("code", "Hub code"),
+        queryParam("state", "inbound for parcels heading to the hub", { type: "string", enum: ["inbound"] }),
+      ],
+      responses: { 200: list("Parcels", "parcels", ref("Parcel")) },
+    }),
+  },
+  "/hubs/{code}/scan-in": {
+    post: hubScan("Scan a parcel in at a hub - the first scan after pickup moves it to in_transit"),
+  },
+  "/hubs/{code}/scan-out": {
+    post: hubScan("Scan a parcel out of the hub it was scanned in at"),
+  },
+  "/parcels/{id}/route": {
+    get: op({
+      tag: "Hubs",
+      summary: "Planned hub route and current location (sender, assigned rider or admin)",
+      parameters: [id],
+      responses: {
+        200: ok("Parcel route", {
+          planned: { type: "boolean", description: "true for a preview - the parcel hasn't reached a hub yet" },
+          hubRoute: { type: "array", items: ref("RouteStop") },
+          currentLocation: { oneOf: [ref("ParcelLocation"), { type: "null" }] },
+        }),
+      },
+    }),
+  },
+  "/admin/parcels/{id}/route": {
+    post: op({
+      tag: "Hubs",
+      summary: "Re-plan a parcel's hub route from the active hubs",
+      access: "admin",
+      parameters: [id],
+      responses: {
+        200: ok("Route planned", { message: { type: "string" }, hubRoute: { type: "array", items: ref("RouteStop") } }),
+      },
+    }),
+  },
+
+  // ==================== RIDER EARNINGS ====================
+  "/riders/me/earnings": {
+    get: op({
+      tag: "Earnings",
+      summary: "Own earnings, balance, current commission rates and payouts",
+      access: "rider",
+      parameters: [earningStatusParam],
+      responses: {
+        200: ok("Rider earnings", {
+          balance: ref("RiderBalance"),
+          commission: object({
+            sameDistrictPercent: { type: "number" },
+            interDistrictPercent: { type: "number" },
+            minimumPerParcel: { type: "number" },
+          }),
+          count: { type: "integer" },
+          earnings: { type: "array", items: ref("RiderEarning") },
+          payouts: { type: "array", items: ref("RiderPayout") },
+        }),
+      },
+    }),
+  },
+  "/admin/rider-balances": {
+    get: op({
+      tag: "Earnings",
+      summary: "Earned, paid and outstanding amounts per rider",
+      access: "admin",
+      responses: {
+        200: ok("Rider balances", {
+          count: { type: "integer" },
+          totalOutstanding: { type: "number" },
+          riders: { type: "array", items: ref("RiderBalance") },
+        }),
+      },
+    }),
+  },
+  "/admin/riders/{riderEmail}/earnings": {
+    get: op({
+      tag: "Earnings",
+      summary: "One rider's earnings and balance",
+      access: "admin",
+      parameters: [pathParam("riderEmail", "Rider email"), earningStatusParam],
+      responses: {
+        200: ok("Rider earnings", {
+          balance: ref("RiderBalance"),
+          count: { type: "integer" },
+          earnings: { type: "array", items: ref("RiderEarning") },
+        }),
+      },
+    }),
+  },
+  "/admin/rider-payouts": {
+    get: op({
+      tag: "Earnings",
+      summary: "Payout history",
+      access: "admin",
+      parameters: [queryParam("riderEmail", "Rider email")],
+      responses: { 200: list("Payouts", "payouts", ref("RiderPayout")) },
+    }),
+    post: op({
+      tag: "Earnings",
+      summary: "Record a payout - pays the given earnings, or everything unpaid for the rider",
+      access: "admin",
+      requestBody: body(ref("RiderPayoutCreate")),
+      responses: { 201: ok("Payout recorded", { message: { type: "string" }, payout: ref("RiderPayout") }) },
+    }),
+  },
+  "/admin/commission-rules": {
+    get: op({
+      tag: "Earnings",
+      summary: "Commission rule history and the rule in effect now",
+      access: "admin",
+      responses: {
+        200: ok("Commission rules", {
+          count: { type: "integer" },
+          current: ref("CommissionRule"),
+          rules: { type: "array", items: ref("CommissionRule") },
+        }),
+      },
+    }),
+    post: op({
+      tag: "Earnings",
+      summary: "Add a commission rule for parcels delivered from effectiveFrom",
+      access: "admin",
+      requestBody: body(ref("CommissionRuleCreate")),
+      responses: { 201: ok("Commission rule saved", { message: { type: "string" }, rule: ref("CommissionRule") }) },
+    }),
+  },
+
+  // ==================== RIDER APPLICATIONS ====================
+  "/riders/applications": {
+    post: op({
+      tag: "Rider Applications",
+      summary: "Apply to become a rider - one pending application at a time",
+      access: "user",
+      requestBody: body(ref("RiderApplicationCreate")),
+      responses: {
+        201: ok("Application submitted", { message: { type: "string" }, application: ref("RiderApplication") }),
+      },
+    }),
+  },
+  "/riders/applications/me": {
+    get: op({
+      tag: "Rider Applications",
+      summary: "Own rider applications, newest first",
+      access: "user",
+      responses: { 200: list("Rider applications", "applications", ref("RiderApplication")) },
+    }),
+  },
+  "/riders/me/profile": {
+    get: op({
+      tag: "Rider Applications",
+      summary: "Own rider profile",
+      access: "rider",
+      responses: { 200: ok("Rider profile", { profile: ref("RiderProfile") }) },
+    }),
+  },
+  "/admin/rider-applications": {
+    get: op({
+      tag: "Rider Applications",
+      summary: "Rider applications, oldest first",
+      access: "admin",
+      parameters: [
+        queryParam("status", "Application status (default pending)", {
+          type: "string",
+          enum: ["pending", "approved", "rejected"],
+        }),
+        queryParam("district", "Only applicants who want to deliver in this district"),
+      ],
+      responses: { 200: list("Rider applications", "applications", ref("RiderApplication")) },
+    }),
+  },
+  "/admin/rider-applications/{id}/review": {
+    patch: op({
+      tag: "Rider Applications",
+      summary: "Approve (user becomes a rider with a rider profile) or reject a pending application",
+      access: "admin",
+      parameters: [id],
+      requestBody: body(ref("RiderApplicationReview")),
+      responses: {
+        200: ok("Application reviewed", { message: { type: "string" }, application: ref("RiderApplication") }),
+        409: {
+          description: "Already reviewed, or the applicant's role changed meanwhile",
+          ...jsonContent(ref("ErrorResponse")),
+        },
+      },
+    }),
+  },
+  "/admin/riders/{riderEmail}/profile": {
+    get: op({
+      tag: "Rider Applications",
+      summary: "A rider's profile",
+      access: "admin",
+      parameters: [pathParam("riderEmail", "Rider email")],
+      responses: { 200: ok("Rider profile", { profile: ref("RiderProfile") }) },
+    }),
+  },
+
+  // ==================== REAL-TIME ====================
+  "/events/stream": {
+    get: op({
+      tag: "Realtime",
+      summary:
+        "Server-Sent Events stream: senders get their parcel status changes, riders their assignments, admins new parcels and payments",
+      parameters: [
+        queryParam("token", "Firebase ID token, for EventSource clients that can't send an Authorization header"),
+      ],
+      responses: {
+        200: {
+          description:
+            "text/event-stream of ready, parcel.status_changed, parcel.scanned, parcel.assigned, parcel.unassigned, parcel.created and payment.recorded events. " +
+            "Ends with stream.closed { reason: token_expired | account_banned | account_suspended | session_revoked | role_changed } - reconnect with a fresh token",
+          content: { "text/event-stream": { schema: { type: "string" } } },
+        },
+      },
+    }),
+  },
+
+  // ==================== EXPORTS ====================
+  "/admin/exports/parcels.csv": {
+    get: op({
+      tag: "Exports",
+      summary: "Download parcels as CSV (same filters as GET /parcels, no pagination)",
+      access: "admin",
+      parameters: parcelListParams.filter((param) => !["page", "limit", "sort", "order"].includes(param.name)),
+      responses: { 200: file("Parcels CSV", "text/csv") },
+    }),
+  },
+  "/admin/exports/payments.csv": {
+    get: op({
+      tag: "Exports",
+      summary: "Download payments as CSV (same filters as GET /payments)",
+      access: "admin",
+      parameters: paymentListParams,
+      responses: { 200: file("Payments CSV", "text/csv") },
+    }),
+  },
+
+  // ==================== ANALYTICS ====================
+  "/admin/analytics/revenue": {
+    get: op({
+      tag: "Analytics",
+      summary: "Revenue per day, week (from Saturday) or month in Asia/Dhaka",
+      access: "admin",
+      parameters: [
+        queryParam("granularity", "Bucket size (default day)", { type: "string", enum: GRANULARITIES }),
+        ...reportRangeParams,
+      ],
+      responses: {
+        200: report("Revenue per period", {
+          granularity: { type: "string" },
+          timezone: { type: "string" },
+          periods: {
+            type: "array",
+            items: revenueRow({ period: { type: "string" }, periodStart: { type: "string", format: "date-time" } }),
+          },
+        }),
+      },
+    }),
+  },
+  "/admin/analytics/revenue/by-route": {
+    get: op({
+      tag: "Analytics",
+      summary: "Revenue per sender → receiver district",
+      access: "admin",
+      parameters: reportRangeParams,
+      responses: {
+        200: report("Revenue per route", {
+          routes: {
+            type: "array",
+            items: revenueRow({ senderDistrict: { type: "string" }, receiverDistrict: { type: "string" } }),
+          },
+        }),
+      },
+    }),
+  },
+  "/admin/analytics/revenue/by-method": {
+    get: op({
+      tag: "Analytics",
+      summary: "Revenue per payment method",
+      access: "admin",
+      parameters: reportRangeParams,
+      responses: {
+        200: report("Revenue per payment method", {
+          methods: { type: "array", items: revenueRow({ paymentMethod: { type: "string" } }) },
+        }),
+      },
+    }),
+  },
+  "/admin/analytics/parcels/by-status": {
+    get: op({
+      tag: "Analytics",
+      summary: "Parcels booked in the range, by current status",
+      access: "admin",
+      parameters: reportRangeParams,
+      responses: {
+        200: report("Parcel volume", {
+          total: { type: "integer" },
+          statuses: {
+            type: "array",
+            items: object({ status: { type: "string", enum: PARCEL_STATUSES }, count: { type: "integer" } }),
+          },
+        }),
+      },
+    }),
+  },
+  "/admin/analytics/delivery-time": {
+    get: op({
+      tag: "Analytics",
+      summary: "Average hours to delivery for parcels delivered in the range",
+      access: "admin",
+      parameters: reportRangeParams,
+      responses: {
+        200: report("Average delivery time", {
+          delivered: { type: "integer" },
+          averageHoursFromBooking: { type: ["number", "null"] },
+          averageHoursFromPickup: { type: ["number", "null"] },
+        }),
+      },
+    }),
+  },
+};
+
+/**
+ * Build the OpenAPI 3.1 document served at /openapi.json and /docs
+ */
+const buildOpenApiDocument = () => ({
+  openapi: "3.1.0",
+  info: {
+    title: "Uni Ship API",
+    version: require("../package.json").version,
+    description: "Parcel booking, payment and delivery API",
+  },
+  servers: [{ url: process.env.API_URL || `http://localhost:${process.env.PORT || 3000}` }],
+  tags: [
+    { name: "Parcels" },
+    { name: "Payments" },
+    { name: "Riders" },
+    { name: "Users" },
+    { name: "Admin" },
+    { name: "Analytics" },
+    { name: "Exports" },
+    { name: "Realtime" },
+    { name: "Contacts" },
+    { name: "Geography" },
+    { name: "Hubs" },
+    { name: "Earnings" },
+    { name: "Rider Applications" },
+    { name: "Delivery Proof" },
+  ],
+  paths,
+  components: {
+    schemas: getOpenApiSchemas(),
+    securitySchemes: {
+      firebaseAuth: { type: "http", scheme: "bearer", bearerFormat: "Firebase ID token" },
+    },
+    responses: {
+      BadRequest: {
+        description: "Invalid request",
+        ...jsonContent({ anyOf: [ref("ErrorResponse"), ref("ValidationError")] }),
+      },
+      Unauthorized: { description: "Missing, invalid or revoked token", ...jsonContent(ref("ErrorResponse")) },
+      Forbidden: { description: "Not allowed for this user", ...jsonContent(ref("ErrorResponse")) },
+      NotFound: { description: "Not found", ...jsonContent(ref("ErrorResponse")) },
+      ServerError: { description: "Unexpected error", ...jsonContent(ref("ErrorResponse")) },
+    },
+  },
+});
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,791 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canTransition } = require("../utils/parcelStatus");
+const { buildAuditFilter, buildPagination } = require("../utils/parcelQuery");
+
+/**
+ * Admin routes
+ * Rider assignment, cancellation review, COD reconciliation, exchange rates, user listing,
+ * audit logs and notification delivery
+ */
+const createAdminRouter = ({ data, middleware, parcelService, paymentService, auditService, events }) => {
+  const router = express.Router();
+  const {
+    parcelsCollection,
+    paymentsCollection,
+    usersCollection,
+    exchangeRatesCollection,
+    codSettlementsCollection,
+    notificationsCollection,
+  } = data;
+  const { verifyToken, verifyAdmin } = middleware;
+  const { transitionParcelStatus } = parcelService;
+  const { refundStripePayment, getCurrentExchangeRate } = paymentService;
+  const { recordAudit, findAuditLogs } = auditService;
+
+  // ==================== RIDER ASSIGNMENT ====================
+
+  // Assign a paid or COD parcel to a rider (ADMIN ONLY)
+  router.patch("/parcels/:id/assign-rider", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { riderEmail } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      if (!riderEmail) {
+        return res.status(400).json({
+          success: false,
+          message: "Rider email is required",
+        });
+      }
+
+      const rider = await usersCollection.findOne({ email: riderEmail });
+      if (!rider || rider.role !== "rider") {
+        return res.status(400).json({
+          success: false,
+          message: "User is not a rider",
+        });
+      }
+
+      if (rider.status && rider.status !== "active") {
+        return res.status(400).json({
+          success: false,
+          message: `Rider account is ${rider.status}`,
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      if (!["paid", "cod_pending"].includes(parcel.status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Only parcels awaiting pickup can be assigned",
+        });
+      }
+
+      if (parcel.riderEmail && parcel.assignmentStatus === "accepted") {
+        return res.status(400).json({
+          success: false,
+          message: "Parcel has already been accepted by a rider",
+        });
+      }
+
+      // Only if nothing was changed since the checks above (e.g. the rider accepted meanwhile)
+      const result = await parcelsCollection.updateOne(
+        {
+          _id: parcel._id,
+          status: parcel.status,
+          riderEmail: parcel.riderEmail ?? null,
+          assignmentStatus: parcel.assignmentStatus ?? null,
+        },
+        {
+          $set: {
+            riderEmail: rider.email,
+            riderName: rider.displayName,
+            assignmentStatus: "pending",
+            assignedBy: req.user.email,
+            assignedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+          },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Assignment was changed by another request. Please refresh.",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "parcel.rider.assign",
+        target: { type: "parcel", id: parcel._id },
+        before: { riderEmail: parcel.riderEmail || null, assignmentStatus: parcel.assignmentStatus || null },
+        after: { riderEmail: rider.email, assignmentStatus: "pending" },
+      });
+
+      events.emit("parcel.assigned", {
+        parcel: { ...parcel, riderEmail: rider.email, riderName: rider.displayName, assignmentStatus: "pending" },
+        previousRiderEmail: parcel.riderEmail || null,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: `Parcel assigned to ${rider.email}`,
+      });
+    } catch (error) {
+      console.error("Error assigning rider:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to assign rider",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== CANCELLATION & REFUND APIs ====================
+
+  // Get pending cancellation requests (ADMIN ONLY)
+  router.get("/admin/cancellation-requests", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const status = req.query.status || "pending";
+      const parcels = await parcelsCollection
+        .find({ "cancellationRequest.status": status })
+        .sort({ "cancellationRequest.requestedAt": 1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: parcels.length,
+        parcels: parcels,
+      });
+    } catch (error) {
+      console.error("Error fetching cancellation requests:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch cancellation requests",
+        error: error.message,
+      });
+    }
+  });
+
+  // Approve or reject a cancellation request, refunding via Stripe on approval (ADMIN ONLY)
+  router.patch("/admin/parcels/:id/cancellation-request", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { action, refundAmount, reason } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      if (!["approve", "reject"].includes(action)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid action. Must be 'approve' or 'reject'",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      if (parcel.cancellationRequest?.status !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: "No pending cancellation request for this parcel",
+        });
+      }
+
+      if (action === "reject") {
+        const { matchedCount } = await parcelsCollection.updateOne(
+          { _id: parcel._id, "cancellationRequest.status": "pending" },
+          {
+            $set: {
+              "cancellationRequest.status": "rejected",
+              "cancellationRequest.reviewedBy": req.user.email,
+              "cancellationRequest.reviewedAt": new Date().toISOString(),
+              "cancellationRequest.reviewNote": reason || null,
+              updatedAt: new Date().toISOString(),
+            },
+          }
+        );
+
+        if (matchedCount === 0) {
+          return res.status(409).json({
+            success: false,
+            message: "Cancellation request was reviewed by another request",
+          });
+        }
+
+        await recordAudit(req, {
+          action: "parcel.cancellation.reject",
+          target: { type: "parcel", id: parcel._id },
+          before: { cancellationStatus: "pending" },
+          after: { cancellationStatus: "rejected" },
+          metadata: { reason: reason || null },
+        });
+
+        return res.status(200).json({
+          success: true,
+          message: "Cancellation request rejected",
+        });
+      }
+
+      if (!canTransition(parcel.status, "cancelled", "admin")) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot cancel a parcel that is '${parcel.status}'`,
+        });
+      }
+
+      // Claim the request so a second approval can't refund again, and (through transitionParcelStatus)
+      // so the parcel can't move on, e.g. be picked up, between the refund and the cancellation
+      const claimed = await parcelsCollection.findOneAndUpdate(
+        { _id: parcel._id, status: parcel.status, "cancellationRequest.status": "pending" },
+        {
+          $set: {
+            "cancellationRequest.status": "processing",
+            "cancellationRequest.reviewedBy": req.user.email,
+            updatedAt: new Date().toISOString(),
+          },
+        },
+        { returnDocument: "after" }
+      );
+
+      if (!claimed) {
+        return res.status(409).json({
+          success: false,
+          message: "Parcel or cancellation request was changed by another request. Please retry.",
+        });
+      }
+
+      const releaseClaim = () =>
+        parcelsCollection.updateOne(
+          { _id: parcel._id, "cancellationRequest.status": "processing" },
+          { $set: { "cancellationRequest.status": "pending", "cancellationRequest.reviewedBy": null } }
+        );
+
+      // Refund card payments before cancelling
+      let refund = null;
+      const payment = await paymentsCollection.findOne({ parcelId: parcel._id, paymentMethod: "stripe" });
+
+      if (payment) {
+        let outcome;
+        try {
+          outcome = await refundStripePayment(payment, {
+            amountBDT: refundAmount,
+            reason: reason || parcel.cancellationRequest.reason,
+            actorEmail: req.user.email,
+            req,
+          });
+        } catch (refundError) {
+          await releaseClaim();
+          throw refundError;
+        }
+
+        if (outcome.error) {
+          await releaseClaim();
+          return res.status(outcome.error.status).json({
+            success: false,
+            message: outcome.error.message,
+          });
+        }
+
+        refund = {
+          stripeRefundId: outcome.refund.id,
+          amount: outcome.refund.amount / 100,
+          currency: outcome.refund.currency,
+          status: outcome.refund.status,
+          paymentStatus: outcome.payment.paymentStatus,
+        };
+      }
+
+      const { result } = await transitionParcelStatus(claimed, {
+        status: "cancelled",
+        actorEmail: req.user.email,
+        actorRole: "admin",
+        note: reason || parcel.cancellationRequest.reason || "Cancellation approved",
+        set: {
+          "cancellationRequest.status": "approved",
+          "cancellationRequest.reviewedBy": req.user.email,
+          "cancellationRequest.reviewedAt": new Date().toISOString(),
+          "cancellationRequest.reviewNote": reason || null,
+          cancelledAt: new Date().toISOString(),
+        },
+        req,
+      });
+
+      // Only possible if the parcel was deleted meanwhile - the claim stays "processing" so it can't be refunded twice
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Parcel status was changed by another request. Please retry.",
+          refund,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: refund ? "Parcel cancelled and refund issued" : "Parcel cancelled",
+        refund,
+      });
+    } catch (error) {
+      console.error("Error reviewing cancellation request:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to review cancellation request",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== COD RECONCILIATION APIs ====================
+
+  // Outstanding COD cash held by each rider (ADMIN ONLY)
+  router.get("/admin/cod/outstanding", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const riders = await paymentsCollection
+        .aggregate([
+          { $match: { paymentMethod: "cod", settlementStatus: "outstanding" } },
+          {
+            $group: {
+              _id: "$collectedBy",
+              riderName: { $first: "$collectedByName" },
+              outstandingAmount: { $sum: "$amountPaid" },
+              parcelCount: { $sum: 1 },
+              oldestCollection: { $min: "$paidAt" },
+            },
+          },
+          { $sort: { outstandingAmount: -1 } },
+          {
+            $project: {
+              _id: 0,
+              riderEmail: "$_id",
+              riderName: 1,
+              outstandingAmount: 1,
+              parcelCount: 1,
+              oldestCollection: 1,
+            },
+          },
+        ])
+        .toArray();
+
+      const totalOutstanding = riders.reduce((sum, rider) => sum + rider.outstandingAmount, 0);
+
+      res.status(200).json({
+        success: true,
+        count: riders.length,
+        totalOutstanding,
+        riders,
+      });
+    } catch (error) {
+      console.error("Error fetching outstanding COD cash:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch outstanding COD cash",
+        error: error.message,
+      });
+    }
+  });
+
+  // Outstanding COD payments for one rider (ADMIN ONLY)
+  router.get("/admin/cod/outstanding/:riderEmail", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const payments = await paymentsCollection
+        .find({ paymentMethod: "cod", settlementStatus: "outstanding", collectedBy: req.params.riderEmail })
+        .sort({ paidAt: 1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: payments.length,
+        totalOutstanding: payments.reduce((sum, payment) => sum + payment.amountPaid, 0),
+        payments,
+      });
+    } catch (error) {
+      console.error("Error fetching rider COD payments:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider COD payments",
+        error: error.message,
+      });
+    }
+  });
+
+  // Record cash handed over by a rider (ADMIN ONLY)
+  // Settles the given paymentIds, or everything outstanding for the rider if none are given
+  router.post("/admin/cod/settlements", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { riderEmail, paymentIds, note } = req.body;
+
+      if (!riderEmail) {
+        return res.status(400).json({
+          success: false,
+          message: "Rider email is required",
+        });
+      }
+
+      const query = { paymentMethod: "cod", settlementStatus: "outstanding", collectedBy: riderEmail };
+
+      if (paymentIds !== undefined) {
+        if (!Array.isArray(paymentIds) || !paymentIds.every((pid) => ObjectId.isValid(pid))) {
+          return res.status(400).json({
+            success: false,
+            message: "paymentIds must be an array of payment IDs",
+          });
+        }
+        query._id = { $in: paymentIds.map((pid) => new ObjectId(pid)) };
+      }
+
+      // Claim the payments for this settlement first, so a concurrent settlement can't count the same cash
+      const settlementId = new ObjectId();
+      const settledAt = new Date().toISOString();
+
+      const claimed = await paymentsCollection.updateMany(query, {
+        $set: { settlementStatus: "settled", settlementId, settledAt },
+      });
+
+      if (claimed.modifiedCount === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No outstanding COD payments to settle",
+        });
+      }
+
+      // Total only what this settlement claimed
+      const payments = await paymentsCollection.find({ settlementId }).toArray();
+
+      const settlement = {
+        _id: settlementId,
+        riderEmail,
+        paymentIds: payments.map((payment) => payment._id),
+        parcelIds: payments.map((payment) => payment.parcelId),
+        totalAmount: payments.reduce((sum, payment) => sum + payment.amountPaid, 0),
+        note: note || null,
+        settledBy: req.user.email,
+        settledAt,
+      };
+
+      try {
+        await codSettlementsCollection.insertOne(settlement);
+      } catch (insertError) {
+        // Hand the payments back so they can be settled again
+        await paymentsCollection.updateMany(
+          { settlementId },
+          { $set: { settlementStatus: "outstanding" }, $unset: { settlementId: "", settledAt: "" } }
+        );
+        throw insertError;
+      }
+
+      await parcelsCollection.updateMany(
+        { _id: { $in: settlement.parcelIds }, codStatus: "collected" },
+        {
+          $set: {
+            codStatus: "settled",
+            updatedAt: settledAt,
+          },
+        }
+      );
+
+      await recordAudit(req, {
+        action: "cod.settlement.create",
+        target: { type: "codSettlement", id: settlementId },
+        after: {
+          riderEmail,
+          totalAmount: settlement.totalAmount,
+          paymentIds: settlement.paymentIds.map((pid) => pid.toString()),
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Settled ৳${settlement.totalAmount} from ${riderEmail}`,
+        settlement,
+      });
+    } catch (error) {
+      console.error("Error settling COD cash:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to settle COD cash",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get COD settlement history (ADMIN ONLY)
+  router.get("/admin/cod/settlements", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const query = req.query.riderEmail ? { riderEmail: req.query.riderEmail } : {};
+      const settlements = await codSettlementsCollection.find(query).sort({ settledAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: settlements.length,
+        settlements,
+      });
+    } catch (error) {
+      console.error("Error fetching COD settlements:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch COD settlements",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== EXCHANGE RATE APIs ====================
+
+  // Get exchange rate history (ADMIN ONLY)
+  router.get("/admin/exchange-rates", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const rates = await exchangeRatesCollection.find({}).sort({ effectiveFrom: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: rates.length,
+        rates,
+      });
+    } catch (error) {
+      console.error("Error fetching exchange rates:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch exchange rates",
+        error: error.message,
+      });
+    }
+  });
+
+  // Add a new exchange rate (ADMIN ONLY)
+  router.post("/admin/exchange-rates", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { bdtPerUsd, effectiveFrom, note } = req.body;
+      const rateValue = Number(bdtPerUsd);
+
+      if (!Number.isFinite(rateValue) || rateValue <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "bdtPerUsd must be a positive number",
+        });
+      }
+
+      // Default to taking effect immediately
+      const effectiveDate = effectiveFrom ? new Date(effectiveFrom) : new Date();
+      if (isNaN(effectiveDate.getTime())) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid effectiveFrom date",
+        });
+      }
+
+      const rate = {
+        baseCurrency: "USD",
+        quoteCurrency: "BDT",
+        bdtPerUsd: rateValue,
+        effectiveFrom: effectiveDate.toISOString(),
+        note: note || null,
+        createdBy: req.user.email,
+        createdAt: new Date().toISOString(),
+      };
+
+      const previousRate = await getCurrentExchangeRate();
+      const result = await exchangeRatesCollection.insertOne(rate);
+
+      await recordAudit(req, {
+        action: "exchange_rate.create",
+        target: { type: "exchangeRate", id: result.insertedId },
+        before: { bdtPerUsd: previousRate.bdtPerUsd, effectiveFrom: previousRate.effectiveFrom },
+        after: { bdtPerUsd: rate.bdtPerUsd, effectiveFrom: rate.effectiveFrom },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Exchange rate saved",
+        rate: { ...rate, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error saving exchange rate:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save exchange rate",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== USER MANAGEMENT APIs ====================
+
+  // Get All Users (ADMIN ONLY)
+  router.get("/admin/users", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const users = await usersCollection.find({}).sort({ createdAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: users.length,
+        users,
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch users",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== AUDIT LOG APIs ====================
+
+  // Query the audit log, newest first (ADMIN ONLY)
+  // Filters: action, actorEmail, targetType, targetId, ip, from, to - plus page & limit
+  router.get("/admin/audit-logs", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { filter, error } = buildAuditFilter(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const pagination = buildPagination(req.query);
+      if (pagination.error) {
+        return res.status(400).json({
+          success: false,
+          message: pagination.error,
+        });
+      }
+
+      const { page, limit, skip } = pagination;
+      const { logs, total } = await findAuditLogs(filter, { skip, limit });
+
+      res.status(200).json({
+        success: true,
+        count: logs.length,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        logs,
+      });
+    } catch (error) {
+      console.error("Error fetching audit logs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch audit logs",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== NOTIFICATION APIs ====================
+
+  // List email/SMS notifications with their send attempts, newest first (ADMIN ONLY)
+  // Filters: status, channel, event, trackingNo - plus page & limit
+  router.get("/admin/notifications", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const pagination = buildPagination(req.query);
+      if (pagination.error) {
+        return res.status(400).json({
+          success: false,
+          message: pagination.error,
+        });
+      }
+
+      const filter = {};
+      for (const field of ["status", "channel", "event", "trackingNo"]) {
+        if (req.query[field]) {
+          filter[field] = req.query[field];
+        }
+      }
+
+      const { page, limit, skip } = pagination;
+      const [notifications, total] = await Promise.all([
+        notificationsCollection.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).toArray(),
+        notificationsCollection.countDocuments(filter),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: notifications.length,
+        total,
+        page,
+        limit,
+        totalPages: Math.ceil(total / limit),
+        notifications,
+      });
+    } catch (error) {
+      console.error("Error fetching notifications:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch notifications",
+        error: error.message,
+      });
+    }
+  });
+
+  // Queue a notification that gave up for another round of retries (ADMIN ONLY)
+  router.post("/admin/notifications/:id/retry", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid notification ID",
+        });
+      }
+
+      // attemptCount is reset so the retry worker gets a full set of attempts
+      // Redacted notifications (e.g. delivery codes) no longer hold what was sent, so can't be resent
+      const notification = await notificationsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), status: "failed", redacted: { $ne: true } },
+        {
+          $set: { status: "retrying", attemptCount: 0, nextAttemptAt: new Date().toISOString() },
+        },
+        { returnDocument: "before" }
+      );
+
+      if (!notification) {
+        const redacted = await notificationsCollection.findOne({ _id: new ObjectId(id), redacted: true });
+
+        return res.status(400).json({
+          success: false,
+          message: redacted
+            ? "This notification carried a one-time code and can't be resent. The rider can send the receiver a new code"
+            : "Only failed notifications can be retried",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "notification.retry",
+        target: { type: "notification", id },
+        before: { status: "failed", attemptCount: notification.attemptCount },
+        after: { status: "retrying", attemptCount: 0 },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Notification queued for retry",
+      });
+    } catch (error) {
+      console.error("Error retrying notification:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to retry notification",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAdminRouter };
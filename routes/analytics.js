@@ -0,0 +1,178 @@
+const express = require("express");
+const { GRANULARITIES, REPORT_TIMEZONE, parseReportRange } = require("../utils/reportRange");
+
+/**
+ * Admin analytics routes
+ * Revenue and parcel reports over a from/to date range, bucketed in Dhaka time
+ */
+const createAnalyticsRouter = ({ middleware, analyticsService }) => {
+  const router = express.Router();
+  const { verifyToken, verifyAdmin } = middleware;
+  const { getRevenueByPeriod, getRevenueByRoute, getRevenueByMethod, getParcelVolumeByStatus, getAverageDeliveryTime } =
+    analyticsService;
+
+  // ==================== REVENUE ====================
+
+  // Revenue per day, week or month (ADMIN ONLY)
+  router.get("/admin/analytics/revenue", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const granularity = req.query.granularity || "day";
+
+      if (!GRANULARITIES.includes(granularity)) {
+        return res.status(400).json({
+          success: false,
+          message: `granularity must be one of: ${GRANULARITIES.join(", ")}`,
+        });
+      }
+
+      const range = parseReportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      const periods = await getRevenueByPeriod(range, granularity);
+
+      res.status(200).json({
+        success: true,
+        granularity,
+        timezone: REPORT_TIMEZONE,
+        from: range.start,
+        to: range.end,
+        periods,
+      });
+    } catch (error) {
+      console.error("Error fetching revenue report:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch revenue report",
+        error: error.message,
+      });
+    }
+  });
+
+  // Revenue per sender → receiver district (ADMIN ONLY)
+  router.get("/admin/analytics/revenue/by-route", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const range = parseReportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      const routes = await getRevenueByRoute(range);
+
+      res.status(200).json({
+        success: true,
+        from: range.start,
+        to: range.end,
+        routes,
+      });
+    } catch (error) {
+      console.error("Error fetching revenue by route:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch revenue by route",
+        error: error.message,
+      });
+    }
+  });
+
+  // Revenue per payment method (ADMIN ONLY)
+  router.get("/admin/analytics/revenue/by-method", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const range = parseReportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      const methods = await getRevenueByMethod(range);
+
+      res.status(200).json({
+        success: true,
+        from: range.start,
+        to: range.end,
+        methods,
+      });
+    } catch (error) {
+      console.error("Error fetching revenue by payment method:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch revenue by payment method",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== PARCELS ====================
+
+  // Parcels booked in the range, by status (ADMIN ONLY)
+  router.get("/admin/analytics/parcels/by-status", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const range = parseReportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      const statuses = await getParcelVolumeByStatus(range);
+
+      res.status(200).json({
+        success: true,
+        from: range.start,
+        to: range.end,
+        total: statuses.reduce((sum, entry) => sum + entry.count, 0),
+        statuses,
+      });
+    } catch (error) {
+      console.error("Error fetching parcel volume:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch parcel volume",
+        error: error.message,
+      });
+    }
+  });
+
+  // Average delivery time for parcels delivered in the range (ADMIN ONLY)
+  router.get("/admin/analytics/delivery-time", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const range = parseReportRange(req.query);
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          message: range.error,
+        });
+      }
+
+      const deliveryTime = await getAverageDeliveryTime(range);
+
+      res.status(200).json({
+        success: true,
+        from: range.start,
+        to: range.end,
+        ...deliveryTime,
+      });
+    } catch (error) {
+      console.error("Error fetching delivery time:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch delivery time",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createAnalyticsRouter };
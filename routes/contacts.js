@@ -0,0 +1,291 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../middleware/validate");
+const { escapeRegex } = require("../utils/parcelQuery");
+
+// Fields kept in the audit log for contact changes (no addresses or phone numbers)
+const auditFields = (contact) => ({ label: contact.label ?? null, isDefaultSender: !!contact.isDefaultSender });
+
+/**
+ * Address book routes
+ * Saved sender addresses and receiver contacts, private to the logged in user
+ */
+const createContactRouter = ({ data, middleware, contactService, geoService, auditService }) => {
+  const router = express.Router();
+  const { contactsCollection } = data;
+  const { verifyToken } = middleware;
+  const { normalizePhoneField, findOwnContact, clearDefaultSender } = contactService;
+  const { normalizeDistrictField } = geoService;
+  const { recordAudit } = auditService;
+
+  // ==================== ADDRESS BOOK APIs ====================
+
+  // List own contacts, default sender first then most recently used (PROTECTED - Auth Required)
+  // ?search= matches name, label, phone or district
+  router.get("/contacts", verifyToken, async (req, res) => {
+    try {
+      const filter = { ownerEmail: req.user.email };
+      const search = typeof req.query.search === "string" ? req.query.search.trim() : "";
+
+      if (search) {
+        const pattern = new RegExp(escapeRegex(search), "i");
+        filter.$or = [{ name: pattern }, { label: pattern }, { phone: pattern }, { district: pattern }];
+      }
+
+      const contacts = await contactsCollection
+        .find(filter)
+        .sort({ isDefaultSender: -1, lastUsedAt: -1, name: 1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: contacts.length,
+        contacts,
+      });
+    } catch (error) {
+      console.error("Error fetching contacts:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch contacts",
+        error: error.message,
+      });
+    }
+  });
+
+  // Save a contact (PROTECTED - Auth Required)
+  router.post("/contacts", verifyToken, validateBody("ContactCreate"), async (req, res) => {
+    try {
+      const contactData = { ...req.body };
+
+      const errors = [
+        normalizePhoneField(contactData, "phone"),
+        (await normalizeDistrictField(contactData, "district")).error,
+      ].filter(Boolean);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      if (contactData.isDefaultSender) {
+        await clearDefaultSender(req.user.email);
+      }
+
+      const contact = {
+        ...contactData,
+        isDefaultSender: !!contactData.isDefaultSender,
+        ownerEmail: req.user.email,
+        lastUsedAt: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const result = await contactsCollection.insertOne(contact);
+
+      await recordAudit(req, {
+        action: "contact.create",
+        target: { type: "contact", id: result.insertedId },
+        after: auditFields(contact),
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Contact saved successfully",
+        contact: { ...contact, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error creating contact:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to save contact",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get one of own contacts (PROTECTED - Auth Required)
+  router.get("/contacts/:id", verifyToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid contact ID",
+        });
+      }
+
+      const contact = await findOwnContact(req.user.email, id);
+      if (!contact) {
+        return res.status(404).json({
+          success: false,
+          message: "Contact not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        contact,
+      });
+    } catch (error) {
+      console.error("Error fetching contact:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch contact",
+        error: error.message,
+      });
+    }
+  });
+
+  // Update one of own contacts (PROTECTED - Auth Required)
+  router.patch("/contacts/:id", verifyToken, validateBody("ContactUpdate"), async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid contact ID",
+        });
+      }
+
+      const updates = { ...req.body };
+
+      const errors = [
+        normalizePhoneField(updates, "phone"),
+        (await normalizeDistrictField(updates, "district")).error,
+      ].filter(Boolean);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      if (!(await findOwnContact(req.user.email, id))) {
+        return res.status(404).json({
+          success: false,
+          message: "Contact not found",
+        });
+      }
+
+      // The default flag is set after the rest, once the old default is cleared
+      const { isDefaultSender, ...fields } = updates;
+      const makeDefault = isDefaultSender === true;
+
+      const before = await contactsCollection.findOneAndUpdate(
+        { _id: new ObjectId(id), ownerEmail: req.user.email },
+        {
+          $set: {
+            ...fields,
+            ...(isDefaultSender === false && { isDefaultSender }),
+            updatedAt: new Date().toISOString(),
+          },
+        },
+        { returnDocument: "before" }
+      );
+
+      // Deleted since it was loaded
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: "Contact not found",
+        });
+      }
+
+      if (makeDefault) {
+        await clearDefaultSender(req.user.email, before._id);
+
+        try {
+          await contactsCollection.updateOne(
+            { _id: before._id, ownerEmail: req.user.email },
+            { $set: { isDefaultSender: true } }
+          );
+        } catch (defaultError) {
+          // Another contact became the default in between (partial unique index on ownerEmail)
+          if (defaultError.code === 11000) {
+            return res.status(409).json({
+              success: false,
+              message: "Another contact was made the default sender at the same time. Please retry.",
+            });
+          }
+          throw defaultError;
+        }
+      }
+
+      const contact = { ...before, ...updates };
+
+      await recordAudit(req, {
+        action: "contact.update",
+        target: { type: "contact", id: before._id },
+        before: auditFields(before),
+        after: auditFields(contact),
+        metadata: { fields: Object.keys(updates) },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Contact updated successfully",
+        contact,
+      });
+    } catch (error) {
+      console.error("Error updating contact:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update contact",
+        error: error.message,
+      });
+    }
+  });
+
+  // Delete one of own contacts (PROTECTED - Auth Required)
+  // Parcels keep their own copy of the address, so nothing else changes
+  router.delete("/contacts/:id", verifyToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid contact ID",
+        });
+      }
+
+      const deleted = await contactsCollection.findOneAndDelete({ _id: new ObjectId(id), ownerEmail: req.user.email });
+
+      if (!deleted) {
+        return res.status(404).json({
+          success: false,
+          message: "Contact not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "contact.delete",
+        target: { type: "contact", id: deleted._id },
+        before: auditFields(deleted),
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Contact deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting contact:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete contact",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createContactRouter };
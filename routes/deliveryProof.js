@@ -0,0 +1,203 @@
+const express = require("express");
+const { PROOF_KINDS, IMAGE_TYPES, MAX_ATTACHMENT_BYTES } = require("../services/deliveryProofService");
+
+// Parcel statuses a rider can attach proof in - during the handover or right after it
+const PROOF_UPLOAD_STATUSES = ["out_for_delivery", "delivered"];
+
+/**
+ * Proof of delivery routes
+ * Riders resend delivery codes and upload photos/signatures; senders and admins view the proof
+ */
+const createDeliveryProofRouter = ({ middleware, deliveryProofService, auditService }) => {
+  const router = express.Router();
+  const { verifyToken, verifyRider, verifyAssignedRider, verifyParcelOwnerOrAdmin } = middleware;
+  const { resendDeliveryCode, saveAttachment, readAttachment, getDeliveryProof } = deliveryProofService;
+  const { recordAudit } = auditService;
+
+  // Images are sent as the raw request body with their own Content-Type
+  const parseImage = express.raw({ type: Object.keys(IMAGE_TYPES), limit: MAX_ATTACHMENT_BYTES });
+
+  // Answer oversized images in JSON like every other error, not with Express's HTML error page
+  const rawImage = (req, res, next) =>
+    parseImage(req, res, (error) => {
+      if (error?.type === "entity.too.large") {
+        return res.status(413).json({
+          success: false,
+          message: `Images can be at most ${MAX_ATTACHMENT_BYTES / (1024 * 1024)} MB`,
+        });
+      }
+      next(error);
+    });
+
+  // ==================== RIDER APIs ====================
+
+  // Text the receiver a new delivery code (RIDER ONLY)
+  router.post(
+    "/riders/me/parcels/:id/delivery-code",
+    verifyToken,
+    verifyRider,
+    verifyAssignedRider,
+    async (req, res) => {
+      try {
+        const parcel = req.parcel;
+
+        if (parcel.status !== "out_for_delivery") {
+          return res.status(400).json({
+            success: false,
+            message: "Delivery codes are only sent for parcels out for delivery",
+          });
+        }
+
+        const issued = await resendDeliveryCode(parcel, req);
+
+        if (issued.status) {
+          return res.status(issued.status).json({
+            success: false,
+            message: issued.message,
+          });
+        }
+
+        res.status(200).json({
+          success: true,
+          message: "A new delivery code was sent to the receiver",
+          expiresAt: issued.expiresAt,
+        });
+      } catch (error) {
+        console.error("Error sending delivery code:", error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to send delivery code",
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  // Attach a delivery photo or the receiver's signature (RIDER ONLY)
+  // Body: the image itself, Content-Type image/jpeg, image/png or image/webp
+  router.post(
+    "/riders/me/parcels/:id/proof/:kind",
+    verifyToken,
+    verifyRider,
+    verifyAssignedRider,
+    rawImage,
+    async (req, res) => {
+      try {
+        const parcel = req.parcel;
+        const kind = req.params.kind;
+
+        if (!PROOF_KINDS.includes(kind)) {
+          return res.status(400).json({
+            success: false,
+            message: `kind must be one of: ${PROOF_KINDS.join(", ")}`,
+          });
+        }
+
+        if (!PROOF_UPLOAD_STATUSES.includes(parcel.status)) {
+          return res.status(400).json({
+            success: false,
+            message: `Cannot attach proof to a parcel that is '${parcel.status}'`,
+          });
+        }
+
+        if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+          return res.status(415).json({
+            success: false,
+            message: `Send the image as the request body with Content-Type ${Object.keys(IMAGE_TYPES).join(", ")}`,
+          });
+        }
+
+        const saved = await saveAttachment(parcel, {
+          kind,
+          buffer: req.body,
+          contentType: req.get("content-type").split(";")[0].trim().toLowerCase(),
+          uploadedBy: req.user.email,
+        });
+
+        if (saved.status) {
+          return res.status(saved.status).json({
+            success: false,
+            message: saved.message,
+          });
+        }
+
+        const { key, storage, ...attachment } = saved.attachment;
+
+        await recordAudit(req, {
+          action: "parcel.proof.upload",
+          target: { type: "parcel", id: parcel._id },
+          after: { attachmentId: attachment.id, kind, size: attachment.size },
+          metadata: { key, storage },
+        });
+
+        res.status(201).json({
+          success: true,
+          message: kind === "photo" ? "Delivery photo saved" : "Signature saved",
+          attachment: { ...attachment, url: `/parcels/${parcel._id}/proof/attachments/${attachment.id}` },
+        });
+      } catch (error) {
+        console.error("Error saving delivery proof:", error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to save delivery proof",
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  // ==================== PROOF VIEWING ====================
+
+  // How a parcel's delivery was confirmed, with its photos and signatures (PROTECTED - Sender or Admin)
+  router.get("/parcels/:id/proof", verifyToken, verifyParcelOwnerOrAdmin, async (req, res) => {
+    try {
+      const proof = await getDeliveryProof(req.parcel);
+
+      res.status(200).json({
+        success: true,
+        proof,
+      });
+    } catch (error) {
+      console.error("Error fetching delivery proof:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch delivery proof",
+        error: error.message,
+      });
+    }
+  });
+
+  // Download one photo or signature (PROTECTED - Sender or Admin)
+  router.get(
+    "/parcels/:id/proof/attachments/:attachmentId",
+    verifyToken,
+    verifyParcelOwnerOrAdmin,
+    async (req, res) => {
+      try {
+        const file = await readAttachment(req.parcel, req.params.attachmentId);
+
+        if (!file) {
+          return res.status(404).json({
+            success: false,
+            message: "Attachment not found",
+          });
+        }
+
+        res.setHeader("Content-Type", file.attachment.contentType);
+        res.setHeader("Cache-Control", "private, max-age=3600");
+        res.send(file.buffer);
+      } catch (error) {
+        console.error("Error fetching delivery proof attachment:", error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to fetch attachment",
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createDeliveryProofRouter };
@@ -0,0 +1,25 @@
+const express = require("express");
+const swaggerUi = require("swagger-ui-express");
+
+/**
+ * API documentation routes
+ * Raw OpenAPI document at /openapi.json and Swagger UI at /docs
+ */
+const createDocsRouter = ({ openApiDocument }) => {
+  const router = express.Router();
+
+  // ==================== DOCS ====================
+
+  // OpenAPI 3.1 document (PUBLIC)
+  router.get("/openapi.json", (req, res) => {
+    res.status(200).json(openApiDocument);
+  });
+
+  // Interactive docs (PUBLIC)
+  router.use("/docs", swaggerUi.serve);
+  router.get("/docs", swaggerUi.setup(openApiDocument));
+
+  return router;
+};
+
+module.exports = { createDocsRouter };
@@ -0,0 +1,314 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../middleware/validate");
+const { roundBDT } = require("../utils/commission");
+
+const EARNING_STATUSES = ["unpaid", "paid"];
+
+/**
+ * Rider earnings routes
+ * Riders' own earnings, commission rules, rider balances and payouts
+ */
+const createEarningsRouter = ({ data, middleware, earningsService, auditService }) => {
+  const router = express.Router();
+  const { commissionRulesCollection, riderEarningsCollection, riderPayoutsCollection } = data;
+  const { verifyToken, verifyAdmin, verifyRider } = middleware;
+  const { getCommissionRule, getRiderBalances } = earningsService;
+  const { recordAudit } = auditService;
+
+  // Balance for a rider with no earnings yet
+  const emptyBalance = (riderEmail) => ({
+    riderEmail,
+    deliveries: 0,
+    earned: 0,
+    paid: 0,
+    outstanding: 0,
+    oldestUnpaid: null,
+  });
+
+  /**
+   * Earnings query for one rider, optionally only unpaid or paid ones
+   * Returns { filter } or { error }
+   */
+  const buildEarningsFilter = (riderEmail, status) => {
+    if (status !== undefined && !EARNING_STATUSES.includes(status)) {
+      return { error: `status must be one of: ${EARNING_STATUSES.join(", ")}` };
+    }
+    return { filter: { riderEmail, ...(status && { status }) } };
+  };
+
+  // ==================== RIDER EARNINGS ====================
+
+  // Earnings, balance, current commission rates and payouts for the logged in rider (RIDER ONLY)
+  // ?status=unpaid|paid filters the earnings list
+  router.get("/riders/me/earnings", verifyToken, verifyRider, async (req, res) => {
+    try {
+      const { filter, error } = buildEarningsFilter(req.user.email, req.query.status);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const [[balance], rule, earnings, payouts] = await Promise.all([
+        getRiderBalances(req.user.email),
+        getCommissionRule(),
+        riderEarningsCollection.find(filter).sort({ earnedAt: -1 }).toArray(),
+        riderPayoutsCollection.find({ riderEmail: req.user.email }).sort({ paidAt: -1 }).toArray(),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        balance: balance || emptyBalance(req.user.email),
+        commission: {
+          sameDistrictPercent: rule.sameDistrictPercent,
+          interDistrictPercent: rule.interDistrictPercent,
+          minimumPerParcel: rule.minimumPerParcel ?? 0,
+        },
+        count: earnings.length,
+        earnings,
+        payouts,
+      });
+    } catch (error) {
+      console.error("Error fetching rider earnings:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch earnings",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== BALANCES & PAYOUTS (ADMIN) ====================
+
+  // Earned, paid and outstanding amounts per rider, largest balance first (ADMIN ONLY)
+  router.get("/admin/rider-balances", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const riders = await getRiderBalances();
+      const totalOutstanding = roundBDT(riders.reduce((sum, rider) => sum + rider.outstanding, 0));
+
+      res.status(200).json({
+        success: true,
+        count: riders.length,
+        totalOutstanding,
+        riders,
+      });
+    } catch (error) {
+      console.error("Error fetching rider balances:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider balances",
+        error: error.message,
+      });
+    }
+  });
+
+  // One rider's earnings and balance (ADMIN ONLY)
+  router.get("/admin/riders/:riderEmail/earnings", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const riderEmail = req.params.riderEmail;
+      const { filter, error } = buildEarningsFilter(riderEmail, req.query.status);
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const [[balance], earnings] = await Promise.all([
+        getRiderBalances(riderEmail),
+        riderEarningsCollection.find(filter).sort({ earnedAt: -1 }).toArray(),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        balance: balance || emptyBalance(riderEmail),
+        count: earnings.length,
+        earnings,
+      });
+    } catch (error) {
+      console.error("Error fetching rider earnings:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch earnings",
+        error: error.message,
+      });
+    }
+  });
+
+  // Record a payout to a rider (ADMIN ONLY)
+  // Pays the given earningIds, or everything unpaid for the rider if none are given
+  router.post("/admin/rider-payouts", verifyToken, verifyAdmin, validateBody("RiderPayoutCreate"), async (req, res) => {
+    try {
+      const { riderEmail, earningIds, method, reference, note } = req.body;
+      const payoutId = new ObjectId();
+      const paidAt = new Date().toISOString();
+
+      const query = { riderEmail, status: "unpaid" };
+      if (earningIds) {
+        query._id = { $in: earningIds.map((eid) => new ObjectId(eid)) };
+      }
+
+      // Claim the earnings first so two payouts can never include the same one
+      await riderEarningsCollection.updateMany(query, { $set: { status: "paid", payoutId, paidAt } });
+      const earnings = await riderEarningsCollection.find({ payoutId }).toArray();
+
+      if (earnings.length === 0) {
+        return res.status(400).json({
+          success: false,
+          message: "No unpaid earnings to pay out",
+        });
+      }
+
+      const payout = {
+        _id: payoutId,
+        riderEmail,
+        riderName: earnings[0].riderName,
+        earningIds: earnings.map((earning) => earning._id),
+        parcelCount: earnings.length,
+        totalAmount: roundBDT(earnings.reduce((sum, earning) => sum + earning.amount, 0)),
+        method,
+        reference: reference || null,
+        note: note || null,
+        paidBy: req.user.email,
+        paidAt,
+      };
+
+      await riderPayoutsCollection.insertOne(payout);
+
+      await recordAudit(req, {
+        action: "rider_payout.create",
+        target: { type: "riderPayout", id: payoutId },
+        after: {
+          riderEmail,
+          totalAmount: payout.totalAmount,
+          method,
+          earningIds: payout.earningIds.map((eid) => eid.toString()),
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: `Paid ৳${payout.totalAmount} to ${riderEmail}`,
+        payout,
+      });
+    } catch (error) {
+      console.error("Error recording rider payout:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record payout",
+        error: error.message,
+      });
+    }
+  });
+
+  // Payout history, optionally for one rider (ADMIN ONLY)
+  router.get("/admin/rider-payouts", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const query = req.query.riderEmail ? { riderEmail: req.query.riderEmail } : {};
+      const payouts = await riderPayoutsCollection.find(query).sort({ paidAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: payouts.length,
+        payouts,
+      });
+    } catch (error) {
+      console.error("Error fetching rider payouts:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payouts",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== COMMISSION RULES (ADMIN) ====================
+
+  // Commission rule history and the rule in effect now (ADMIN ONLY)
+  router.get("/admin/commission-rules", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const [rules, current] = await Promise.all([
+        commissionRulesCollection.find({}).sort({ effectiveFrom: -1 }).toArray(),
+        getCommissionRule(),
+      ]);
+
+      res.status(200).json({
+        success: true,
+        count: rules.length,
+        current,
+        rules,
+      });
+    } catch (error) {
+      console.error("Error fetching commission rules:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch commission rules",
+        error: error.message,
+      });
+    }
+  });
+
+  // Add a commission rule (ADMIN ONLY)
+  // Applies to parcels delivered from effectiveFrom; earlier earnings keep the rule they were earned under
+  router.post(
+    "/admin/commission-rules",
+    verifyToken,
+    verifyAdmin,
+    validateBody("CommissionRuleCreate"),
+    async (req, res) => {
+      try {
+        const { sameDistrictPercent, interDistrictPercent, minimumPerParcel, effectiveFrom, note } = req.body;
+
+        const rule = {
+          sameDistrictPercent,
+          interDistrictPercent,
+          minimumPerParcel: minimumPerParcel ?? 0,
+          // Default to taking effect immediately
+          effectiveFrom: effectiveFrom ? new Date(effectiveFrom).toISOString() : new Date().toISOString(),
+          note: note || null,
+          createdBy: req.user.email,
+          createdAt: new Date().toISOString(),
+        };
+
+        const previousRule = await getCommissionRule();
+        const result = await commissionRulesCollection.insertOne(rule);
+
+        await recordAudit(req, {
+          action: "commission_rule.create",
+          target: { type: "commissionRule", id: result.insertedId },
+          before: {
+            sameDistrictPercent: previousRule.sameDistrictPercent,
+            interDistrictPercent: previousRule.interDistrictPercent,
+            minimumPerParcel: previousRule.minimumPerParcel,
+            effectiveFrom: previousRule.effectiveFrom,
+          },
+          after: {
+            sameDistrictPercent: rule.sameDistrictPercent,
+            interDistrictPercent: rule.interDistrictPercent,
+            minimumPerParcel: rule.minimumPerParcel,
+            effectiveFrom: rule.effectiveFrom,
+          },
+        });
+
+        res.status(201).json({
+          success: true,
+          message: "Commission rule saved",
+          rule: { ...rule, _id: result.insertedId },
+        });
+      } catch (error) {
+        console.error("Error saving commission rule:", error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to save commission rule",
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createEarningsRouter };
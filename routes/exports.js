@@ -0,0 +1,113 @@
+const express = require("express");
+const { buildParcelFilter, buildPaymentFilter } = require("../utils/parcelQuery");
+const { streamCsv } = require("../utils/csv");
+const { getLocalDate } = require("../utils/reportRange");
+
+const PARCEL_EXPORT_COLUMNS = [
+  { header: "Tracking No", value: (p) => p.tracking_no },
+  { header: "Created At", value: (p) => p.createdAt },
+  { header: "Status", value: (p) => p.status },
+  { header: "Parcel Name", value: (p) => p.parcelName },
+  { header: "Parcel Type", value: (p) => p.parcelType },
+  { header: "Weight (kg)", value: (p) => p.parcelWeight },
+  { header: "Sender Name", value: (p) => p.senderName },
+  { header: "Sender Email", value: (p) => p.senderEmail },
+  { header: "Sender District", value: (p) => p.senderDistrict },
+  { header: "Receiver Name", value: (p) => p.receiverName },
+  { header: "Receiver District", value: (p) => p.receiverDistrict },
+  { header: "Payment Method", value: (p) => p.paymentMethod },
+  { header: "Cost (BDT)", value: (p) => p.cost },
+  { header: "Paid At", value: (p) => p.paidAt },
+  { header: "Rider Email", value: (p) => p.riderEmail },
+  { header: "Delivered At", value: (p) => p.deliveredAt },
+];
+
+const PAYMENT_EXPORT_COLUMNS = [
+  { header: "Payment ID", value: (p) => p._id.toString() },
+  { header: "Paid At", value: (p) => p.paidAt },
+  { header: "Tracking No", value: (p) => p.trackingNumber },
+  { header: "Route", value: (p) => p.route },
+  { header: "Payer Name", value: (p) => p.userName },
+  { header: "Payer Email", value: (p) => p.userId },
+  { header: "Payment Method", value: (p) => p.paymentMethod },
+  { header: "Status", value: (p) => p.paymentStatus },
+  { header: "Amount (BDT)", value: (p) => p.amount },
+  { header: "Amount (USD)", value: (p) => p.amountPaidUSD },
+  { header: "Charged Currency", value: (p) => p.currency },
+  { header: "Amount Charged", value: (p) => p.amountPaid },
+  { header: "BDT per USD", value: (p) => p.exchangeRate },
+  { header: "Refunded (BDT)", value: (p) => p.amountRefundedBDT },
+  { header: "Card Brand", value: (p) => p.paymentDetails?.brand },
+  { header: "Card Last4", value: (p) => p.paymentDetails?.last4 },
+  { header: "Stripe Transaction ID", value: (p) => p.stripeTransactionId },
+  { header: "Collected By", value: (p) => p.collectedBy },
+  { header: "Settlement Status", value: (p) => p.settlementStatus },
+];
+
+/**
+ * Admin CSV export routes
+ * Streams the same result sets as GET /parcels and GET /payments, without pagination
+ */
+const createExportRouter = ({ data, middleware }) => {
+  const router = express.Router();
+  const { parcelsCollection, paymentsCollection } = data;
+  const { verifyToken, verifyAdmin } = middleware;
+
+  // Export parcels as CSV (ADMIN ONLY)
+  router.get("/admin/exports/parcels.csv", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { filter, error } = buildParcelFilter(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const cursor = parcelsCollection.find(filter).sort({ createdAt: -1 });
+      await streamCsv(res, cursor, PARCEL_EXPORT_COLUMNS, `parcels-${getLocalDate()}.csv`);
+    } catch (error) {
+      console.error("Error exporting parcels:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to export parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Export payments as CSV (ADMIN ONLY)
+  router.get("/admin/exports/payments.csv", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { filter, error } = buildPaymentFilter(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const cursor = paymentsCollection.find(filter).sort({ createdAt: -1 });
+      await streamCsv(res, cursor, PAYMENT_EXPORT_COLUMNS, `payments-${getLocalDate()}.csv`);
+    } catch (error) {
+      console.error("Error exporting payments:", error);
+      if (res.headersSent) {
+        return res.destroy(error);
+      }
+      res.status(500).json({
+        success: false,
+        message: "Failed to export payments",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createExportRouter };
@@ -0,0 +1,170 @@
+const express = require("express");
+const { validateBody } = require("../middleware/validate");
+
+const SERVICES = ["pickup", "delivery"];
+
+/**
+ * Geography routes
+ * Divisions, districts and service centers, and admin-managed delivery coverage
+ */
+const createGeoRouter = ({ middleware, geoService, auditService }) => {
+  const router = express.Router();
+  const { verifyToken, verifyAdmin } = middleware;
+  const { findDistrict, listDistricts, listDivisions, updateCoverage } = geoService;
+  const { recordAudit } = auditService;
+
+  // ==================== MASTER DATA (PUBLIC) ====================
+
+  // List divisions with district and coverage counts (PUBLIC)
+  router.get("/geo/divisions", async (req, res) => {
+    try {
+      const divisions = await listDivisions();
+
+      res.status(200).json({
+        success: true,
+        count: divisions.length,
+        divisions,
+      });
+    } catch (error) {
+      console.error("Error fetching divisions:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch divisions",
+        error: error.message,
+      });
+    }
+  });
+
+  // List districts (PUBLIC)
+  // ?division= restricts to one division, ?service=pickup|delivery to districts with that coverage
+  router.get("/geo/districts", async (req, res) => {
+    try {
+      const { division, service } = req.query;
+
+      if (service !== undefined && !SERVICES.includes(service)) {
+        return res.status(400).json({
+          success: false,
+          message: `service must be one of: ${SERVICES.join(", ")}`,
+        });
+      }
+
+      const districts = await listDistricts({ division, service });
+
+      res.status(200).json({
+        success: true,
+        count: districts.length,
+        districts,
+      });
+    } catch (error) {
+      console.error("Error fetching districts:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch districts",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get one district by any known spelling, e.g. Chittagong or Chattogram (PUBLIC)
+  router.get("/geo/districts/:name", async (req, res) => {
+    try {
+      const district = await findDistrict(req.params.name);
+
+      if (!district) {
+        return res.status(404).json({
+          success: false,
+          message: "District not found",
+        });
+      }
+
+      const { aliases, ...details } = district;
+
+      res.status(200).json({
+        success: true,
+        district: { ...details, otherSpellings: aliases.filter((alias) => alias !== district.name.toLowerCase()) },
+      });
+    } catch (error) {
+      console.error("Error fetching district:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch district",
+        error: error.message,
+      });
+    }
+  });
+
+  // List service centers, optionally for one division (PUBLIC)
+  router.get("/geo/service-centers", async (req, res) => {
+    try {
+      const districts = await listDistricts({ division: req.query.division });
+      const serviceCenters = districts.flatMap((district) =>
+        district.serviceCenters.map((center) => ({
+          ...center,
+          district: district.name,
+          division: district.division,
+          coverage: district.coverage,
+        }))
+      );
+
+      res.status(200).json({
+        success: true,
+        count: serviceCenters.length,
+        serviceCenters,
+      });
+    } catch (error) {
+      console.error("Error fetching service centers:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch service centers",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== COVERAGE (ADMIN) ====================
+
+  // Turn pickup and/or delivery on or off for a district (ADMIN ONLY)
+  // New parcels from or to a district without coverage are rejected; existing parcels are unaffected
+  router.patch(
+    "/admin/districts/:name/coverage",
+    verifyToken,
+    verifyAdmin,
+    validateBody("DistrictCoverageUpdate"),
+    async (req, res) => {
+      try {
+        const result = await updateCoverage(req.params.name, req.body);
+
+        if (!result) {
+          return res.status(404).json({
+            success: false,
+            message: "District not found",
+          });
+        }
+
+        await recordAudit(req, {
+          action: "district.coverage.update",
+          target: { type: "district", id: result.district.name },
+          before: { coverage: result.before.coverage },
+          after: { coverage: result.district.coverage },
+        });
+
+        res.status(200).json({
+          success: true,
+          message: "Coverage updated successfully",
+          district: result.district,
+        });
+      } catch (error) {
+        console.error("Error updating coverage:", error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to update coverage",
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  return router;
+};
+
+module.exports = { createGeoRouter };
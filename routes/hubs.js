@@ -0,0 +1,375 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../middleware/validate");
+const { HUB_TYPES } = require("../utils/hubRoute");
+
+/**
+ * Hub routes
+ * Hub and warehouse management, parcel routes between hubs and hub scan-in/scan-out
+ */
+const createHubRouter = ({ data, middleware, hubService, auditService }) => {
+  const router = express.Router();
+  const { hubsCollection, parcelsCollection } = data;
+  const { verifyToken, verifyAdmin, verifyParcelAccess } = middleware;
+  const { findHub, normalizeHubFields, planRoute, scanParcel } = hubService;
+  const { recordAudit } = auditService;
+
+  /**
+   * Verify Hub Staff
+   * Must be used after verifyToken middleware
+   * Admins can work at any hub, hub staff only at the hubs they're assigned to
+   * Attaches the hub as req.hub
+   */
+  const verifyHubStaff = async (req, res, next) => {
+    try {
+      const hub = await findHub(req.params.code);
+
+      if (!hub) {
+        return res.status(404).json({
+          success: false,
+          message: "Hub not found",
+        });
+      }
+
+      const isAdmin = req.user.role === "admin";
+      const isHubStaff = req.user.role === "hub_staff" && (hub.staffEmails || []).includes(req.user.email);
+
+      if (!isAdmin && !isHubStaff) {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden: Not assigned to this hub",
+        });
+      }
+
+      req.hub = hub;
+      next();
+    } catch (error) {
+      console.error("❌ Hub staff verification error:", error);
+      return res.status(500).json({
+        success: false,
+        message: "Error verifying hub access",
+      });
+    }
+  };
+
+  // ==================== HUB MANAGEMENT ====================
+
+  // List hubs and warehouses (ADMIN ONLY)
+  // ?type=hub|warehouse, ?division=, ?active=true|false
+  router.get("/admin/hubs", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { type, division, active } = req.query;
+      const filter = {};
+
+      if (type !== undefined) {
+        if (!HUB_TYPES.includes(type)) {
+          return res.status(400).json({
+            success: false,
+            message: `type must be one of: ${HUB_TYPES.join(", ")}`,
+          });
+        }
+        filter.type = type;
+      }
+      if (division) filter.division = division;
+      if (active !== undefined) filter.active = active === "true";
+
+      const hubs = await hubsCollection.find(filter).sort({ division: 1, code: 1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: hubs.length,
+        hubs,
+      });
+    } catch (error) {
+      console.error("Error fetching hubs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch hubs",
+        error: error.message,
+      });
+    }
+  });
+
+  // Create a hub or warehouse (ADMIN ONLY)
+  router.post("/admin/hubs", verifyToken, verifyAdmin, validateBody("HubCreate"), async (req, res) => {
+    try {
+      const hubData = { ...req.body };
+
+      const errors = await normalizeHubFields(hubData);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      if (await hubsCollection.findOne({ code: hubData.code })) {
+        return res.status(409).json({
+          success: false,
+          message: `Hub ${hubData.code} already exists`,
+        });
+      }
+
+      const hub = {
+        address: null,
+        servedDistricts: [],
+        staffEmails: [],
+        active: true,
+        ...hubData,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const result = await hubsCollection.insertOne(hub);
+
+      await recordAudit(req, {
+        action: "hub.create",
+        target: { type: "hub", id: hub.code },
+        after: { type: hub.type, district: hub.district, active: hub.active, staffEmails: hub.staffEmails },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Hub created successfully",
+        hub: { ...hub, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error creating hub:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create hub",
+        error: error.message,
+      });
+    }
+  });
+
+  // Update a hub or warehouse, e.g. assign staff or deactivate it (ADMIN ONLY)
+  // Parcels already routed through a deactivated hub keep their route until re-planned
+  router.patch("/admin/hubs/:code", verifyToken, verifyAdmin, validateBody("HubUpdate"), async (req, res) => {
+    try {
+      const updates = { ...req.body };
+
+      const errors = await normalizeHubFields(updates);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      const before = await hubsCollection.findOneAndUpdate(
+        { code: String(req.params.code).toUpperCase() },
+        { $set: { ...updates, updatedAt: new Date().toISOString() } },
+        { returnDocument: "before" }
+      );
+
+      if (!before) {
+        return res.status(404).json({
+          success: false,
+          message: "Hub not found",
+        });
+      }
+
+      const changed = Object.keys(updates);
+      await recordAudit(req, {
+        action: "hub.update",
+        target: { type: "hub", id: before.code },
+        before: Object.fromEntries(changed.map((field) => [field, before[field] ?? null])),
+        after: updates,
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Hub updated successfully",
+        hub: { ...before, ...updates },
+      });
+    } catch (error) {
+      console.error("Error updating hub:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update hub",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== HUB OPERATIONS ====================
+
+  // Hubs the logged in hub staff member is assigned to (PROTECTED - Auth Required)
+  router.get("/hubs/assigned", verifyToken, async (req, res) => {
+    try {
+      const hubs = await hubsCollection.find({ staffEmails: req.user.email }).sort({ code: 1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: hubs.length,
+        hubs,
+      });
+    } catch (error) {
+      console.error("Error fetching assigned hubs:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch hubs",
+        error: error.message,
+      });
+    }
+  });
+
+  // Parcels at a hub, or on their way to it with ?state=inbound (PROTECTED - Hub staff or Admin)
+  router.get("/hubs/:code/parcels", verifyToken, verifyHubStaff, async (req, res) => {
+    try {
+      const filter =
+        req.query.state === "inbound"
+          ? { "currentLocation.nextHubCode": req.hub.code, "currentLocation.state": "departed" }
+          : { "currentLocation.hubCode": req.hub.code, "currentLocation.state": "at_hub" };
+
+      const parcels = await parcelsCollection
+        .find({ ...filter, status: { $in: ["picked_up", "in_transit"] } })
+        .sort({ "currentLocation.at": 1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: parcels.length,
+        parcels,
+      });
+    } catch (error) {
+      console.error("Error fetching hub parcels:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch hub parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Scan a parcel in or out at a hub (PROTECTED - Hub staff or Admin)
+  const scanHandler = (scan) => async (req, res) => {
+    try {
+      const { trackingNo, note } = req.body;
+      const parcel = await parcelsCollection.findOne({ tracking_no: trackingNo.toUpperCase() });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "No parcel found with this tracking number",
+        });
+      }
+
+      const result = await scanParcel({
+        hub: req.hub,
+        parcel,
+        scan,
+        note,
+        actorRole: req.user.role === "admin" ? "admin" : "hub_staff",
+        req,
+      });
+
+      if (!result.parcel) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.message,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: scan === "in" ? `Scanned in at ${req.hub.name}` : `Scanned out of ${req.hub.name}`,
+        status: result.parcel.status,
+        currentLocation: result.parcel.currentLocation,
+        hubRoute: result.parcel.hubRoute,
+        history: result.historyEntry,
+      });
+    } catch (error) {
+      console.error(`Error scanning parcel ${scan}:`, error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to record scan",
+        error: error.message,
+      });
+    }
+  };
+
+  router.post("/hubs/:code/scan-in", verifyToken, verifyHubStaff, validateBody("HubScan"), scanHandler("in"));
+  router.post("/hubs/:code/scan-out", verifyToken, verifyHubStaff, validateBody("HubScan"), scanHandler("out"));
+
+  // ==================== PARCEL ROUTES ====================
+
+  // Planned hub route and current location (PROTECTED - Sender, assigned Rider or Admin)
+  // Parcels not yet scanned at a hub get a preview of the route they would take
+  router.get("/parcels/:id/route", verifyToken, verifyParcelAccess, async (req, res) => {
+    try {
+      const parcel = req.parcel;
+      const hubRoute = parcel.hubRoute || (await planRoute(parcel));
+
+      res.status(200).json({
+        success: true,
+        planned: !parcel.hubRoute,
+        hubRoute,
+        currentLocation: parcel.currentLocation || null,
+      });
+    } catch (error) {
+      console.error("Error fetching parcel route:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch parcel route",
+        error: error.message,
+      });
+    }
+  });
+
+  // Re-plan a parcel's hub route, e.g. after it was misrouted or a hub closed (ADMIN ONLY)
+  router.post("/admin/parcels/:id/route", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({ _id: new ObjectId(id) });
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      const hubRoute = await planRoute(parcel);
+
+      await parcelsCollection.updateOne(
+        { _id: parcel._id },
+        { $set: { hubRoute, updatedAt: new Date().toISOString() } }
+      );
+
+      await recordAudit(req, {
+        action: "parcel.route.plan",
+        target: { type: "parcel", id: parcel._id },
+        before: { hubRoute: (parcel.hubRoute || []).map((stop) => stop.code) },
+        after: { hubRoute: hubRoute.map((stop) => stop.code) },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Route planned successfully",
+        hubRoute,
+      });
+    } catch (error) {
+      console.error("Error planning parcel route:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to plan route",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createHubRouter };
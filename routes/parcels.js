@@ -0,0 +1,661 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const {
+  STATUS_LABELS,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  buildHistoryEntry,
+  buildTimeline,
+} = require("../utils/parcelStatus");
+const { getPricingError, calculateDeliveryCost } = require("../utils/pricing");
+const { validateBody } = require("../middleware/validate");
+const { buildParcelFilter, buildPagination } = require("../utils/parcelQuery");
+const { phoneVariants } = require("../utils/phone");
+const { REQUIRED_PARTY_FIELDS } = require("../schemas/parcel");
+
+/**
+ * Parcel routes
+ * Booking, listing, lifecycle status, quotes, cancellation requests and public tracking
+ */
+const createParcelRouter = ({ data, middleware, parcelService, contactService, geoService, auditService, events }) => {
+  const router = express.Router();
+  const { parcelsCollection, usersCollection } = data;
+  const { verifyToken, verifyAdmin, verifyOwnDataOrAdmin, verifyParcelOwnerOrAdmin, verifyParcelAccess } = middleware;
+  const { transitionParcelStatus } = parcelService;
+  const { recordAudit } = auditService;
+  const { resolveParcelContacts, markContactsUsed, normalizePhoneField } = contactService;
+  const { checkParcelCoverage } = geoService;
+
+  /**
+   * Find one page of parcels matching the listing query params
+   * baseFilter is always applied on top (e.g. to restrict to one sender)
+   * Returns { parcels, total, page, limit, totalPages } or { error }
+   */
+  const findParcelPage = async (query, baseFilter = {}) => {
+    const { filter, error: filterError } = buildParcelFilter(query);
+    if (filterError) {
+      return { error: filterError };
+    }
+
+    const pagination = buildPagination(query);
+    if (pagination.error) {
+      return { error: pagination.error };
+    }
+
+    const { page, limit, skip, sort } = pagination;
+    const finalFilter = { ...filter, ...baseFilter };
+
+    const [parcels, total] = await Promise.all([
+      parcelsCollection.find(finalFilter).sort(sort).skip(skip).limit(limit).toArray(),
+      parcelsCollection.countDocuments(finalFilter),
+    ]);
+
+    return { parcels, total, page, limit, totalPages: Math.ceil(total / limit) };
+  };
+
+  // ==================== PARCEL APIs ====================
+
+  // Get all parcels - paginated, filterable and sortable (ADMIN ONLY)
+  router.get("/parcels", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const result = await findParcelPage(req.query);
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        count: result.parcels.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        parcels: result.parcels,
+      });
+    } catch (error) {
+      console.error("Error fetching parcels:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Create a new parcel (PROTECTED - Auth Required)
+  // Sender and receiver can come from the address book - see ParcelCreate
+  // Rejected when a district is unknown or outside pickup/delivery coverage
+  router.post("/parcels", verifyToken, validateBody("ParcelCreate"), async (req, res) => {
+    try {
+      // Verify user is creating parcel for themselves
+      if (req.body.senderEmail !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          message: "Can only create parcels for your own email",
+        });
+      }
+
+      const resolved = await resolveParcelContacts(req.user.email, req.body);
+      if (!resolved.parcelData) {
+        return res.status(resolved.status).json({
+          success: false,
+          message: resolved.message,
+        });
+      }
+
+      const { parcelData, contactIds } = resolved;
+
+      const errors = [
+        ...REQUIRED_PARTY_FIELDS.filter((field) => !parcelData[field]).map((field) => ({
+          field,
+          message: "is required",
+        })),
+        normalizePhoneField(parcelData, "senderPhone"),
+        normalizePhoneField(parcelData, "receiverPhone"),
+      ].filter(Boolean);
+
+      // Districts must be known and covered - only checked once they are all present
+      if (errors.length === 0) {
+        errors.push(...(await checkParcelCoverage(parcelData)));
+      }
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      // Price is always computed server-side
+      const pricingError = getPricingError(parcelData);
+      if (pricingError) {
+        return res.status(400).json({
+          success: false,
+          message: pricingError,
+        });
+      }
+
+      const { cost, breakdown } = calculateDeliveryCost(parcelData);
+
+      // Add server-side data
+      const parcel = {
+        ...parcelData,
+        cost,
+        costBreakdown: breakdown,
+        status: "unpaid",
+        statusHistory: [
+          buildHistoryEntry({
+            status: "unpaid",
+            actorEmail: req.user.email,
+            actorRole: "sender",
+            note: "Parcel created",
+          }),
+        ],
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const result = await parcelsCollection.insertOne(parcel);
+      await markContactsUsed(contactIds);
+
+      await recordAudit(req, {
+        action: "parcel.create",
+        target: { type: "parcel", id: result.insertedId },
+        after: {
+          status: "unpaid",
+          cost,
+          senderDistrict: parcel.senderDistrict,
+          receiverDistrict: parcel.receiverDistrict,
+        },
+      });
+
+      events.emit("parcel.created", { parcel: { ...parcel, _id: result.insertedId } });
+
+      res.status(201).json({
+        success: true,
+        message: "Parcel created successfully",
+        parcelId: result.insertedId,
+        cost,
+      });
+    } catch (error) {
+      console.error("Error creating parcel:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create parcel",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get all parcels for a user - paginated, filterable and sortable (PROTECTED - Own data or Admin)
+  router.get("/parcels/user/:email", verifyToken, verifyOwnDataOrAdmin, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const result = await findParcelPage(req.query, { senderEmail: email });
+
+      if (result.error) {
+        return res.status(400).json({
+          success: false,
+          message: result.error,
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        count: result.parcels.length,
+        total: result.total,
+        page: result.page,
+        limit: result.limit,
+        totalPages: result.totalPages,
+        parcels: result.parcels,
+      });
+    } catch (error) {
+      console.error("Error fetching user parcels:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get unpaid parcels for a user (PROTECTED - Own data or Admin)
+  router.get("/parcels/user/:email/unpaid", verifyToken, verifyOwnDataOrAdmin, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const parcels = await parcelsCollection
+        .find({
+          senderEmail: email,
+          status: "unpaid",
+        })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: parcels.length,
+        parcels: parcels,
+      });
+    } catch (error) {
+      console.error("Error fetching unpaid parcels:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch unpaid parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get parcel by ID (PROTECTED - Sender, assigned Rider or Admin)
+  router.get("/parcels/:id", verifyToken, verifyParcelAccess, async (req, res) => {
+    try {
+      res.status(200).json({
+        success: true,
+        parcel: req.parcel,
+      });
+    } catch (error) {
+      console.error("Error fetching parcel:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch parcel",
+        error: error.message,
+      });
+    }
+  });
+
+  // Delete unpaid parcel (PROTECTED - Sender or Admin)
+  router.delete("/parcels/:id", verifyToken, verifyParcelOwnerOrAdmin, async (req, res) => {
+    try {
+      const parcel = req.parcel;
+
+      // Check if parcel is unpaid
+      if (parcel.status !== "unpaid") {
+        return res.status(400).json({
+          success: false,
+          message: "Only unpaid parcels can be deleted",
+        });
+      }
+
+      const result = await parcelsCollection.deleteOne({
+        _id: parcel._id,
+      });
+
+      if (result.deletedCount > 0) {
+        await recordAudit(req, {
+          action: "parcel.delete",
+          target: { type: "parcel", id: parcel._id },
+          before: {
+            status: parcel.status,
+            senderEmail: parcel.senderEmail,
+            parcelName: parcel.parcelName,
+            cost: parcel.cost,
+            createdAt: parcel.createdAt,
+          },
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Parcel deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting parcel:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete parcel",
+        error: error.message,
+      });
+    }
+  });
+
+  // Search parcels by receiver phone in any Bangladeshi format (PROTECTED - Own parcels, Admin can pass ?email)
+  router.get("/parcels/search/phone/:phone", verifyToken, async (req, res) => {
+    try {
+      const phone = req.params.phone;
+      const email = req.query.email || req.user.email;
+
+      // Searching someone else's parcels requires admin
+      if (email !== req.user.email) {
+        const user = await usersCollection.findOne({ email: req.user.email });
+        if (user?.role !== "admin") {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: Can only access your own data",
+          });
+        }
+      }
+
+      const parcels = await parcelsCollection
+        .find({
+          senderEmail: email,
+          receiverPhone: { $in: phoneVariants(phone) },
+        })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: parcels.length,
+        parcels: parcels,
+      });
+    } catch (error) {
+      console.error("Error searching parcels:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to search parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Advance parcel through its delivery lifecycle (PROTECTED - Sender, Rider or Admin)
+  router.patch("/parcels/:id/status", verifyToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { status, note } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      if (!isValidStatus(status)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid status",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      // Work out which lifecycle role the requester acts as
+      const user = await usersCollection.findOne({ email: req.user.email });
+      let actorRole = null;
+      if (user?.role === "admin") {
+        actorRole = "admin";
+      } else if (user?.role === "rider") {
+        // Riders can only move parcels they have accepted
+        if (parcel.riderEmail === req.user.email && parcel.assignmentStatus === "accepted") {
+          actorRole = "rider";
+        }
+      } else if (parcel.senderEmail === req.user.email) {
+        actorRole = "sender";
+      }
+
+      if (!actorRole) {
+        return res.status(403).json({
+          success: false,
+          message: "Forbidden: Cannot update this parcel",
+        });
+      }
+
+      // COD cash has to be recorded when the parcel is handed over
+      if (status === "delivered" && parcel.codStatus === "pending") {
+        return res.status(400).json({
+          success: false,
+          message: "Cash on delivery parcels must be delivered through the rider delivery endpoint",
+        });
+      }
+
+      // Riders prove the handover with the receiver's delivery code
+      if (status === "delivered" && actorRole === "rider") {
+        return res.status(400).json({
+          success: false,
+          message: "Riders must deliver through the rider delivery endpoint with the receiver's delivery code",
+        });
+      }
+
+      if (!canTransition(parcel.status, status, actorRole)) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot change status from '${parcel.status}' to '${status}'`,
+          allowedStatuses: getAllowedTransitions(parcel.status, actorRole),
+        });
+      }
+
+      const { result, historyEntry } = await transitionParcelStatus(parcel, {
+        status,
+        actorEmail: req.user.email,
+        actorRole,
+        note: note || null,
+        // Admins can confirm a delivery without a code (e.g. the receiver's phone was unreachable)
+        set:
+          status === "delivered"
+            ? { deliveredAt: new Date().toISOString(), deliveryProof: { method: "admin", deliveredBy: req.user.email } }
+            : {},
+        req,
+      });
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Parcel status was changed by another request. Please retry.",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: `Parcel status updated to ${status}`,
+        status,
+        history: historyEntry,
+      });
+    } catch (error) {
+      console.error("Error updating parcel status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update parcel status",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== QUOTE API ====================
+
+  // Preview delivery cost before creating a parcel (PUBLIC)
+  // Districts are checked and canonicalised the same way as a booking, so the quote matches the booked price
+  router.post("/quotes", async (req, res) => {
+    try {
+      const quoteData = { ...req.body };
+
+      const pricingError = getPricingError(quoteData);
+      if (pricingError) {
+        return res.status(400).json({
+          success: false,
+          message: pricingError,
+        });
+      }
+
+      const errors = await checkParcelCoverage(quoteData);
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      const quote = calculateDeliveryCost(quoteData);
+
+      res.status(200).json({
+        success: true,
+        quote,
+      });
+    } catch (error) {
+      console.error("Error calculating quote:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to calculate quote",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== CANCELLATION API ====================
+
+  // Request cancellation of a paid parcel before pickup (PROTECTED - Sender only)
+  router.post("/parcels/:id/cancellation-request", verifyToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { reason } = req.body;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      if (parcel.senderEmail !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          message: "Can only cancel your own parcels",
+        });
+      }
+
+      if (parcel.status === "unpaid") {
+        return res.status(400).json({
+          success: false,
+          message: "Unpaid parcels can be cancelled or deleted directly",
+        });
+      }
+
+      if (parcel.status !== "paid") {
+        return res.status(400).json({
+          success: false,
+          message: "Only paid parcels that haven't been picked up can be cancelled",
+        });
+      }
+
+      if (parcel.cancellationRequest?.status === "pending") {
+        return res.status(400).json({
+          success: false,
+          message: "A cancellation request is already pending",
+        });
+      }
+
+      const cancellationRequest = {
+        status: "pending",
+        reason: reason || null,
+        requestedBy: req.user.email,
+        requestedAt: new Date().toISOString(),
+      };
+
+      await parcelsCollection.updateOne(
+        { _id: parcel._id },
+        {
+          $set: {
+            cancellationRequest,
+            updatedAt: new Date().toISOString(),
+          },
+        }
+      );
+
+      await recordAudit(req, {
+        action: "parcel.cancellation.request",
+        target: { type: "parcel", id: parcel._id },
+        before: { cancellationRequest: parcel.cancellationRequest || null },
+        after: { cancellationRequest },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Cancellation requested",
+        cancellationRequest,
+      });
+    } catch (error) {
+      console.error("Error requesting cancellation:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to request cancellation",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== TRACKING API ====================
+
+  // Track parcel by tracking number (PUBLIC - No auth, redacted view)
+  router.get("/track/:trackingNo", async (req, res) => {
+    try {
+      const trackingNo = req.params.trackingNo.trim().toUpperCase();
+
+      if (!/^ZS\d{10}$/.test(trackingNo)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid tracking number",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({ tracking_no: trackingNo });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "No parcel found with this tracking number",
+        });
+      }
+
+      // Only expose what a receiver needs - no sender contact details
+      res.status(200).json({
+        success: true,
+        tracking: {
+          tracking_no: parcel.tracking_no,
+          parcelName: parcel.parcelName,
+          parcelType: parcel.parcelType,
+          senderName: parcel.senderName,
+          senderDistrict: parcel.senderDistrict,
+          receiverName: parcel.receiverName,
+          receiverDistrict: parcel.receiverDistrict,
+          riderName: parcel.riderName || null,
+          status: parcel.status,
+          statusDescription: STATUS_LABELS[parcel.status] || parcel.status,
+          currentLocation: parcel.currentLocation
+            ? { hubName: parcel.currentLocation.hubName, district: parcel.currentLocation.district }
+            : null,
+          createdAt: parcel.createdAt,
+          updatedAt: parcel.updatedAt,
+          timeline: buildTimeline(parcel),
+        },
+      });
+    } catch (error) {
+      console.error("Error tracking parcel:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to track parcel",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createParcelRouter };
@@ -0,0 +1,593 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { getParcelPrice } = require("../utils/pricing");
+const { getChargeCurrency, toChargeUnitAmount } = require("../utils/currency");
+const { validateBody } = require("../middleware/validate");
+const { buildPaymentFilter } = require("../utils/parcelQuery");
+const { writePaymentReceipt } = require("../utils/receipt");
+
+/**
+ * Payment routes
+ * Stripe checkout & webhook, cash on delivery booking, payment records and exchange rates
+ */
+const createPaymentRouter = ({
+  data,
+  middleware,
+  parcelService,
+  paymentService,
+  analyticsService,
+  auditService,
+  stripe,
+}) => {
+  const router = express.Router();
+  const { parcelsCollection, paymentsCollection, usersCollection } = data;
+  const { verifyToken, verifyAdmin, verifyOwnDataOrAdmin, verifyParcelOwnerOrAdmin } = middleware;
+  const { transitionParcelStatus } = parcelService;
+  const { getCurrentExchangeRate, recordStripePayment, recordFailedPaymentAttempt, buildRefundTotals } = paymentService;
+  const { getPaymentOverview } = analyticsService;
+  const { recordAudit } = auditService;
+
+  // ==================== PAYMENT API ====================
+
+  // Create Stripe Checkout Session (PROTECTED - Sender only)
+  router.post("/create-checkout-session", verifyToken, validateBody("CheckoutSessionCreate"), async (req, res) => {
+    try {
+      const { parcelId, customerEmail } = req.body;
+
+      // Validate parcel
+      if (!ObjectId.isValid(parcelId)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid parcel ID",
+        });
+      }
+
+      const parcel = await parcelsCollection.findOne({
+        _id: new ObjectId(parcelId),
+      });
+
+      if (!parcel) {
+        return res.status(404).json({
+          success: false,
+          message: "Parcel not found",
+        });
+      }
+
+      if (parcel.senderEmail !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          message: "Can only pay for your own parcels",
+        });
+      }
+
+      if (parcel.status !== "unpaid") {
+        return res.status(400).json({
+          success: false,
+          message: "Parcel is already paid",
+        });
+      }
+
+      // Charge the server-computed price, not an amount from the client
+      const price = getParcelPrice(parcel);
+      if (price.error) {
+        return res.status(400).json({
+          success: false,
+          message: price.error,
+        });
+      }
+      const amount = price.cost;
+
+      // Convert BDT to the charge currency using the current exchange rate
+      const exchangeRate = await getCurrentExchangeRate();
+      const currency = getChargeCurrency();
+      const unitAmount = toChargeUnitAmount(amount, currency, exchangeRate.bdtPerUsd);
+
+      // Create Stripe Checkout Session
+      const session = await stripe.checkout.sessions.create({
+        payment_method_types: ["card"],
+        customer_email: customerEmail, // Pre-fill email (editable)
+        line_items: [
+          {
+            price_data: {
+              currency: currency,
+              product_data: {
+                name: `Parcel Delivery - ${parcel.parcelName}`,
+                description: `Delivery from ${parcel.senderDistrict} to ${parcel.receiverDistrict}`,
+              },
+              unit_amount: unitAmount,
+            },
+            quantity: 1,
+          },
+        ],
+        mode: "payment",
+        success_url: `${process.env.CLIENT_URL}/dashboard/payment-success?session_id={CHECKOUT_SESSION_ID}&parcel_id=${parcelId}`,
+        cancel_url: `${process.env.CLIENT_URL}/dashboard/payment-cancelled/${parcelId}`,
+        metadata: {
+          parcelId: parcelId.toString(),
+          amount: amount.toString(),
+          customerEmail: customerEmail,
+          bdtPerUsd: exchangeRate.bdtPerUsd.toString(),
+          exchangeRateId: exchangeRate._id ? exchangeRate._id.toString() : "",
+        },
+        // Lets payment_intent webhook events be traced back to the parcel
+        payment_intent_data: {
+          metadata: {
+            parcelId: parcelId.toString(),
+          },
+        },
+      });
+
+      res.status(200).json({
+        success: true,
+        sessionId: session.id,
+        url: session.url,
+      });
+    } catch (error) {
+      console.error("Error creating checkout session:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create checkout session",
+        error: error.message,
+      });
+    }
+  });
+
+  // Verify payment and update parcel (PROTECTED - Auth Required)
+  router.post("/verify-payment", verifyToken, async (req, res) => {
+    try {
+      const { sessionId, parcelId } = req.body;
+
+      // Check if payment already exists for this session
+      const existingPayment = await paymentsCollection.findOne({
+        stripeSessionId: sessionId,
+      });
+
+      // Half-recorded payments (pendingParcelUpdate) and refunded ones go through recordStripePayment below
+      if (existingPayment && !existingPayment.pendingParcelUpdate && !existingPayment.refundRequiredReason) {
+        return res.status(200).json({
+          success: true,
+          message: "Payment already verified",
+          tracking_no: existingPayment.trackingNumber,
+        });
+      }
+
+      // Retrieve the session from Stripe
+      const session = await stripe.checkout.sessions.retrieve(sessionId);
+
+      if (parcelId && session.metadata?.parcelId !== parcelId) {
+        return res.status(400).json({
+          success: false,
+          message: "Session does not belong to this parcel",
+        });
+      }
+
+      const outcome = await recordStripePayment(session, req);
+
+      if (outcome.error) {
+        return res.status(outcome.error.status).json({
+          success: false,
+          message: outcome.error.message,
+        });
+      }
+
+      if (outcome.refundRequired) {
+        return res.status(409).json({
+          success: false,
+          message: outcome.refunded
+            ? "This parcel can no longer be paid for. Your payment has been refunded"
+            : "This parcel can no longer be paid for. Your payment will be refunded",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: outcome.recorded ? "Payment verified successfully" : "Payment already verified",
+        tracking_no: outcome.tracking_no,
+      });
+    } catch (error) {
+      console.error("Error verifying payment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to verify payment",
+        error: error.message,
+      });
+    }
+  });
+
+  // Stripe webhook - authoritative payment confirmation (PUBLIC - Verified by Stripe signature)
+  router.post("/webhooks/stripe", async (req, res) => {
+    let event;
+
+    try {
+      event = stripe.webhooks.constructEvent(
+        req.rawBody,
+        req.headers["stripe-signature"],
+        process.env.STRIPE_WEBHOOK_SECRET
+      );
+    } catch (error) {
+      console.error("❌ Stripe webhook signature verification failed:", error.message);
+      return res.status(400).json({
+        success: false,
+        message: "Invalid webhook signature",
+      });
+    }
+
+    try {
+      const object = event.data.object;
+
+      switch (event.type) {
+        case "checkout.session.completed":
+        case "checkout.session.async_payment_succeeded": {
+          // Delayed payment methods complete unpaid - async_payment_succeeded follows once the money arrives
+          if (object.payment_status !== "paid") {
+            break;
+          }
+
+          const outcome = await recordStripePayment(object);
+          if (outcome.error) {
+            // Non-2xx makes Stripe retry the event later
+            console.error("Webhook could not record payment:", object.id, outcome.error.message);
+            return res.status(500).json({
+              success: false,
+              message: outcome.error.message,
+            });
+          }
+          break;
+        }
+
+        case "checkout.session.async_payment_failed":
+          await recordFailedPaymentAttempt(object.metadata?.parcelId, {
+            status: "failed",
+            stripeSessionId: object.id,
+          });
+          break;
+
+        case "checkout.session.expired":
+          await recordFailedPaymentAttempt(object.metadata?.parcelId, {
+            status: "expired",
+            stripeSessionId: object.id,
+          });
+          break;
+
+        case "payment_intent.payment_failed":
+          await recordFailedPaymentAttempt(object.metadata?.parcelId, {
+            status: "failed",
+            stripePaymentIntentId: object.id,
+            reason: object.last_payment_error?.message || null,
+          });
+          break;
+
+        case "charge.refunded": {
+          // Sync totals from Stripe - also covers refunds made in the Stripe dashboard
+          const payment = await paymentsCollection.findOne({ stripePaymentIntentId: object.payment_intent });
+          if (payment) {
+            const totals = buildRefundTotals(payment, object.amount_refunded / 100);
+
+            await paymentsCollection.updateOne(
+              { _id: payment._id },
+              {
+                $set: {
+                  ...totals,
+                  refundStatus: "succeeded",
+                  refundedAt: new Date().toISOString(),
+                },
+              }
+            );
+
+            // Refunds issued through the API were already logged - only record a change in totals
+            if (totals.amountRefunded !== (payment.amountRefunded || 0)) {
+              await recordAudit(null, {
+                action: "payment.refund.sync",
+                target: { type: "payment", id: payment._id },
+                before: { amountRefunded: payment.amountRefunded || 0, paymentStatus: payment.paymentStatus },
+                after: { amountRefunded: totals.amountRefunded, paymentStatus: totals.paymentStatus },
+                metadata: { stripeEventId: event.id, stripeChargeId: object.id },
+              });
+            }
+          }
+          break;
+        }
+
+        default:
+          console.log("Unhandled Stripe event type:", event.type);
+      }
+
+      res.status(200).json({ received: true });
+    } catch (error) {
+      // Non-2xx makes Stripe retry the event later
+      console.error("Error handling Stripe webhook:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process webhook",
+        error: error.message,
+      });
+    }
+  });
+
+  // Book a parcel for Cash on Delivery (PROTECTED - Sender or Admin)
+  router.post("/parcels/:id/pay", verifyToken, verifyParcelOwnerOrAdmin, async (req, res) => {
+    try {
+      const id = req.params.id;
+      const { paymentMethod } = req.body;
+
+      // Card payments must go through Stripe Checkout
+      const validPaymentMethods = ["cod"];
+      if (!validPaymentMethods.includes(paymentMethod)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment method. Use Stripe checkout for card payments",
+        });
+      }
+
+      const parcel = req.parcel;
+
+      // Check if already paid
+      if (parcel.status !== "unpaid") {
+        return res.status(400).json({
+          success: false,
+          message: "Parcel is already paid",
+        });
+      }
+
+      const price = getParcelPrice(parcel);
+      if (price.error) {
+        return res.status(400).json({
+          success: false,
+          message: price.error,
+        });
+      }
+
+      // Generate tracking number
+      const timestamp = Date.now().toString().slice(-8);
+      const random = Math.floor(Math.random() * 100)
+        .toString()
+        .padStart(2, "0");
+      const tracking_no = `ZS${timestamp}${random}`;
+
+      // Nothing is paid yet - the rider collects the cash on delivery
+      const { result } = await transitionParcelStatus(parcel, {
+        status: "cod_pending",
+        actorEmail: parcel.senderEmail,
+        actorRole: "system",
+        note: "Booked for cash on delivery",
+        set: {
+          tracking_no: tracking_no,
+          paymentMethod: paymentMethod,
+          codAmount: price.cost,
+          codStatus: "pending", // 'pending' -> 'collected' -> 'settled'
+        },
+        req,
+      });
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Parcel status was changed by another request. Please retry.",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Cash on delivery booked successfully",
+        tracking_no: tracking_no,
+        parcel: {
+          _id: id,
+          tracking_no: tracking_no,
+          status: "cod_pending",
+          codAmount: price.cost,
+        },
+      });
+    } catch (error) {
+      console.error("Error processing payment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to process payment",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== PAYMENT MANAGEMENT APIs ====================
+
+  // Get all payments (ADMIN ONLY)
+  router.get("/payments", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const { filter, error } = buildPaymentFilter(req.query);
+
+      if (error) {
+        return res.status(400).json({
+          success: false,
+          message: error,
+        });
+      }
+
+      const payments = await paymentsCollection.find(filter).sort({ createdAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: payments.length,
+        payments: payments,
+      });
+    } catch (error) {
+      console.error("Error fetching payments:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payments",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get payments by user email (PROTECTED - Own data or Admin)
+  router.get("/payments/user/:email", verifyToken, verifyOwnDataOrAdmin, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const payments = await paymentsCollection.find({ userId: email }).sort({ createdAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: payments.length,
+        payments: payments,
+      });
+    } catch (error) {
+      console.error("Error fetching user payments:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payments",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get payment by ID (PROTECTED - Payer or Admin)
+  router.get("/payments/:id", verifyToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment ID",
+        });
+      }
+
+      const payment = await paymentsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found",
+        });
+      }
+
+      if (payment.userId !== req.user.email) {
+        const user = await usersCollection.findOne({ email: req.user.email });
+        if (user?.role !== "admin") {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: Can only access your own payments",
+          });
+        }
+      }
+
+      res.status(200).json({
+        success: true,
+        payment: payment,
+      });
+    } catch (error) {
+      console.error("Error fetching payment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payment",
+        error: error.message,
+      });
+    }
+  });
+
+  // Download a PDF receipt for a payment (PROTECTED - Payer or Admin)
+  router.get("/payments/:id/receipt", verifyToken, async (req, res) => {
+    try {
+      const id = req.params.id;
+
+      if (!ObjectId.isValid(id)) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid payment ID",
+        });
+      }
+
+      const payment = await paymentsCollection.findOne({
+        _id: new ObjectId(id),
+      });
+
+      if (!payment) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found",
+        });
+      }
+
+      if (payment.userId !== req.user.email) {
+        const user = await usersCollection.findOne({ email: req.user.email });
+        if (user?.role !== "admin") {
+          return res.status(403).json({
+            success: false,
+            message: "Forbidden: Can only access your own payments",
+          });
+        }
+      }
+
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="receipt-${payment.trackingNumber || id}.pdf"`);
+      writePaymentReceipt(payment, res);
+    } catch (error) {
+      console.error("Error generating receipt:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to generate receipt",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get payment statistics (ADMIN ONLY)
+  router.get("/payments/stats/overview", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const overview = await getPaymentOverview();
+
+      res.status(200).json({
+        success: true,
+        stats: {
+          totalPayments: overview.totalPayments,
+          successfulPayments: overview.successfulPayments,
+          totalRevenueBDT: Math.round(overview.totalRevenueBDT),
+          totalRevenueUSD: overview.totalRevenueUSD.toFixed(2),
+          todayPayments: overview.todayPayments,
+          todayRevenueBDT: Math.round(overview.todayRevenueBDT),
+          averageTransactionBDT: Math.round(overview.totalRevenueBDT / overview.totalPayments) || 0,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching payment stats:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch payment statistics",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== EXCHANGE RATE APIs ====================
+
+  // Get the exchange rate currently used for checkout (PUBLIC)
+  router.get("/exchange-rates/current", async (req, res) => {
+    try {
+      const rate = await getCurrentExchangeRate();
+
+      res.status(200).json({
+        success: true,
+        rate: {
+          baseCurrency: "USD",
+          quoteCurrency: "BDT",
+          bdtPerUsd: rate.bdtPerUsd,
+          effectiveFrom: rate.effectiveFrom,
+          isDefault: rate.isDefault,
+          chargeCurrency: getChargeCurrency(),
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching exchange rate:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch exchange rate",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createPaymentRouter };
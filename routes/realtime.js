@@ -0,0 +1,32 @@
+const express = require("express");
+
+/**
+ * Real-time routes
+ * Server-Sent Events stream of parcel and payment updates
+ */
+const createRealtimeRouter = ({ middleware, realtimeService }) => {
+  const router = express.Router();
+  const { verifyToken } = middleware;
+  const { subscribe } = realtimeService;
+
+  // Browsers' EventSource can't set headers, so also accept the Firebase ID token as ?token=
+  const tokenFromQuery = (req, res, next) => {
+    if (!req.headers.authorization && typeof req.query.token === "string") {
+      req.headers.authorization = `Bearer ${req.query.token}`;
+    }
+    next();
+  };
+
+  // ==================== EVENT STREAM ====================
+
+  // Live updates for the logged in user (PROTECTED - Auth Required)
+  // Events: parcel.status_changed, parcel.scanned, parcel.assigned, parcel.unassigned, parcel.created, payment.recorded
+  // Ends with stream.closed { reason } when the token expires or the user loses access - reconnect with a fresh token
+  router.get("/events/stream", tokenFromQuery, verifyToken, (req, res) => {
+    subscribe(req, res, req.user);
+  });
+
+  return router;
+};
+
+module.exports = { createRealtimeRouter };
@@ -0,0 +1,390 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { validateBody } = require("../middleware/validate");
+
+const APPLICATION_STATUSES = ["pending", "approved", "rejected"];
+
+const MINIMUM_RIDER_AGE = 18;
+
+// Age in whole years on a YYYY-MM-DD date of birth
+const ageOn = (dateOfBirth, today = new Date()) => {
+  const [year, month, day] = dateOfBirth.split("-").map(Number);
+  const hadBirthday = today.getMonth() + 1 > month || (today.getMonth() + 1 === month && today.getDate() >= day);
+  return today.getFullYear() - year - (hadBirthday ? 0 : 1);
+};
+
+/**
+ * Rider application routes
+ * Users apply to become riders; admins approve (making them riders with a rider profile) or reject
+ */
+const createRiderApplicationRouter = ({ data, middleware, contactService, geoService, auditService, events }) => {
+  const router = express.Router();
+  const { riderApplicationsCollection, riderProfilesCollection, usersCollection } = data;
+  const { verifyToken, verifyAdmin, verifyRider } = middleware;
+  const { normalizePhoneField } = contactService;
+  const { normalizeDistrictField, normalizeDistrictList } = geoService;
+  const { recordAudit } = auditService;
+
+  // ==================== APPLICATIONS (USERS) ====================
+
+  // Apply to become a rider (PROTECTED - Auth Required)
+  // One pending application at a time; rejected applicants can apply again
+  router.post("/riders/applications", verifyToken, validateBody("RiderApplicationCreate"), async (req, res) => {
+    try {
+      const email = req.user.email;
+      const applicationData = { ...req.body };
+
+      if (req.user.role && req.user.role !== "user") {
+        return res.status(409).json({
+          success: false,
+          message: `You already have the ${req.user.role} role`,
+        });
+      }
+
+      const errors = [
+        normalizePhoneField(applicationData, "phone"),
+        (await normalizeDistrictField(applicationData, "district")).error,
+        ...(await normalizeDistrictList(applicationData, "preferredDistricts")),
+        ageOn(applicationData.dateOfBirth) < MINIMUM_RIDER_AGE && {
+          field: "dateOfBirth",
+          message: `Riders must be at least ${MINIMUM_RIDER_AGE} years old`,
+        },
+      ].filter(Boolean);
+
+      if (errors.length > 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Validation failed",
+          errors,
+        });
+      }
+
+      if (await riderApplicationsCollection.findOne({ applicantEmail: email, status: "pending" })) {
+        return res.status(409).json({
+          success: false,
+          message: "You already have a pending rider application",
+        });
+      }
+
+      const application = {
+        ...applicationData,
+        applicantEmail: email,
+        status: "pending",
+        reviewedBy: null,
+        reviewedAt: null,
+        rejectionReason: null,
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+      };
+
+      const result = await riderApplicationsCollection.insertOne(application);
+
+      await recordAudit(req, {
+        action: "rider_application.create",
+        target: { type: "riderApplication", id: result.insertedId },
+        after: {
+          status: "pending",
+          vehicleType: application.vehicle.type,
+          preferredDistricts: application.preferredDistricts,
+        },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "Rider application submitted",
+        application: { ...application, _id: result.insertedId },
+      });
+    } catch (error) {
+      // Unique index: a second pending application submitted at the same moment
+      if (error.code === 11000) {
+        return res.status(409).json({
+          success: false,
+          message: "You already have a pending rider application",
+        });
+      }
+      console.error("Error submitting rider application:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to submit rider application",
+        error: error.message,
+      });
+    }
+  });
+
+  // Own rider applications, newest first (PROTECTED - Auth Required)
+  router.get("/riders/applications/me", verifyToken, async (req, res) => {
+    try {
+      const applications = await riderApplicationsCollection
+        .find({ applicantEmail: req.user.email })
+        .sort({ createdAt: -1 })
+        .toArray();
+
+      res.status(200).json({
+        success: true,
+        count: applications.length,
+        applications,
+      });
+    } catch (error) {
+      console.error("Error fetching rider applications:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider applications",
+        error: error.message,
+      });
+    }
+  });
+
+  // Own rider profile (RIDER ONLY)
+  router.get("/riders/me/profile", verifyToken, verifyRider, async (req, res) => {
+    try {
+      const profile = await riderProfilesCollection.findOne({ email: req.user.email });
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: "Rider profile not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        profile,
+      });
+    } catch (error) {
+      console.error("Error fetching rider profile:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider profile",
+        error: error.message,
+      });
+    }
+  });
+
+  // ==================== APPLICATION QUEUE (ADMIN) ====================
+
+  // Rider applications, oldest first (ADMIN ONLY)
+  // ?status=pending (default) | approved | rejected, ?district= matches preferred districts
+  router.get("/admin/rider-applications", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const status = req.query.status || "pending";
+
+      if (!APPLICATION_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: `status must be one of: ${APPLICATION_STATUSES.join(", ")}`,
+        });
+      }
+
+      const query = { status };
+      if (req.query.district) {
+        const district = await geoService.findDistrict(req.query.district);
+        query.preferredDistricts = district ? district.name : req.query.district;
+      }
+
+      const applications = await riderApplicationsCollection.find(query).sort({ createdAt: 1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: applications.length,
+        applications,
+      });
+    } catch (error) {
+      console.error("Error fetching rider applications:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider applications",
+        error: error.message,
+      });
+    }
+  });
+
+  // Approve or reject a pending application (ADMIN ONLY)
+  // Approval makes the applicant a rider and creates their rider profile
+  router.patch(
+    "/admin/rider-applications/:id/review",
+    verifyToken,
+    verifyAdmin,
+    validateBody("RiderApplicationReview"),
+    async (req, res) => {
+      try {
+        const id = req.params.id;
+        const { decision, reason, note } = req.body;
+
+        if (!ObjectId.isValid(id)) {
+          return res.status(400).json({
+            success: false,
+            message: "Invalid application ID",
+          });
+        }
+
+        const application = await riderApplicationsCollection.findOne({ _id: new ObjectId(id) });
+
+        if (!application) {
+          return res.status(404).json({
+            success: false,
+            message: "Application not found",
+          });
+        }
+
+        if (application.status !== "pending") {
+          return res.status(409).json({
+            success: false,
+            message: `Application is already ${application.status}`,
+          });
+        }
+
+        // Approving must not demote an admin or hub staff member who applied before getting that role
+        const applicant = await usersCollection.findOne({ email: application.applicantEmail });
+        if (decision === "approve" && (!applicant || (applicant.role && applicant.role !== "user"))) {
+          return res.status(409).json({
+            success: false,
+            message: applicant
+              ? `Applicant already has the ${applicant.role} role`
+              : "Applicant's user account no longer exists",
+          });
+        }
+
+        const now = new Date().toISOString();
+        const status = decision === "approve" ? "approved" : "rejected";
+
+        // Only if nobody else reviewed it in the meantime
+        const reviewed = await riderApplicationsCollection.findOneAndUpdate(
+          { _id: application._id, status: "pending" },
+          {
+            $set: {
+              status,
+              reviewedBy: req.user.email,
+              reviewedAt: now,
+              rejectionReason: decision === "reject" ? reason : null,
+              reviewNote: note || null,
+              updatedAt: now,
+            },
+          },
+          { returnDocument: "after" }
+        );
+
+        if (!reviewed) {
+          return res.status(409).json({
+            success: false,
+            message: "Application was reviewed by another request",
+          });
+        }
+
+        if (decision === "approve") {
+          // Only if the applicant's role is still the one checked above
+          const promoted = await usersCollection.updateOne(
+            { email: application.applicantEmail, role: { $in: ["user", null] } },
+            { $set: { role: "rider", updatedAt: now } }
+          );
+
+          if (promoted.matchedCount === 0) {
+            // Put the application back so it can be reviewed again
+            await riderApplicationsCollection.updateOne(
+              { _id: application._id, status },
+              {
+                $set: { status: "pending", reviewedBy: null, reviewedAt: null, rejectionReason: null, updatedAt: now },
+                $unset: { reviewNote: "" },
+              }
+            );
+
+            return res.status(409).json({
+              success: false,
+              message: "Applicant's role was changed by another request. Please refresh.",
+            });
+          }
+        }
+
+        await recordAudit(req, {
+          action: `rider_application.${decision}`,
+          target: { type: "riderApplication", id: application._id },
+          before: { status: "pending" },
+          after: { status, ...(decision === "reject" && { rejectionReason: reason }) },
+          metadata: { applicantEmail: application.applicantEmail, note: note || null },
+        });
+
+        if (decision === "approve") {
+          await recordAudit(req, {
+            action: "user.role.update",
+            target: { type: "user", id: application.applicantEmail },
+            before: { role: applicant.role || "user" },
+            after: { role: "rider" },
+            metadata: { applicationId: application._id.toString() },
+          });
+
+          events.emit("user.access_changed", { email: application.applicantEmail });
+
+          // Re-approved riders (e.g. after being demoted) get their profile refreshed
+          const profile = {
+            email: application.applicantEmail,
+            fullName: application.fullName,
+            phone: application.phone,
+            district: application.district,
+            address: application.address,
+            vehicle: application.vehicle,
+            serviceDistricts: application.preferredDistricts,
+            nidLast4: application.nidNumber.slice(-4),
+            applicationId: application._id,
+            onboardedBy: req.user.email,
+            onboardedAt: now,
+            updatedAt: now,
+          };
+
+          await riderProfilesCollection.updateOne(
+            { email: profile.email },
+            { $set: profile, $setOnInsert: { createdAt: now } },
+            { upsert: true }
+          );
+
+          await recordAudit(req, {
+            action: "rider_profile.upsert",
+            target: { type: "riderProfile", id: profile.email },
+            after: { vehicleType: profile.vehicle.type, serviceDistricts: profile.serviceDistricts },
+          });
+        }
+
+        res.status(200).json({
+          success: true,
+          message: decision === "approve" ? `${application.applicantEmail} is now a rider` : "Application rejected",
+          application: reviewed,
+        });
+      } catch (error) {
+        console.error("Error reviewing rider application:", error);
+        res.status(500).json({
+          success: false,
+          message: "Failed to review rider application",
+          error: error.message,
+        });
+      }
+    }
+  );
+
+  // A rider's profile (ADMIN ONLY)
+  router.get("/admin/riders/:riderEmail/profile", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const profile = await riderProfilesCollection.findOne({ email: req.params.riderEmail });
+
+      if (!profile) {
+        return res.status(404).json({
+          success: false,
+          message: "Rider profile not found",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        profile,
+      });
+    } catch (error) {
+      console.error("Error fetching rider profile:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider profile",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRiderApplicationRouter };
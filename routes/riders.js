@@ -0,0 +1,406 @@
+const express = require("express");
+const { ObjectId } = require("mongodb");
+const { canTransition } = require("../utils/parcelStatus");
+const { bdtToUSD } = require("../utils/currency");
+
+/**
+ * Rider routes
+ * Assigned parcel tasks for the logged in rider
+ */
+const createRiderRouter = ({
+  data,
+  middleware,
+  parcelService,
+  paymentService,
+  deliveryProofService,
+  auditService,
+  events,
+}) => {
+  const router = express.Router();
+  const { recordAudit } = auditService;
+  const { parcelsCollection, paymentsCollection } = data;
+  const { verifyToken, verifyRider, verifyAssignedRider } = middleware;
+  const { transitionParcelStatus } = parcelService;
+  const { getCurrentExchangeRate } = paymentService;
+  const { verifyDeliveryCode } = deliveryProofService;
+
+  // ==================== RIDER APIs ====================
+
+  // Get parcels assigned to the logged in rider (RIDER ONLY)
+  router.get("/riders/me/parcels", verifyToken, verifyRider, async (req, res) => {
+    try {
+      const query = { riderEmail: req.user.email };
+
+      if (req.query.status) {
+        query.status = req.query.status;
+      }
+
+      if (req.query.assignmentStatus) {
+        query.assignmentStatus = req.query.assignmentStatus;
+      }
+
+      const parcels = await parcelsCollection.find(query).sort({ assignedAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: parcels.length,
+        parcels: parcels,
+      });
+    } catch (error) {
+      console.error("Error fetching rider parcels:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch rider parcels",
+        error: error.message,
+      });
+    }
+  });
+
+  // Accept an assigned parcel (RIDER ONLY)
+  router.patch("/riders/me/parcels/:id/accept", verifyToken, verifyRider, verifyAssignedRider, async (req, res) => {
+    try {
+      const parcel = req.parcel;
+
+      if (parcel.assignmentStatus !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Assignment is already ${parcel.assignmentStatus}`,
+        });
+      }
+
+      // Only while still assigned to this rider and unanswered - an admin may have reassigned it meanwhile
+      const result = await parcelsCollection.updateOne(
+        { _id: parcel._id, riderEmail: req.user.email, assignmentStatus: "pending" },
+        {
+          $set: {
+            assignmentStatus: "accepted",
+            assignmentRespondedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+          },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Assignment was changed by another request. Please refresh.",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "parcel.assignment.accept",
+        target: { type: "parcel", id: parcel._id },
+        before: { assignmentStatus: parcel.assignmentStatus },
+        after: { assignmentStatus: "accepted" },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Assignment accepted",
+      });
+    } catch (error) {
+      console.error("Error accepting assignment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to accept assignment",
+        error: error.message,
+      });
+    }
+  });
+
+  // Reject an assigned parcel (RIDER ONLY)
+  router.patch("/riders/me/parcels/:id/reject", verifyToken, verifyRider, verifyAssignedRider, async (req, res) => {
+    try {
+      const parcel = req.parcel;
+      const { reason } = req.body;
+
+      if (parcel.assignmentStatus !== "pending") {
+        return res.status(400).json({
+          success: false,
+          message: `Assignment is already ${parcel.assignmentStatus}`,
+        });
+      }
+
+      // Release the parcel so an admin can reassign it (unless it was reassigned or answered meanwhile)
+      const result = await parcelsCollection.updateOne(
+        { _id: parcel._id, riderEmail: req.user.email, assignmentStatus: "pending" },
+        {
+          $set: {
+            riderEmail: null,
+            riderName: null,
+            assignmentStatus: "rejected",
+            assignmentRespondedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+          },
+          $push: {
+            rejectedAssignments: {
+              riderEmail: req.user.email,
+              reason: reason || null,
+              rejectedAt: new Date().toISOString(),
+            },
+          },
+        }
+      );
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Assignment was changed by another request. Please refresh.",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "parcel.assignment.reject",
+        target: { type: "parcel", id: parcel._id },
+        before: { riderEmail: parcel.riderEmail, assignmentStatus: parcel.assignmentStatus },
+        after: { riderEmail: null, assignmentStatus: "rejected" },
+        metadata: { reason: reason || null },
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Assignment rejected",
+      });
+    } catch (error) {
+      console.error("Error rejecting assignment:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to reject assignment",
+        error: error.message,
+      });
+    }
+  });
+
+  // Mark an accepted parcel as picked up (RIDER ONLY)
+  router.patch("/riders/me/parcels/:id/pickup", verifyToken, verifyRider, verifyAssignedRider, async (req, res) => {
+    try {
+      const parcel = req.parcel;
+
+      if (parcel.assignmentStatus !== "accepted") {
+        return res.status(400).json({
+          success: false,
+          message: "Accept the assignment before pickup",
+        });
+      }
+
+      if (!canTransition(parcel.status, "picked_up", "rider")) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot pick up a parcel that is '${parcel.status}'`,
+        });
+      }
+
+      const { result } = await transitionParcelStatus(parcel, {
+        status: "picked_up",
+        actorEmail: req.user.email,
+        actorRole: "rider",
+        note: req.body.note || "Picked up by rider",
+        set: { pickedUpAt: new Date().toISOString() },
+        req,
+      });
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Parcel status was changed by another request. Please retry.",
+        });
+      }
+
+      res.status(200).json({
+        success: true,
+        message: "Parcel marked as picked up",
+        status: "picked_up",
+      });
+    } catch (error) {
+      console.error("Error marking pickup:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to mark parcel as picked up",
+        error: error.message,
+      });
+    }
+  });
+
+  /**
+   * Save the COD payment held on a delivered parcel, then clear the parcel's pendingCodPayment marker
+   * The payment keeps the _id it was given at delivery, so a retry after a failed request can't save it twice
+   */
+  const completeCodPayment = async (parcel, req) => {
+    const codPayment = parcel.pendingCodPayment;
+
+    try {
+      await paymentsCollection.insertOne(codPayment);
+    } catch (insertError) {
+      // Already saved by an earlier attempt
+      if (insertError.code !== 11000) throw insertError;
+    }
+
+    // Only the request that clears the marker audits and announces the payment
+    const { modifiedCount } = await parcelsCollection.updateOne(
+      { _id: parcel._id, pendingCodPayment: { $exists: true } },
+      { $unset: { pendingCodPayment: "" } }
+    );
+
+    if (modifiedCount > 0) {
+      await recordAudit(req, {
+        action: "payment.create",
+        target: { type: "payment", id: codPayment._id },
+        after: {
+          parcelId: parcel._id.toString(),
+          paymentMethod: "cod",
+          amount: codPayment.amount,
+          amountPaid: codPayment.amountPaid,
+          cashCollected: codPayment.cashCollected,
+          currency: "bdt",
+        },
+        metadata: { source: "rider-delivery" },
+      });
+
+      events.emit("payment.recorded", { payment: codPayment });
+    }
+  };
+
+  // Mark an accepted parcel as delivered (RIDER ONLY)
+  // Needs the delivery code texted to the receiver when the parcel went out for delivery
+  // COD payments are kept on the parcel as pendingCodPayment until saved, so retrying finishes a failed request
+  router.patch("/riders/me/parcels/:id/deliver", verifyToken, verifyRider, verifyAssignedRider, async (req, res) => {
+    try {
+      const parcel = req.parcel;
+
+      if (parcel.status === "delivered" && parcel.pendingCodPayment) {
+        await completeCodPayment(parcel, req);
+        return res.status(200).json({
+          success: true,
+          message: "Parcel delivered and cash collection recorded",
+          status: "delivered",
+        });
+      }
+
+      if (parcel.assignmentStatus !== "accepted") {
+        return res.status(400).json({
+          success: false,
+          message: "Parcel assignment has not been accepted",
+        });
+      }
+
+      if (!canTransition(parcel.status, "delivered", "rider")) {
+        return res.status(400).json({
+          success: false,
+          message: `Cannot deliver a parcel that is '${parcel.status}'`,
+        });
+      }
+
+      // COD parcels: rider must confirm the full amount was collected
+      const isCOD = parcel.codStatus === "pending";
+      const cashCollected = Number(req.body.cashCollected);
+
+      if (isCOD && (!Number.isFinite(cashCollected) || cashCollected < parcel.codAmount)) {
+        return res.status(400).json({
+          success: false,
+          message: `Collect ৳${parcel.codAmount} in cash before completing delivery`,
+          codAmount: parcel.codAmount,
+        });
+      }
+
+      // Checked last so a missing COD amount doesn't use up a code attempt
+      const verification = await verifyDeliveryCode(parcel, req.body.deliveryCode);
+
+      if (verification.status) {
+        return res.status(verification.status).json({
+          success: false,
+          message: verification.message,
+        });
+      }
+
+      let codPayment = null;
+
+      if (isCOD) {
+        const exchangeRate = await getCurrentExchangeRate();
+
+        codPayment = {
+          _id: new ObjectId(),
+          parcelId: parcel._id,
+          userId: parcel.senderEmail,
+          userName: parcel.senderName,
+
+          // Payment details
+          amount: parcel.codAmount, // Amount due in BDT
+          amountPaid: parcel.codAmount, // What the rider owes at settlement
+          amountPaidUSD: bdtToUSD(parcel.codAmount, exchangeRate.bdtPerUsd),
+          currency: "bdt",
+          exchangeRate: exchangeRate.bdtPerUsd,
+          exchangeRateId: exchangeRate._id ? exchangeRate._id.toString() : null,
+          paymentMethod: "cod",
+          paymentStatus: "succeeded",
+
+          // Rider cash reconciliation
+          cashCollected, // Cash actually handed to the rider
+          overCollected: cashCollected - parcel.codAmount, // Change owed back to the receiver, not settled
+          collectedBy: req.user.email,
+          collectedByName: req.userData.displayName,
+          settlementStatus: "outstanding", // 'outstanding' or 'settled'
+
+          // Parcel info
+          parcelName: parcel.parcelName,
+          trackingNumber: parcel.tracking_no,
+          route: `${parcel.senderDistrict} → ${parcel.receiverDistrict}`,
+
+          // Timestamps
+          paidAt: new Date().toISOString(),
+          createdAt: new Date().toISOString(),
+        };
+      }
+
+      const { result } = await transitionParcelStatus(parcel, {
+        status: "delivered",
+        actorEmail: req.user.email,
+        actorRole: "rider",
+        note: req.body.note || "Delivered by rider",
+        set: {
+          deliveredAt: new Date().toISOString(),
+          deliveryProof: {
+            method: "delivery_code",
+            deliveredBy: req.user.email,
+            codeVerifiedAt: verification.verifiedAt,
+          },
+          ...(isCOD && {
+            codStatus: "collected",
+            codCollectedAt: codPayment.paidAt,
+            paidAmount: parcel.codAmount,
+            paidAt: codPayment.paidAt,
+            pendingCodPayment: codPayment,
+          }),
+        },
+        req,
+      });
+
+      if (result.matchedCount === 0) {
+        return res.status(409).json({
+          success: false,
+          message: "Parcel status was changed by another request. Please retry.",
+        });
+      }
+
+      if (isCOD) {
+        await completeCodPayment({ ...parcel, pendingCodPayment: codPayment }, req);
+      }
+
+      res.status(200).json({
+        success: true,
+        message: isCOD ? "Parcel delivered and cash collection recorded" : "Parcel marked as delivered",
+        status: "delivered",
+      });
+    } catch (error) {
+      console.error("Error marking delivery:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to mark parcel as delivered",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createRiderRouter };
@@ -0,0 +1,392 @@
+const express = require("express");
+const { validateBody } = require("../middleware/validate");
+
+/**
+ * User routes
+ * Profiles, roles and account status
+ */
+const createUserRouter = ({ data, middleware, firebaseAuth, auditService, events }) => {
+  const router = express.Router();
+  const { usersCollection } = data;
+  const { verifyToken, verifyAdmin, verifyOwnDataOrAdmin } = middleware;
+  const { recordAudit } = auditService;
+
+  // ==================== USER MANAGEMENT APIs ====================
+
+  // Create User (After Firebase Registration) (PROTECTED - Own account only)
+  router.post("/users", verifyToken, validateBody("UserCreate"), async (req, res) => {
+    try {
+      const { email, displayName, photoURL, language } = req.body;
+
+      // Users can only register their own Firebase account
+      if (email !== req.user.email) {
+        return res.status(403).json({
+          success: false,
+          message: "Can only create a profile for your own email",
+        });
+      }
+
+      // Check if user already exists
+      const existingUser = await usersCollection.findOne({ email });
+      if (existingUser) {
+        return res.status(200).json({
+          success: true,
+          message: "User already exists",
+          user: existingUser,
+        });
+      }
+
+      // Check if this should be an admin (from environment variable)
+      const adminEmails = process.env.ADMIN_EMAILS?.split(",").map((e) => e.trim()) || [];
+      const role = adminEmails.includes(email) ? "admin" : "user";
+
+      // Create new user
+      const newUser = {
+        email,
+        displayName: displayName || "User",
+        photoURL: photoURL || null,
+        ...(language && { language }), // Notification language, default from NOTIFICATION_LANGUAGE
+        role, // 'user', 'admin', 'rider' or 'hub_staff'
+        status: "active", // 'active', 'suspended', 'banned'
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString(),
+        lastLogin: new Date().toISOString(),
+      };
+
+      const result = await usersCollection.insertOne(newUser);
+
+      await recordAudit(req, {
+        action: "user.create",
+        target: { type: "user", id: email },
+        after: { role, status: newUser.status },
+      });
+
+      res.status(201).json({
+        success: true,
+        message: "User created successfully",
+        user: { ...newUser, _id: result.insertedId },
+      });
+    } catch (error) {
+      console.error("Error creating user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to create user",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get User by Email (PROTECTED - Own data or Admin)
+  router.get("/users/:email", verifyToken, verifyOwnDataOrAdmin, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const user = await usersCollection.findOne({ email });
+
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Update last login
+      await usersCollection.updateOne(
+        { email },
+        {
+          $set: {
+            lastLogin: new Date().toISOString(),
+            updatedAt: new Date().toISOString(),
+          },
+        }
+      );
+
+      res.status(200).json({
+        success: true,
+        user,
+      });
+    } catch (error) {
+      console.error("Error fetching user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch user",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get All Users (ADMIN ONLY)
+  router.get("/users", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const users = await usersCollection.find({}).sort({ createdAt: -1 }).toArray();
+
+      res.status(200).json({
+        success: true,
+        count: users.length,
+        users,
+      });
+    } catch (error) {
+      console.error("Error fetching users:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch users",
+        error: error.message,
+      });
+    }
+  });
+
+  // Check if user is admin (PROTECTED - Own data or Admin)
+  router.get("/users/:email/check-admin", verifyToken, verifyOwnDataOrAdmin, async (req, res) => {
+    try {
+      const email = req.params.email;
+      const user = await usersCollection.findOne({ email });
+
+      res.status(200).json({
+        success: true,
+        isAdmin: user?.role === "admin",
+        role: user?.role || "user",
+      });
+    } catch (error) {
+      console.error("Error checking admin status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check admin status",
+        error: error.message,
+      });
+    }
+  });
+
+  // Update User Role (ADMIN ONLY)
+  router.patch("/users/:email/role", verifyToken, verifyAdmin, validateBody("UserRoleUpdate"), async (req, res) => {
+    try {
+      const email = req.params.email;
+      const { role } = req.body;
+
+      // Update user role
+      const previousUser = await usersCollection.findOneAndUpdate(
+        { email },
+        {
+          $set: {
+            role,
+            updatedAt: new Date().toISOString(),
+          },
+        },
+        { returnDocument: "before" }
+      );
+
+      if (!previousUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "user.role.update",
+        target: { type: "user", id: email },
+        before: { role: previousUser.role },
+        after: { role },
+      });
+
+      events.emit("user.access_changed", { email });
+
+      res.status(200).json({
+        success: true,
+        message: `User role updated to ${role}`,
+      });
+    } catch (error) {
+      console.error("Error updating user role:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update user role",
+        error: error.message,
+      });
+    }
+  });
+
+  // Update User Status (ADMIN ONLY)
+  // Body: { status, reason?, suspendedUntil?, revokeTokens? }
+  router.patch("/users/:email/status", verifyToken, verifyAdmin, validateBody("UserStatusUpdate"), async (req, res) => {
+    try {
+      const email = req.params.email;
+      const { status, reason, suspendedUntil, revokeTokens } = req.body;
+
+      // Optional suspension expiry - must be a future date
+      let suspensionEnd = null;
+      if (suspendedUntil) {
+        if (status !== "suspended") {
+          return res.status(400).json({
+            success: false,
+            message: "suspendedUntil can only be set when suspending a user",
+          });
+        }
+
+        suspensionEnd = new Date(suspendedUntil);
+        if (isNaN(suspensionEnd.getTime()) || suspensionEnd <= new Date()) {
+          return res.status(400).json({
+            success: false,
+            message: "suspendedUntil must be a valid future date",
+          });
+        }
+      }
+
+      if (email === req.user.email && status !== "active") {
+        return res.status(400).json({
+          success: false,
+          message: "You cannot suspend or ban your own account",
+        });
+      }
+
+      const update =
+        status === "active"
+          ? {
+              $set: { status, statusUpdatedBy: req.user.email, updatedAt: new Date().toISOString() },
+              $unset: { statusReason: "", suspendedUntil: "" },
+            }
+          : {
+              $set: {
+                status,
+                statusReason: reason || null,
+                suspendedUntil: suspensionEnd ? suspensionEnd.toISOString() : null,
+                statusUpdatedBy: req.user.email,
+                updatedAt: new Date().toISOString(),
+              },
+            };
+
+      // Update user status
+      const previousUser = await usersCollection.findOneAndUpdate({ email }, update, { returnDocument: "before" });
+
+      if (!previousUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      // Optionally sign the user out everywhere via Firebase
+      let tokensRevoked = false;
+      if (revokeTokens && status !== "active") {
+        try {
+          const firebaseUser = await firebaseAuth.getUserByEmail(email);
+          await firebaseAuth.revokeRefreshTokens(firebaseUser.uid);
+          await usersCollection.updateOne({ email }, { $set: { tokensRevokedAt: new Date().toISOString() } });
+          tokensRevoked = true;
+        } catch (revokeError) {
+          console.error("Failed to revoke Firebase tokens:", revokeError.message);
+        }
+      }
+
+      await recordAudit(req, {
+        action: "user.status.update",
+        target: { type: "user", id: email },
+        before: {
+          status: previousUser.status,
+          statusReason: previousUser.statusReason || null,
+          suspendedUntil: previousUser.suspendedUntil || null,
+        },
+        after: {
+          status,
+          statusReason: status === "active" ? null : reason || null,
+          suspendedUntil: suspensionEnd ? suspensionEnd.toISOString() : null,
+        },
+        metadata: { revokeTokens: !!revokeTokens, tokensRevoked },
+      });
+
+      events.emit("user.access_changed", { email });
+
+      res.status(200).json({
+        success: true,
+        message: `User status updated to ${status}`,
+        tokensRevoked,
+      });
+    } catch (error) {
+      console.error("Error updating user status:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to update user status",
+        error: error.message,
+      });
+    }
+  });
+
+  // Delete User (ADMIN ONLY)
+  router.delete("/users/:email", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const email = req.params.email;
+
+      const deletedUser = await usersCollection.findOneAndDelete({ email });
+
+      if (!deletedUser) {
+        return res.status(404).json({
+          success: false,
+          message: "User not found",
+        });
+      }
+
+      await recordAudit(req, {
+        action: "user.delete",
+        target: { type: "user", id: email },
+        before: {
+          displayName: deletedUser.displayName,
+          role: deletedUser.role,
+          status: deletedUser.status,
+          createdAt: deletedUser.createdAt,
+        },
+      });
+
+      events.emit("user.access_changed", { email });
+
+      res.status(200).json({
+        success: true,
+        message: "User deleted successfully",
+      });
+    } catch (error) {
+      console.error("Error deleting user:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to delete user",
+        error: error.message,
+      });
+    }
+  });
+
+  // Get User Statistics (ADMIN ONLY)
+  router.get("/users/stats/overview", verifyToken, verifyAdmin, async (req, res) => {
+    try {
+      const totalUsers = await usersCollection.countDocuments();
+      const activeUsers = await usersCollection.countDocuments({ status: "active" });
+      const adminUsers = await usersCollection.countDocuments({ role: "admin" });
+      const riderUsers = await usersCollection.countDocuments({ role: "rider" });
+      const suspendedUsers = await usersCollection.countDocuments({ status: "suspended" });
+
+      // Get recent users (last 7 days)
+      const sevenDaysAgo = new Date();
+      sevenDaysAgo.setDate(sevenDaysAgo.getDate() - 7);
+      const recentUsers = await usersCollection.countDocuments({
+        createdAt: { $gte: sevenDaysAgo.toISOString() },
+      });
+
+      res.status(200).json({
+        success: true,
+        stats: {
+          totalUsers,
+          activeUsers,
+          adminUsers,
+          riderUsers,
+          suspendedUsers,
+          recentUsers,
+        },
+      });
+    } catch (error) {
+      console.error("Error fetching user statistics:", error);
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch user statistics",
+        error: error.message,
+      });
+    }
+  });
+
+  return router;
+};
+
+module.exports = { createUserRouter };
@@ -0,0 +1,44 @@
+// ==========================================
+// ADDRESS BOOK REQUEST SCHEMAS
+// ==========================================
+
+const { districtName, phoneNumber } = require("./parcel");
+
+const contactProperties = {
+  label: { type: "string", maxLength: 60, description: "e.g. Home, Office, Mum" },
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  phone: { ...phoneNumber, description: "Bangladeshi mobile number, stored as +8801XXXXXXXXX" },
+  region: { type: "string", maxLength: 60 },
+  district: districtName,
+  address: { type: "string", minLength: 1, maxLength: 300 },
+  instruction: { type: "string", maxLength: 500, description: "Pickup or delivery instruction" },
+  isDefaultSender: { type: "boolean", description: "Use as the sender when a parcel doesn't specify one" },
+
+  // Server-owned
+  ownerEmail: { type: "string", readOnly: true },
+  lastUsedAt: { type: "string", readOnly: true },
+  createdAt: { type: "string", readOnly: true },
+  updatedAt: { type: "string", readOnly: true },
+};
+
+/**
+ * Body of POST /contacts
+ */
+const ContactCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["name", "phone", "district", "address"],
+  properties: contactProperties,
+};
+
+/**
+ * Body of PATCH /contacts/:id - any subset of the contact fields
+ */
+const ContactUpdate = {
+  type: "object",
+  additionalProperties: false,
+  minProperties: 1,
+  properties: contactProperties,
+};
+
+module.exports = { ContactCreate, ContactUpdate };
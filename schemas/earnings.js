@@ -0,0 +1,44 @@
+// ==========================================
+// RIDER EARNINGS REQUEST SCHEMAS
+// ==========================================
+
+const { objectId } = require("./payment");
+
+const PAYOUT_METHODS = ["cash", "bank_transfer", "bkash", "nagad"];
+
+const percent = { type: "number", minimum: 0, maximum: 100 };
+
+/**
+ * Body of POST /admin/commission-rules
+ */
+const CommissionRuleCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["sameDistrictPercent", "interDistrictPercent"],
+  properties: {
+    sameDistrictPercent: { ...percent, description: "% of the delivery cost for same-district parcels" },
+    interDistrictPercent: { ...percent, description: "% of the delivery cost for inter-district parcels" },
+    minimumPerParcel: { type: "number", minimum: 0, description: "Least a rider earns per delivery, in BDT" },
+    effectiveFrom: { type: "string", format: "date-time", description: "Default: now" },
+    note: { type: "string", maxLength: 500 },
+  },
+};
+
+/**
+ * Body of POST /admin/rider-payouts
+ * Pays the given earningIds, or everything unpaid for the rider if none are given
+ */
+const RiderPayoutCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["riderEmail", "method"],
+  properties: {
+    riderEmail: { type: "string", format: "email" },
+    earningIds: { type: "array", minItems: 1, uniqueItems: true, items: objectId },
+    method: { type: "string", enum: PAYOUT_METHODS },
+    reference: { type: "string", maxLength: 100, description: "Bank or mobile wallet transaction ID" },
+    note: { type: "string", maxLength: 500 },
+  },
+};
+
+module.exports = { PAYOUT_METHODS, CommissionRuleCreate, RiderPayoutCreate };
@@ -0,0 +1,18 @@
+// ==========================================
+// GEOGRAPHY REQUEST SCHEMAS
+// ==========================================
+
+/**
+ * Body of PATCH /admin/districts/:name/coverage
+ */
+const DistrictCoverageUpdate = {
+  type: "object",
+  additionalProperties: false,
+  minProperties: 1,
+  properties: {
+    pickup: { type: "boolean", description: "Parcels can be sent from this district" },
+    delivery: { type: "boolean", description: "Parcels can be sent to this district" },
+  },
+};
+
+module.exports = { DistrictCoverageUpdate };
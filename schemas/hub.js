@@ -0,0 +1,70 @@
+// ==========================================
+// HUB REQUEST SCHEMAS
+// ==========================================
+
+const { HUB_TYPES } = require("../utils/hubRoute");
+const { districtName } = require("./parcel");
+
+const hubProperties = {
+  name: { type: "string", minLength: 1, maxLength: 100 },
+  type: { type: "string", enum: HUB_TYPES, description: "hub = division sorting hub, warehouse = district warehouse" },
+  district: { ...districtName, description: "Where the hub is" },
+  address: { type: "string", maxLength: 300 },
+  servedDistricts: {
+    type: "array",
+    uniqueItems: true,
+    maxItems: 64,
+    items: districtName,
+    description: "Other districts this hub handles parcels for",
+  },
+  staffEmails: {
+    type: "array",
+    uniqueItems: true,
+    items: { type: "string", format: "email" },
+    description: "hub_staff users who can scan parcels here",
+  },
+  active: { type: "boolean", description: "Inactive hubs are left out of new routes" },
+
+  // Server-owned
+  division: { type: "string", readOnly: true },
+  createdAt: { type: "string", readOnly: true },
+  updatedAt: { type: "string", readOnly: true },
+};
+
+/**
+ * Body of POST /admin/hubs
+ */
+const HubCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["code", "name", "type", "district"],
+  properties: {
+    code: { type: "string", pattern: "^[A-Za-z0-9-]{2,20}$", description: "Unique, stored upper case e.g. DHK-HUB" },
+    ...hubProperties,
+  },
+};
+
+/**
+ * Body of PATCH /admin/hubs/:code - the code can't be changed as parcels refer to it
+ */
+const HubUpdate = {
+  type: "object",
+  additionalProperties: false,
+  minProperties: 1,
+  properties: hubProperties,
+};
+
+/**
+ * Body of POST /hubs/:code/scan-in and /hubs/:code/scan-out
+ */
+const HubScan = {
+  type: "object",
+  additionalProperties: false,
+  required: ["trackingNo"],
+  properties: {
+    trackingNo: { type: "string", pattern: "^[A-Za-z]{2}[0-9]{10}$" },
+    note: { type: "string", maxLength: 500 },
+  },
+};
+
+module.exports = { HubCreate, HubUpdate, HubScan };
@@ -0,0 +1,42 @@
+const { ParcelCreate } = require("./parcel");
+const { UserCreate, UserRoleUpdate, UserStatusUpdate } = require("./user");
+const { CheckoutSessionCreate } = require("./payment");
+const { ContactCreate, ContactUpdate } = require("./contact");
+const { DistrictCoverageUpdate } = require("./geo");
+const { HubCreate, HubUpdate, HubScan } = require("./hub");
+const { CommissionRuleCreate, RiderPayoutCreate } = require("./earnings");
+const { RiderApplicationCreate, RiderApplicationReview } = require("./riderApplication");
+const responses = require("./responses");
+
+// ==========================================
+// REQUEST SCHEMAS
+// ==========================================
+
+/**
+ * Every request body schema, keyed by name
+ * Used by validateBody() and exported as OpenAPI components
+ */
+const schemas = {
+  ParcelCreate,
+  UserCreate,
+  UserRoleUpdate,
+  UserStatusUpdate,
+  CheckoutSessionCreate,
+  ContactCreate,
+  ContactUpdate,
+  DistrictCoverageUpdate,
+  HubCreate,
+  HubUpdate,
+  HubScan,
+  CommissionRuleCreate,
+  RiderPayoutCreate,
+  RiderApplicationCreate,
+  RiderApplicationReview,
+};
+
+/**
+ * Request and response schemas as OpenAPI 3.1 components (JSON Schema is used as-is)
+ */
+const getOpenApiSchemas = () => JSON.parse(JSON.stringify({ ...schemas, ...responses }));
+
+module.exports = { schemas, responses, getOpenApiSchemas };
@@ -0,0 +1,68 @@
+// ==========================================
+// PARCEL REQUEST SCHEMAS
+// ==========================================
+
+const { objectId } = require("./payment");
+
+const districtName = { type: "string", minLength: 2, maxLength: 60 };
+const phoneNumber = { type: "string", pattern: "^\\+?[0-9][0-9 -]{6,18}$" };
+
+// Checked by the route once saved contacts have been filled in
+const REQUIRED_PARTY_FIELDS = [
+  "senderName",
+  "senderDistrict",
+  "receiverName",
+  "receiverPhone",
+  "receiverDistrict",
+  "receiverAddress",
+];
+
+/**
+ * Body of POST /parcels
+ * Sender and receiver details can come from the address book (senderContactId / receiverContactId,
+ * or the default sender address) - fields sent in the body win over the saved contact
+ * readOnly fields are managed by the server and rejected if a client sends them
+ */
+const ParcelCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["parcelType", "parcelName", "senderEmail"],
+  properties: {
+    senderContactId: objectId,
+    receiverContactId: objectId,
+
+    parcelType: { type: "string", enum: ["document", "non-document"] },
+    parcelName: { type: "string", minLength: 1, maxLength: 120 },
+    parcelWeight: { type: "number", exclusiveMinimum: 0, maximum: 100, description: "Weight in kg" },
+
+    senderName: { type: "string", minLength: 1, maxLength: 100 },
+    senderEmail: { type: "string", format: "email" },
+    senderPhone: phoneNumber,
+    senderRegion: { type: "string", maxLength: 60 },
+    senderDistrict: districtName,
+    senderAddress: { type: "string", maxLength: 300 },
+    pickupInstruction: { type: "string", maxLength: 500 },
+
+    receiverName: { type: "string", minLength: 1, maxLength: 100 },
+    receiverPhone: phoneNumber,
+    receiverRegion: { type: "string", maxLength: 60 },
+    receiverDistrict: districtName,
+    receiverAddress: { type: "string", minLength: 1, maxLength: 300 },
+    deliveryInstruction: { type: "string", maxLength: 500 },
+
+    // Server-owned
+    status: { type: "string", readOnly: true },
+    tracking_no: { type: "string", readOnly: true },
+    cost: { type: "number", readOnly: true },
+    costBreakdown: { type: "object", readOnly: true },
+    statusHistory: { type: "array", readOnly: true },
+    paymentMethod: { type: "string", readOnly: true },
+    paidAmount: { type: "number", readOnly: true },
+    paidAt: { type: "string", readOnly: true },
+    riderEmail: { type: "string", readOnly: true },
+    createdAt: { type: "string", readOnly: true },
+    updatedAt: { type: "string", readOnly: true },
+  },
+};
+
+module.exports = { districtName, phoneNumber, REQUIRED_PARTY_FIELDS, ParcelCreate };
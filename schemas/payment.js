@@ -0,0 +1,25 @@
+// ==========================================
+// PAYMENT REQUEST SCHEMAS
+// ==========================================
+
+const objectId = { type: "string", pattern: "^[a-fA-F0-9]{24}$" };
+
+/**
+ * Body of POST /create-checkout-session
+ * The amount is always computed by the server from the parcel
+ */
+const CheckoutSessionCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["parcelId"],
+  properties: {
+    parcelId: objectId,
+    customerEmail: { type: "string", format: "email" },
+
+    // Server-owned
+    amount: { type: "number", readOnly: true },
+    parcelName: { type: "string", readOnly: true },
+  },
+};
+
+module.exports = { objectId, CheckoutSessionCreate };
@@ -0,0 +1,516 @@
+// ==========================================
+// RESPONSE SCHEMAS
+// ==========================================
+// Documents the stored shapes; extra fields are allowed so older documents still match
+
+const { PARCEL_STATUSES } = require("../utils/parcelStatus");
+const { VEHICLE_TYPES } = require("./riderApplication");
+const { USER_ROLES, USER_STATUSES } = require("./user");
+
+const StatusHistoryEntry = {
+  type: "object",
+  required: ["status", "timestamp"],
+  properties: {
+    status: { type: "string", enum: PARCEL_STATUSES },
+    previousStatus: { type: ["string", "null"] },
+    actorEmail: { type: ["string", "null"] },
+    actorRole: { type: "string", enum: ["sender", "rider", "hub_staff", "admin", "system"] },
+    note: { type: ["string", "null"] },
+    location: {
+      type: "object",
+      description: "Hub scans only",
+      properties: {
+        scan: { type: "string", enum: ["in", "out"] },
+        hubCode: { type: "string" },
+        hubName: { type: "string" },
+        district: { type: "string" },
+      },
+    },
+    timestamp: { type: "string", format: "date-time" },
+  },
+};
+
+const Parcel = {
+  type: "object",
+  required: ["_id", "senderEmail", "status"],
+  properties: {
+    _id: { type: "string" },
+    parcelType: { type: "string" },
+    parcelName: { type: "string" },
+    parcelWeight: { type: "number" },
+    senderName: { type: "string" },
+    senderEmail: { type: "string" },
+    senderDistrict: { type: "string" },
+    receiverName: { type: "string" },
+    receiverPhone: { type: "string" },
+    receiverDistrict: { type: "string" },
+    receiverAddress: { type: "string" },
+    senderContactId: { type: "string", description: "Address book contact the sender was filled from" },
+    receiverContactId: { type: "string", description: "Address book contact the receiver was filled from" },
+    hubRoute: { type: "array", items: { $ref: "#/components/schemas/RouteStop" }, description: "Planned hub stops" },
+    currentLocation: { $ref: "#/components/schemas/ParcelLocation" },
+    cost: { type: "number", description: "Delivery cost in BDT, computed by the server" },
+    status: { type: "string", enum: PARCEL_STATUSES },
+    statusHistory: { type: "array", items: { $ref: "#/components/schemas/StatusHistoryEntry" } },
+    tracking_no: { type: "string" },
+    paymentMethod: { type: "string", enum: ["stripe", "cod"] },
+    riderEmail: { type: ["string", "null"] },
+    assignmentStatus: { type: "string", enum: ["pending", "accepted", "rejected"] },
+    codStatus: { type: "string", enum: ["pending", "collected", "settled"] },
+    deliveredAt: { type: "string", format: "date-time" },
+    deliveryCodeSentAt: {
+      type: "string",
+      format: "date-time",
+      description: "When the receiver was last texted a code",
+    },
+    deliveryProof: {
+      type: "object",
+      properties: {
+        method: { type: "string", enum: ["delivery_code", "admin"] },
+        deliveredBy: { type: "string" },
+        codeVerifiedAt: { type: "string", format: "date-time" },
+      },
+    },
+    proofAttachments: { type: "array", items: { type: "object" }, description: "See GET /parcels/{id}/proof" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const RouteStop = {
+  type: "object",
+  required: ["code", "name", "type", "district"],
+  properties: {
+    code: { type: "string" },
+    name: { type: "string" },
+    type: { type: "string", enum: ["hub", "warehouse"] },
+    district: { type: "string" },
+  },
+};
+
+const ParcelLocation = {
+  type: "object",
+  description: "Where the parcel was last scanned",
+  properties: {
+    hubCode: { type: "string" },
+    hubName: { type: "string" },
+    district: { type: "string" },
+    state: { type: "string", enum: ["at_hub", "departed"] },
+    nextHubCode: { type: ["string", "null"], description: "Set when departed towards another hub" },
+    onRoute: { type: "boolean", description: "false when scanned at a hub off the planned route" },
+    at: { type: "string", format: "date-time" },
+  },
+};
+
+const Payment = {
+  type: "object",
+  required: ["_id", "parcelId", "userId", "amount", "paymentMethod", "paymentStatus"],
+  properties: {
+    _id: { type: "string" },
+    parcelId: { type: "string" },
+    userId: { type: "string", description: "Payer email" },
+    amount: { type: "number", description: "Delivery cost in BDT" },
+    amountPaid: { type: "number", description: "Amount paid in the charged currency (COD: the COD amount)" },
+    amountPaidUSD: { type: "number" },
+    currency: { type: "string" },
+    exchangeRate: { type: "number", description: "BDT per USD used for this payment" },
+    paymentMethod: { type: "string", enum: ["stripe", "cod"] },
+    paymentStatus: { type: "string", enum: ["succeeded", "refunded", "partially_refunded"] },
+    cashCollected: { type: "number", description: "COD only - cash the rider was handed" },
+    overCollected: {
+      type: "number",
+      description: "COD only - cash above the COD amount, owed back to the receiver and not part of settlement",
+    },
+    refundRequired: {
+      type: "boolean",
+      description: "Paid for a parcel that could no longer take the payment and the automatic refund failed",
+    },
+    refundRequiredReason: { type: "string" },
+    pendingParcelUpdate: { type: "boolean", description: "Saved but the parcel isn't marked paid yet" },
+    trackingNumber: { type: ["string", "null"] },
+    route: { type: "string" },
+    paidAt: { type: "string", format: "date-time" },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+const User = {
+  type: "object",
+  required: ["email", "role", "status"],
+  properties: {
+    _id: { type: "string" },
+    email: { type: "string" },
+    displayName: { type: "string" },
+    photoURL: { type: ["string", "null"] },
+    language: { type: "string" },
+    role: { type: "string", enum: USER_ROLES },
+    status: { type: "string", enum: USER_STATUSES },
+    statusReason: { type: ["string", "null"] },
+    suspendedUntil: { type: ["string", "null"] },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+    lastLogin: { type: "string", format: "date-time" },
+  },
+};
+
+const AuditLog = {
+  type: "object",
+  required: ["_id", "action", "actor", "target", "createdAt"],
+  properties: {
+    _id: { type: "string" },
+    action: { type: "string", description: "e.g. user.role.update, parcel.delete, payment.create" },
+    actor: {
+      type: "object",
+      description: "Who made the change - role is 'system' for webhooks and server jobs",
+      properties: {
+        email: { type: ["string", "null"] },
+        uid: { type: ["string", "null"] },
+        role: { type: ["string", "null"] },
+      },
+    },
+    target: {
+      type: "object",
+      properties: {
+        type: { type: "string" },
+        id: { type: ["string", "null"] },
+      },
+    },
+    before: { type: ["object", "null"], description: "Changed fields before the mutation" },
+    after: { type: ["object", "null"], description: "Changed fields after the mutation" },
+    metadata: { type: ["object", "null"] },
+    ip: { type: ["string", "null"] },
+    userAgent: { type: ["string", "null"] },
+    method: { type: ["string", "null"] },
+    path: { type: ["string", "null"] },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+const Notification = {
+  type: "object",
+  required: ["_id", "event", "channel", "recipient", "status", "attempts"],
+  properties: {
+    _id: { type: "string" },
+    event: { type: "string", description: "e.g. parcel.booked, parcel.delivered" },
+    parcelId: { type: "string" },
+    trackingNo: { type: ["string", "null"] },
+    audience: { type: "string", enum: ["sender", "receiver"] },
+    channel: { type: "string", enum: ["email", "sms"] },
+    recipient: { type: "string" },
+    language: { type: "string" },
+    subject: { type: ["string", "null"] },
+    body: { type: "string" },
+    redacted: { type: "boolean", description: "One-time values (delivery codes) in the body are masked" },
+    status: { type: "string", enum: ["sending", "sent", "retrying", "failed"] },
+    attemptCount: { type: "integer" },
+    attempts: {
+      type: "array",
+      items: {
+        type: "object",
+        properties: {
+          attempt: { type: "integer" },
+          provider: { type: ["string", "null"] },
+          status: { type: "string", enum: ["sent", "failed"] },
+          error: { type: "string" },
+          at: { type: "string", format: "date-time" },
+        },
+      },
+    },
+    lastError: { type: "string" },
+    nextAttemptAt: { type: ["string", "null"] },
+    sentAt: { type: "string", format: "date-time" },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+const Contact = {
+  type: "object",
+  required: ["_id", "ownerEmail", "name", "phone", "district", "address"],
+  properties: {
+    _id: { type: "string" },
+    ownerEmail: { type: "string" },
+    label: { type: "string" },
+    name: { type: "string" },
+    phone: { type: "string", description: "+8801XXXXXXXXX" },
+    region: { type: "string" },
+    district: { type: "string" },
+    address: { type: "string" },
+    instruction: { type: "string" },
+    isDefaultSender: { type: "boolean" },
+    lastUsedAt: { type: ["string", "null"] },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const District = {
+  type: "object",
+  required: ["name", "division", "coverage", "serviceCenters"],
+  properties: {
+    _id: { type: "string" },
+    name: { type: "string", description: "Official spelling, e.g. Chattogram" },
+    division: { type: "string" },
+    coverage: {
+      type: "object",
+      properties: {
+        pickup: { type: "boolean", description: "Parcels can be sent from here" },
+        delivery: { type: "boolean", description: "Parcels can be sent here" },
+      },
+    },
+    serviceCenters: { type: "array", items: { type: "object", properties: { name: { type: "string" } } } },
+    otherSpellings: { type: "array", items: { type: "string" }, description: "Also accepted, e.g. chittagong" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const Division = {
+  type: "object",
+  required: ["name", "districts"],
+  properties: {
+    name: { type: "string" },
+    districts: { type: "integer" },
+    pickupDistricts: { type: "integer", description: "Districts with pickup coverage" },
+    deliveryDistricts: { type: "integer", description: "Districts with delivery coverage" },
+  },
+};
+
+const Hub = {
+  type: "object",
+  required: ["_id", "code", "name", "type", "district", "division", "active"],
+  properties: {
+    _id: { type: "string" },
+    code: { type: "string" },
+    name: { type: "string" },
+    type: { type: "string", enum: ["hub", "warehouse"] },
+    district: { type: "string" },
+    division: { type: "string" },
+    address: { type: ["string", "null"] },
+    servedDistricts: { type: "array", items: { type: "string" } },
+    staffEmails: { type: "array", items: { type: "string" } },
+    active: { type: "boolean" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const CommissionRule = {
+  type: "object",
+  required: ["sameDistrictPercent", "interDistrictPercent"],
+  properties: {
+    _id: { type: ["string", "null"], description: "null for the built-in default" },
+    sameDistrictPercent: { type: "number" },
+    interDistrictPercent: { type: "number" },
+    minimumPerParcel: { type: "number", description: "BDT" },
+    effectiveFrom: { type: ["string", "null"] },
+    note: { type: ["string", "null"] },
+    isDefault: { type: "boolean" },
+    createdBy: { type: "string" },
+    createdAt: { type: "string", format: "date-time" },
+  },
+};
+
+const RiderEarning = {
+  type: "object",
+  required: ["_id", "riderEmail", "parcelId", "amount", "status", "earnedAt"],
+  properties: {
+    _id: { type: "string" },
+    riderEmail: { type: "string" },
+    riderName: { type: ["string", "null"] },
+    parcelId: { type: "string" },
+    trackingNumber: { type: ["string", "null"] },
+    route: { type: "string" },
+    zone: { type: "string", enum: ["sameDistrict", "interDistrict"] },
+    parcelCost: { type: "number" },
+    percent: { type: "number" },
+    amount: { type: "number", description: "Commission in BDT" },
+    commissionRuleId: { type: ["string", "null"] },
+    status: { type: "string", enum: ["unpaid", "paid"] },
+    payoutId: { type: ["string", "null"] },
+    earnedAt: { type: "string", format: "date-time" },
+    paidAt: { type: "string", format: "date-time" },
+  },
+};
+
+const RiderBalance = {
+  type: "object",
+  required: ["riderEmail", "earned", "paid", "outstanding"],
+  properties: {
+    riderEmail: { type: "string" },
+    riderName: { type: ["string", "null"] },
+    deliveries: { type: "integer" },
+    earned: { type: "number" },
+    paid: { type: "number" },
+    outstanding: { type: "number" },
+    oldestUnpaid: { type: ["string", "null"] },
+  },
+};
+
+const RiderPayout = {
+  type: "object",
+  required: ["_id", "riderEmail", "totalAmount", "method", "paidAt"],
+  properties: {
+    _id: { type: "string" },
+    riderEmail: { type: "string" },
+    riderName: { type: ["string", "null"] },
+    earningIds: { type: "array", items: { type: "string" } },
+    parcelCount: { type: "integer" },
+    totalAmount: { type: "number" },
+    method: { type: "string", enum: ["cash", "bank_transfer", "bkash", "nagad"] },
+    reference: { type: ["string", "null"] },
+    note: { type: ["string", "null"] },
+    paidBy: { type: "string" },
+    paidAt: { type: "string", format: "date-time" },
+  },
+};
+
+const riderVehicle = {
+  type: "object",
+  required: ["type"],
+  properties: {
+    type: { type: "string", enum: VEHICLE_TYPES },
+    registrationNumber: { type: "string" },
+    drivingLicenseNumber: { type: "string" },
+  },
+};
+
+const RiderApplication = {
+  type: "object",
+  required: ["_id", "applicantEmail", "fullName", "phone", "status", "createdAt"],
+  properties: {
+    _id: { type: "string" },
+    applicantEmail: { type: "string" },
+    fullName: { type: "string" },
+    phone: { type: "string", description: "+8801XXXXXXXXX" },
+    dateOfBirth: { type: "string", format: "date" },
+    nidNumber: { type: "string" },
+    address: { type: "string" },
+    district: { type: "string" },
+    vehicle: riderVehicle,
+    preferredDistricts: { type: "array", items: { type: "string" } },
+    status: { type: "string", enum: ["pending", "approved", "rejected"] },
+    reviewedBy: { type: ["string", "null"] },
+    reviewedAt: { type: ["string", "null"] },
+    rejectionReason: { type: ["string", "null"] },
+    reviewNote: { type: ["string", "null"] },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const RiderProfile = {
+  type: "object",
+  required: ["email", "fullName", "phone", "vehicle", "serviceDistricts", "onboardedAt"],
+  properties: {
+    _id: { type: "string" },
+    email: { type: "string" },
+    fullName: { type: "string" },
+    phone: { type: "string" },
+    district: { type: "string", description: "Home district" },
+    address: { type: "string" },
+    vehicle: riderVehicle,
+    serviceDistricts: { type: "array", items: { type: "string" } },
+    nidLast4: { type: "string", description: "Last 4 digits of the NID - the full number stays on the application" },
+    applicationId: { type: "string" },
+    onboardedBy: { type: "string" },
+    onboardedAt: { type: "string", format: "date-time" },
+    createdAt: { type: "string", format: "date-time" },
+    updatedAt: { type: "string", format: "date-time" },
+  },
+};
+
+const ProofAttachment = {
+  type: "object",
+  required: ["id", "kind", "contentType", "size", "uploadedAt", "url"],
+  properties: {
+    id: { type: "string" },
+    kind: { type: "string", enum: ["photo", "signature"] },
+    contentType: { type: "string" },
+    size: { type: "integer", description: "Bytes" },
+    uploadedBy: { type: "string" },
+    uploadedAt: { type: "string", format: "date-time" },
+    url: { type: "string", description: "Download path (same access as the proof)" },
+  },
+};
+
+const DeliveryProof = {
+  type: "object",
+  required: ["parcelId", "status", "method", "attachments"],
+  properties: {
+    parcelId: { type: "string" },
+    trackingNo: { type: ["string", "null"] },
+    status: { type: "string", enum: PARCEL_STATUSES },
+    deliveredAt: { type: ["string", "null"] },
+    deliveredBy: { type: ["string", "null"] },
+    method: {
+      type: ["string", "null"],
+      enum: ["delivery_code", "admin", null],
+      description: "delivery_code: the rider entered the receiver's code, admin: confirmed by an admin",
+    },
+    deliveryCode: {
+      type: ["object", "null"],
+      properties: {
+        sentAt: { type: "string", format: "date-time" },
+        expiresAt: { type: "string", format: "date-time" },
+        verifiedAt: { type: ["string", "null"] },
+      },
+    },
+    attachments: { type: "array", items: { $ref: "#/components/schemas/ProofAttachment" } },
+  },
+};
+
+const ErrorResponse = {
+  type: "object",
+  required: ["success", "message"],
+  properties: {
+    success: { type: "boolean", enum: [false] },
+    message: { type: "string" },
+    code: { type: "string", description: "Machine readable code, e.g. ACCOUNT_SUSPENDED" },
+    error: { type: "string" },
+  },
+};
+
+const ValidationError = {
+  type: "object",
+  required: ["success", "message", "errors"],
+  properties: {
+    success: { type: "boolean", enum: [false] },
+    message: { type: "string" },
+    errors: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["field", "message"],
+        properties: {
+          field: { type: ["string", "null"] },
+          message: { type: "string" },
+        },
+      },
+    },
+  },
+};
+
+module.exports = {
+  StatusHistoryEntry,
+  RouteStop,
+  ParcelLocation,
+  Parcel,
+  Payment,
+  User,
+  AuditLog,
+  Notification,
+  Contact,
+  District,
+  Division,
+  Hub,
+  CommissionRule,
+  RiderEarning,
+  RiderBalance,
+  RiderPayout,
+  RiderApplication,
+  RiderProfile,
+  ProofAttachment,
+  DeliveryProof,
+  ErrorResponse,
+  ValidationError,
+};
@@ -0,0 +1,74 @@
+// ==========================================
+// RIDER APPLICATION REQUEST SCHEMAS
+// ==========================================
+
+const { districtName, phoneNumber } = require("./parcel");
+
+const VEHICLE_TYPES = ["bicycle", "motorcycle", "scooter", "car", "van", "on_foot"];
+
+// Vehicles that need a registration and a driving licence
+const MOTOR_VEHICLE_TYPES = ["motorcycle", "scooter", "car", "van"];
+
+/**
+ * Body of POST /riders/applications
+ */
+const RiderApplicationCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["fullName", "phone", "dateOfBirth", "nidNumber", "address", "district", "vehicle", "preferredDistricts"],
+  properties: {
+    fullName: { type: "string", minLength: 1, maxLength: 100, description: "As printed on the NID" },
+    phone: { ...phoneNumber, description: "Bangladeshi mobile number" },
+    dateOfBirth: { type: "string", format: "date", description: "Riders must be at least 18" },
+    nidNumber: { type: "string", pattern: "^([0-9]{10}|[0-9]{13}|[0-9]{17})$", description: "10, 13 or 17 digit NID" },
+    address: { type: "string", minLength: 1, maxLength: 300 },
+    district: { ...districtName, description: "Home district" },
+    vehicle: {
+      type: "object",
+      additionalProperties: false,
+      required: ["type"],
+      properties: {
+        type: { type: "string", enum: VEHICLE_TYPES },
+        registrationNumber: { type: "string", maxLength: 30, description: "e.g. DHAKA METRO-LA-12-3456" },
+        drivingLicenseNumber: { type: "string", maxLength: 30 },
+      },
+      if: { properties: { type: { enum: MOTOR_VEHICLE_TYPES } } },
+      then: { required: ["type", "registrationNumber", "drivingLicenseNumber"] },
+    },
+    preferredDistricts: {
+      type: "array",
+      minItems: 1,
+      maxItems: 5,
+      uniqueItems: true,
+      items: districtName,
+      description: "Districts the applicant wants to deliver in",
+    },
+
+    // Server-owned
+    status: { type: "string", readOnly: true },
+    applicantEmail: { type: "string", readOnly: true },
+    reviewedBy: { type: "string", readOnly: true },
+    reviewedAt: { type: "string", readOnly: true },
+    rejectionReason: { type: "string", readOnly: true },
+    createdAt: { type: "string", readOnly: true },
+    updatedAt: { type: "string", readOnly: true },
+  },
+};
+
+/**
+ * Body of PATCH /admin/rider-applications/:id/review
+ */
+const RiderApplicationReview = {
+  type: "object",
+  additionalProperties: false,
+  required: ["decision"],
+  properties: {
+    decision: { type: "string", enum: ["approve", "reject"] },
+    reason: { type: "string", minLength: 1, maxLength: 500, description: "Required when rejecting - shown to the applicant" },
+    note: { type: "string", maxLength: 500, description: "Internal note for admins" },
+  },
+  if: { properties: { decision: { const: "reject" } } },
+  then: { required: ["decision", "reason"] },
+};
+
+module.exports = { VEHICLE_TYPES, RiderApplicationCreate, RiderApplicationReview };
@@ -0,0 +1,59 @@
+// ==========================================
+// USER REQUEST SCHEMAS
+// ==========================================
+
+const { SUPPORTED_LANGUAGES } = require("../notifications/templates");
+
+const USER_ROLES = ["user", "admin", "rider", "hub_staff"];
+const USER_STATUSES = ["active", "suspended", "banned"];
+
+/**
+ * Body of POST /users (after Firebase registration)
+ */
+const UserCreate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["email"],
+  properties: {
+    email: { type: "string", format: "email" },
+    displayName: { type: "string", minLength: 1, maxLength: 100 },
+    photoURL: { type: ["string", "null"], format: "uri" },
+    language: { type: "string", enum: SUPPORTED_LANGUAGES, description: "Language for email/SMS notifications" },
+
+    // Server-owned
+    role: { type: "string", readOnly: true },
+    status: { type: "string", readOnly: true },
+    createdAt: { type: "string", readOnly: true },
+    updatedAt: { type: "string", readOnly: true },
+    lastLogin: { type: "string", readOnly: true },
+  },
+};
+
+/**
+ * Body of PATCH /users/:email/role
+ */
+const UserRoleUpdate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["role"],
+  properties: {
+    role: { type: "string", enum: USER_ROLES },
+  },
+};
+
+/**
+ * Body of PATCH /users/:email/status
+ */
+const UserStatusUpdate = {
+  type: "object",
+  additionalProperties: false,
+  required: ["status"],
+  properties: {
+    status: { type: "string", enum: USER_STATUSES },
+    reason: { type: "string", maxLength: 500 },
+    suspendedUntil: { type: "string", format: "date-time", description: "Only when suspending" },
+    revokeTokens: { type: "boolean", description: "Also revoke the user's Firebase refresh tokens" },
+  },
+};
+
+module.exports = { USER_ROLES, USER_STATUSES, UserCreate, UserRoleUpdate, UserStatusUpdate };
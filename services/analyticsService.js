@@ -0,0 +1,234 @@
+const { REPORT_TIMEZONE, WEEK_START, getLocalDate, startOfLocalDay } = require("../utils/reportRange");
+
+// Payments that brought money in (refunds are subtracted separately)
+const REVENUE_STATUSES = ["succeeded", "partially_refunded", "refunded"];
+
+// Bucket label format per granularity
+const PERIOD_FORMATS = { day: "%Y-%m-%d", week: "%Y-%m-%d", month: "%Y-%m" };
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Gross, refunded and net BDT for a $group stage
+const revenueTotals = {
+  payments: { $sum: 1 },
+  grossBDT: { $sum: "$amount" },
+  refundedBDT: { $sum: { $ifNull: ["$amountRefundedBDT", 0] } },
+};
+
+const netRevenue = { $subtract: ["$grossBDT", "$refundedBDT"] };
+
+/**
+ * Reporting queries, all run as MongoDB aggregation pipelines
+ * Every method takes a { start, end } range from parseReportRange
+ */
+const createAnalyticsService = ({ data }) => {
+  const { parcelsCollection, paymentsCollection } = data;
+
+  // Timestamps are stored as ISO strings, so the range compares as strings
+  const matchRevenue = ({ start, end }) => ({
+    $match: {
+      paymentStatus: { $in: REVENUE_STATUSES },
+      paidAt: { $gte: start, $lt: end },
+    },
+  });
+
+  /**
+   * Revenue per day, week (starting Saturday) or month in Dhaka time
+   */
+  const getRevenueByPeriod = ({ start, end }, granularity) =>
+    paymentsCollection
+      .aggregate([
+        matchRevenue({ start, end }),
+        {
+          $group: {
+            _id: {
+              $dateTrunc: {
+                date: { $toDate: "$paidAt" },
+                unit: granularity,
+                timezone: REPORT_TIMEZONE,
+                ...(granularity === "week" && { startOfWeek: WEEK_START }),
+              },
+            },
+            ...revenueTotals,
+          },
+        },
+        { $sort: { _id: 1 } },
+        {
+          $project: {
+            _id: 0,
+            period: {
+              $dateToString: { date: "$_id", format: PERIOD_FORMATS[granularity], timezone: REPORT_TIMEZONE },
+            },
+            periodStart: "$_id",
+            payments: 1,
+            grossBDT: 1,
+            refundedBDT: 1,
+            netBDT: netRevenue,
+          },
+        },
+      ])
+      .toArray();
+
+  /**
+   * Revenue per senderDistrict → receiverDistrict, highest first
+   */
+  const getRevenueByRoute = ({ start, end }) =>
+    paymentsCollection
+      .aggregate([
+        matchRevenue({ start, end }),
+        {
+          $lookup: {
+            from: parcelsCollection.collectionName,
+            localField: "parcelId",
+            foreignField: "_id",
+            pipeline: [{ $project: { senderDistrict: 1, receiverDistrict: 1 } }],
+            as: "parcel",
+          },
+        },
+        { $unwind: { path: "$parcel", preserveNullAndEmptyArrays: true } },
+        {
+          $group: {
+            _id: { senderDistrict: "$parcel.senderDistrict", receiverDistrict: "$parcel.receiverDistrict" },
+            ...revenueTotals,
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            senderDistrict: "$_id.senderDistrict",
+            receiverDistrict: "$_id.receiverDistrict",
+            payments: 1,
+            grossBDT: 1,
+            refundedBDT: 1,
+            netBDT: netRevenue,
+          },
+        },
+        { $sort: { netBDT: -1 } },
+      ])
+      .toArray();
+
+  /**
+   * Revenue per payment method (stripe, cod)
+   */
+  const getRevenueByMethod = ({ start, end }) =>
+    paymentsCollection
+      .aggregate([
+        matchRevenue({ start, end }),
+        { $group: { _id: "$paymentMethod", ...revenueTotals } },
+        {
+          $project: {
+            _id: 0,
+            paymentMethod: "$_id",
+            payments: 1,
+            grossBDT: 1,
+            refundedBDT: 1,
+            netBDT: netRevenue,
+          },
+        },
+        { $sort: { netBDT: -1 } },
+      ])
+      .toArray();
+
+  /**
+   * Number of parcels created in the range, by current status
+   */
+  const getParcelVolumeByStatus = ({ start, end }) =>
+    parcelsCollection
+      .aggregate([
+        { $match: { createdAt: { $gte: start, $lt: end } } },
+        { $group: { _id: "$status", count: { $sum: 1 } } },
+        { $project: { _id: 0, status: "$_id", count: 1 } },
+        { $sort: { count: -1 } },
+      ])
+      .toArray();
+
+  /**
+   * Average hours from booking and from pickup to delivery, for parcels delivered in the range
+   */
+  const getAverageDeliveryTime = async ({ start, end }) => {
+    const hoursBetween = (from) => ({
+      $cond: [
+        { $ifNull: [from, false] },
+        { $divide: [{ $subtract: [{ $toDate: "$deliveredAt" }, { $toDate: from }] }, HOUR_MS] },
+        null,
+      ],
+    });
+
+    const [summary] = await parcelsCollection
+      .aggregate([
+        { $match: { status: "delivered", deliveredAt: { $gte: start, $lt: end } } },
+        {
+          $group: {
+            _id: null,
+            delivered: { $sum: 1 },
+            // $avg skips nulls, so parcels without a pickup time don't skew the pickup average
+            averageHoursFromBooking: { $avg: hoursBetween("$createdAt") },
+            averageHoursFromPickup: { $avg: hoursBetween("$pickedUpAt") },
+          },
+        },
+      ])
+      .toArray();
+
+    const round = (hours) => (hours === null || hours === undefined ? null : Math.round(hours * 10) / 10);
+
+    return {
+      delivered: summary?.delivered || 0,
+      averageHoursFromBooking: round(summary?.averageHoursFromBooking),
+      averageHoursFromPickup: round(summary?.averageHoursFromPickup),
+    };
+  };
+
+  /**
+   * All-time and today's (Dhaka) payment totals for the admin dashboard
+   */
+  const getPaymentOverview = async () => {
+    const todayStart = startOfLocalDay(getLocalDate()).toISOString();
+
+    const [overview] = await paymentsCollection
+      .aggregate([
+        {
+          $facet: {
+            all: [
+              {
+                $group: {
+                  _id: null,
+                  totalPayments: { $sum: 1 },
+                  totalRevenueBDT: { $sum: "$amount" },
+                  totalRevenueUSD: { $sum: "$amountPaidUSD" },
+                },
+              },
+            ],
+            successful: [{ $match: { paymentStatus: "succeeded" } }, { $count: "count" }],
+            today: [
+              { $match: { createdAt: { $gte: todayStart } } },
+              { $group: { _id: null, count: { $sum: 1 }, revenueBDT: { $sum: "$amount" } } },
+            ],
+          },
+        },
+      ])
+      .toArray();
+
+    const all = overview.all[0] || { totalPayments: 0, totalRevenueBDT: 0, totalRevenueUSD: 0 };
+    const today = overview.today[0] || { count: 0, revenueBDT: 0 };
+
+    return {
+      totalPayments: all.totalPayments,
+      successfulPayments: overview.successful[0]?.count || 0,
+      totalRevenueBDT: all.totalRevenueBDT,
+      totalRevenueUSD: all.totalRevenueUSD,
+      todayPayments: today.count,
+      todayRevenueBDT: today.revenueBDT,
+    };
+  };
+
+  return {
+    getRevenueByPeriod,
+    getRevenueByRoute,
+    getRevenueByMethod,
+    getParcelVolumeByStatus,
+    getAverageDeliveryTime,
+    getPaymentOverview,
+  };
+};
+
+module.exports = { createAnalyticsService };
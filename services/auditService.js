@@ -0,0 +1,59 @@
+// Actor used for changes made by Stripe webhooks and other server-side jobs
+const SYSTEM_ACTOR = { email: null, uid: null, role: "system" };
+
+/**
+ * Append-only audit trail of every mutation
+ * Entries are only ever inserted - nothing in the API updates or deletes them
+ */
+const createAuditService = ({ data }) => {
+  const { auditLogsCollection } = data;
+
+  /**
+   * Record one mutation
+   * req supplies the actor (req.user from verifyToken) and the client IP - pass null for system changes
+   * target: { type, id } e.g. { type: "parcel", id: parcel._id }
+   * before/after: the changed fields only, not whole documents
+   * Never throws - a failed audit write is logged and the request carries on
+   */
+  const recordAudit = async (req, { action, target, before = null, after = null, metadata = null, actor = null }) => {
+    const entry = {
+      action,
+      actor:
+        actor || (req?.user ? { email: req.user.email, uid: req.user.uid, role: req.user.role || null } : SYSTEM_ACTOR),
+      target: { type: target.type, id: target.id === undefined || target.id === null ? null : String(target.id) },
+      before,
+      after,
+      metadata,
+      ip: req?.ip || null,
+      userAgent: req?.get?.("user-agent") || null,
+      method: req?.method || null,
+      path: req?.originalUrl || null,
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      await auditLogsCollection.insertOne(entry);
+    } catch (auditError) {
+      console.error("⚠️ Failed to write audit log:", action, auditError.message);
+    }
+
+    return entry;
+  };
+
+  /**
+   * Find audit entries, newest first
+   * filter is a MongoDB filter built by buildAuditFilter
+   */
+  const findAuditLogs = async (filter, { skip, limit }) => {
+    const [logs, total] = await Promise.all([
+      auditLogsCollection.find(filter).sort({ createdAt: -1, _id: -1 }).skip(skip).limit(limit).toArray(),
+      auditLogsCollection.countDocuments(filter),
+    ]);
+
+    return { logs, total };
+  };
+
+  return { recordAudit, findAuditLogs };
+};
+
+module.exports = { SYSTEM_ACTOR, createAuditService };
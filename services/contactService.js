@@ -0,0 +1,123 @@
+const { ObjectId } = require("mongodb");
+const { normalizeBDPhone } = require("../utils/phone");
+
+// Contact field -> parcel field, per side of the parcel
+const PARTY_FIELDS = {
+  sender: {
+    name: "senderName",
+    phone: "senderPhone",
+    region: "senderRegion",
+    district: "senderDistrict",
+    address: "senderAddress",
+    instruction: "pickupInstruction",
+  },
+  receiver: {
+    name: "receiverName",
+    phone: "receiverPhone",
+    region: "receiverRegion",
+    district: "receiverDistrict",
+    address: "receiverAddress",
+    instruction: "deliveryInstruction",
+  },
+};
+
+const INVALID_PHONE_MESSAGE = "must be a valid Bangladeshi mobile number";
+
+/**
+ * Per-user address book
+ * Contacts are only ever read or changed by their owner (ownerEmail)
+ */
+const createContactService = ({ data }) => {
+  const { contactsCollection } = data;
+
+  /**
+   * Normalise the phone on a contact or parcel body in place
+   * Returns a { field, message } error, or null when the phone is missing or valid
+   */
+  const normalizePhoneField = (body, field) => {
+    if (body[field] === undefined) return null;
+
+    const normalized = normalizeBDPhone(body[field]);
+    if (!normalized) {
+      return { field, message: INVALID_PHONE_MESSAGE };
+    }
+
+    body[field] = normalized;
+    return null;
+  };
+
+  const findOwnContact = (ownerEmail, id) => contactsCollection.findOne({ _id: new ObjectId(id), ownerEmail });
+
+  /**
+   * Make one contact the owner's default sender address, clearing any previous default first
+   * (the partial unique index on ownerEmail allows only one)
+   */
+  const clearDefaultSender = (ownerEmail, exceptId = null) =>
+    contactsCollection.updateMany(
+      { ownerEmail, isDefaultSender: true, ...(exceptId && { _id: { $ne: exceptId } }) },
+      { $set: { isDefaultSender: false, updatedAt: new Date().toISOString() } }
+    );
+
+  // Copy a contact onto one side of the parcel - fields already in the body win
+  const fillParty = (parcelData, side, contact) => {
+    for (const [contactField, parcelField] of Object.entries(PARTY_FIELDS[side])) {
+      if (
+        parcelData[parcelField] === undefined &&
+        contact[contactField] !== undefined &&
+        contact[contactField] !== null
+      ) {
+        parcelData[parcelField] = contact[contactField];
+      }
+    }
+  };
+
+  /**
+   * Fill the sender and receiver of a new parcel from the owner's address book
+   * - senderContactId / receiverContactId pick saved contacts
+   * - without senderContactId, the default sender address (if any) is used
+   * Returns { parcelData, contactIds } or { status, message } when a referenced contact isn't the owner's
+   */
+  const resolveParcelContacts = async (ownerEmail, body) => {
+    const parcelData = { ...body };
+    const contactIds = [];
+
+    if (body.receiverContactId) {
+      const receiver = await findOwnContact(ownerEmail, body.receiverContactId);
+      if (!receiver) {
+        return { status: 404, message: "Receiver contact not found" };
+      }
+      fillParty(parcelData, "receiver", receiver);
+      contactIds.push(receiver._id);
+    }
+
+    const sender = body.senderContactId
+      ? await findOwnContact(ownerEmail, body.senderContactId)
+      : await contactsCollection.findOne({ ownerEmail, isDefaultSender: true });
+
+    if (body.senderContactId && !sender) {
+      return { status: 404, message: "Sender contact not found" };
+    }
+
+    if (sender) {
+      fillParty(parcelData, "sender", sender);
+      parcelData.senderContactId = String(sender._id);
+      contactIds.push(sender._id);
+    }
+
+    return { parcelData, contactIds };
+  };
+
+  // Recently used contacts sort first in the address book
+  const markContactsUsed = async (contactIds) => {
+    if (contactIds.length === 0) return;
+
+    await contactsCollection.updateMany(
+      { _id: { $in: contactIds } },
+      { $set: { lastUsedAt: new Date().toISOString() } }
+    );
+  };
+
+  return { normalizePhoneField, findOwnContact, clearDefaultSender, resolveParcelContacts, markContactsUsed };
+};
+
+module.exports = { INVALID_PHONE_MESSAGE, createContactService };
@@ -0,0 +1,280 @@
+const { createHash, randomInt, randomUUID, timingSafeEqual } = require("crypto");
+
+const DELIVERY_CODE_LENGTH = 6;
+
+// A code is sent when the parcel goes out for delivery and lasts the rest of the delivery day
+const DELIVERY_CODE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Wrong codes allowed before the rider has to send the receiver a new one
+const MAX_CODE_ATTEMPTS = 5;
+
+const CODE_RESEND_COOLDOWN_MS = 60 * 1000;
+
+const PROOF_KINDS = ["photo", "signature"];
+
+const MAX_ATTACHMENTS_PER_KIND = 3;
+
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+// Accepted images, checked against their first bytes so the Content-Type can't lie
+const IMAGE_TYPES = {
+  "image/jpeg": {
+    extension: "jpg",
+    matches: (buffer) => buffer.subarray(0, 3).equals(Buffer.from([0xff, 0xd8, 0xff])),
+  },
+  "image/png": {
+    extension: "png",
+    matches: (buffer) => buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  "image/webp": {
+    extension: "webp",
+    matches: (buffer) => buffer.toString("latin1", 0, 4) === "RIFF" && buffer.toString("latin1", 8, 12) === "WEBP",
+  },
+};
+
+/**
+ * Proof of delivery
+ * - Delivery codes: a one-time code is texted to the receiver when a parcel goes out for delivery
+ *   (listens for "parcel.status_changed"); the rider needs it to complete the delivery.
+ *   Only a hash is kept, in deliveryCodes - never on the parcel, which senders and riders can read
+ * - Attachments: delivery photos and signatures, stored through the file storage and listed on the
+ *   parcel as proofAttachments
+ */
+const createDeliveryProofService = ({ data, events, notificationService, storage, auditService }) => {
+  const { parcelsCollection, deliveryCodesCollection } = data;
+  const { recordAudit } = auditService;
+
+  const hashCode = (parcelId, code) => createHash("sha256").update(`${parcelId}:${code}`).digest();
+
+  /**
+   * Text the receiver a new delivery code, replacing any earlier one
+   * Returns { issuedAt, expiresAt }
+   */
+  const issueDeliveryCode = async (parcel, req = null) => {
+    const code = String(randomInt(0, 10 ** DELIVERY_CODE_LENGTH)).padStart(DELIVERY_CODE_LENGTH, "0");
+    const issuedAt = new Date().toISOString();
+    const expiresAt = new Date(Date.now() + DELIVERY_CODE_TTL_MS).toISOString();
+
+    await deliveryCodesCollection.updateOne(
+      { parcelId: parcel._id },
+      {
+        $set: {
+          trackingNo: parcel.tracking_no || null,
+          hash: hashCode(parcel._id, code).toString("hex"),
+          sentTo: parcel.receiverPhone,
+          issuedAt,
+          expiresAt,
+          attempts: 0,
+          verifiedAt: null,
+        },
+        $inc: { issueCount: 1 },
+      },
+      { upsert: true }
+    );
+
+    await parcelsCollection.updateOne({ _id: parcel._id }, { $set: { deliveryCodeSentAt: issuedAt } });
+
+    // The code only goes to the SMS provider - the stored notification has it masked
+    await notificationService.notifyParcelEvent("parcel.delivery_code", parcel, {}, { deliveryCode: code });
+
+    await recordAudit(req, {
+      action: "parcel.delivery_code.issue",
+      target: { type: "parcel", id: parcel._id },
+      metadata: { expiresAt },
+    });
+
+    return { issuedAt, expiresAt };
+  };
+
+  /**
+   * Send a new code on the rider's request (receiver lost it, it expired or was locked)
+   * Returns { issuedAt, expiresAt } or { status, message } while the last code is too recent
+   */
+  const resendDeliveryCode = async (parcel, req) => {
+    const current = await deliveryCodesCollection.findOne({ parcelId: parcel._id });
+    const waitMs = current ? new Date(current.issuedAt).getTime() + CODE_RESEND_COOLDOWN_MS - Date.now() : 0;
+
+    if (waitMs > 0) {
+      return {
+        status: 429,
+        message: `A code was just sent. Try again in ${Math.ceil(waitMs / 1000)} seconds`,
+      };
+    }
+
+    return issueDeliveryCode(parcel, req);
+  };
+
+  /**
+   * Check the code the receiver gave the rider
+   * Returns { verifiedAt } or { status, message }
+   * Parcels sent out before delivery codes existed get one now and can be delivered once it's entered
+   */
+  const verifyDeliveryCode = async (parcel, code) => {
+    const record = await deliveryCodesCollection.findOne({ parcelId: parcel._id });
+
+    if (!record) {
+      await issueDeliveryCode(parcel);
+      return {
+        status: 400,
+        message: "A delivery code has just been sent to the receiver. Ask them for it to complete the delivery",
+      };
+    }
+
+    // Already checked by an earlier attempt whose status update didn't go through
+    if (record.verifiedAt) {
+      return { verifiedAt: record.verifiedAt };
+    }
+
+    if (record.attempts >= MAX_CODE_ATTEMPTS) {
+      return {
+        status: 429,
+        message: "Too many wrong codes. Send the receiver a new code",
+      };
+    }
+
+    if (new Date(record.expiresAt).getTime() < Date.now()) {
+      return {
+        status: 400,
+        message: "Delivery code has expired. Send the receiver a new code",
+      };
+    }
+
+    const expected = Buffer.from(record.hash, "hex");
+    if (typeof code !== "string" || !timingSafeEqual(hashCode(parcel._id, code.trim()), expected)) {
+      const attemptsLeft = MAX_CODE_ATTEMPTS - record.attempts - 1;
+
+      // Count the attempt against the code we read, so a resend in between isn't charged for it
+      await deliveryCodesCollection.updateOne({ _id: record._id, hash: record.hash }, { $inc: { attempts: 1 } });
+
+      return {
+        status: 400,
+        message:
+          attemptsLeft > 0
+            ? `Wrong delivery code (${attemptsLeft} attempt${attemptsLeft === 1 ? "" : "s"} left)`
+            : "Wrong delivery code. Send the receiver a new code",
+      };
+    }
+
+    const verifiedAt = new Date().toISOString();
+    await deliveryCodesCollection.updateOne({ _id: record._id }, { $set: { verifiedAt } });
+
+    return { verifiedAt };
+  };
+
+  /**
+   * Store a delivery photo or signature and list it on the parcel
+   * Returns { attachment } or { status, message }
+   */
+  const saveAttachment = async (parcel, { kind, buffer, contentType, uploadedBy }) => {
+    const imageType = IMAGE_TYPES[contentType];
+
+    if (!imageType || !imageType.matches(buffer)) {
+      return {
+        status: 400,
+        message: `Upload a ${Object.values(IMAGE_TYPES)
+          .map((type) => type.extension.toUpperCase())
+          .join(", ")} image`,
+      };
+    }
+
+    const existing = (parcel.proofAttachments || []).filter((attachment) => attachment.kind === kind);
+    if (existing.length >= MAX_ATTACHMENTS_PER_KIND) {
+      return {
+        status: 400,
+        message: `A parcel can have at most ${MAX_ATTACHMENTS_PER_KIND} ${kind} attachments`,
+      };
+    }
+
+    const id = randomUUID();
+    const { key } = await storage.put({
+      key: `delivery-proof/${parcel._id}/${kind}-${id}.${imageType.extension}`,
+      buffer,
+      contentType,
+    });
+
+    const attachment = {
+      id,
+      kind,
+      key,
+      storage: storage.name,
+      contentType,
+      size: buffer.length,
+      uploadedBy,
+      uploadedAt: new Date().toISOString(),
+    };
+
+    await parcelsCollection.updateOne(
+      { _id: parcel._id },
+      { $push: { proofAttachments: attachment }, $set: { updatedAt: attachment.uploadedAt } }
+    );
+
+    return { attachment };
+  };
+
+  /**
+   * Read one attachment's bytes
+   * Returns { attachment, buffer } or null when the parcel has no such attachment or the file is gone
+   */
+  const readAttachment = async (parcel, attachmentId) => {
+    const attachment = (parcel.proofAttachments || []).find((item) => item.id === attachmentId);
+    if (!attachment) return null;
+
+    const buffer = await storage.get(attachment.key);
+    return buffer ? { attachment, buffer } : null;
+  };
+
+  /**
+   * What the sender and admins see: how delivery was confirmed and the attachments (without storage keys)
+   */
+  const getDeliveryProof = async (parcel) => {
+    const record = await deliveryCodesCollection.findOne({ parcelId: parcel._id });
+
+    return {
+      parcelId: parcel._id,
+      trackingNo: parcel.tracking_no || null,
+      status: parcel.status,
+      deliveredAt: parcel.deliveredAt || null,
+      deliveredBy: parcel.deliveryProof?.deliveredBy || null,
+      method: parcel.deliveryProof?.method || null,
+      deliveryCode: record
+        ? { sentAt: record.issuedAt, expiresAt: record.expiresAt, verifiedAt: record.verifiedAt || null }
+        : null,
+      attachments: (parcel.proofAttachments || []).map(({ id, kind, contentType, size, uploadedBy, uploadedAt }) => ({
+        id,
+        kind,
+        contentType,
+        size,
+        uploadedBy,
+        uploadedAt,
+        url: `/parcels/${parcel._id}/proof/attachments/${id}`,
+      })),
+    };
+  };
+
+  // Text the receiver their code as the parcel leaves for delivery
+  events.on("parcel.status_changed", async ({ parcel, status }) => {
+    if (status !== "out_for_delivery") return;
+
+    try {
+      await issueDeliveryCode(parcel);
+    } catch (error) {
+      console.error("Error issuing delivery code:", parcel.tracking_no, error.message);
+    }
+  });
+
+  return {
+    issueDeliveryCode,
+    resendDeliveryCode,
+    verifyDeliveryCode,
+    saveAttachment,
+    readAttachment,
+    getDeliveryProof,
+  };
+};
+
+module.exports = {
+  PROOF_KINDS,
+  IMAGE_TYPES,
+  MAX_ATTACHMENT_BYTES,
+  createDeliveryProofService,
+};
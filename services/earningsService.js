@@ -0,0 +1,196 @@
+const { DEFAULT_COMMISSION_RULE, calculateCommission } = require("../utils/commission");
+
+// How far back the reconcile pass looks for deliveries without an earning
+const RECONCILE_LOOKBACK_DAYS = 7;
+
+/**
+ * Rider earnings
+ * Every delivered parcel whose rider accepted the assignment earns that rider a commission
+ * (one riderEarnings entry per parcel), worked out with the commission rule in effect when it was delivered
+ * Earnings are "unpaid" until an admin includes them in a payout
+ * Listens for "parcel.status_changed" on the app event bus; reconcileDeliveryEarnings catches up on
+ * deliveries whose earning couldn't be recorded then
+ */
+const createEarningsService = ({ data, auditService, events }) => {
+  const { commissionRulesCollection, riderEarningsCollection, parcelsCollection } = data;
+  const { recordAudit } = auditService;
+
+  /**
+   * Commission rule in effect at a point in time (default: now)
+   * Falls back to DEFAULT_COMMISSION_RULE when no rule has been saved yet
+   */
+  const getCommissionRule = async (at = new Date().toISOString()) => {
+    const [rule] = await commissionRulesCollection
+      .find({ effectiveFrom: { $lte: at } })
+      .sort({ effectiveFrom: -1 })
+      .limit(1)
+      .toArray();
+
+    if (!rule) {
+      return { _id: null, ...DEFAULT_COMMISSION_RULE, effectiveFrom: null, isDefault: true };
+    }
+
+    return { ...rule, isDefault: false };
+  };
+
+  /**
+   * Record what the rider earns for a delivered parcel
+   * Idempotent: the unique index on parcelId stops a parcel earning twice
+   * Returns the earning, or null if the parcel had already earned
+   */
+  const recordDeliveryEarning = async (parcel, deliveredAt) => {
+    const rule = await getCommissionRule(deliveredAt);
+    const { zone, percent, amount } = calculateCommission(parcel, rule);
+
+    const earning = {
+      riderEmail: parcel.riderEmail,
+      riderName: parcel.riderName || null,
+      parcelId: parcel._id,
+      trackingNumber: parcel.tracking_no || null,
+      route: `${parcel.senderDistrict} → ${parcel.receiverDistrict}`,
+      zone,
+      parcelCost: parcel.cost,
+      percent,
+      amount,
+      commissionRuleId: rule._id ? rule._id.toString() : null,
+      status: "unpaid", // 'unpaid' or 'paid'
+      payoutId: null,
+      earnedAt: deliveredAt,
+      createdAt: new Date().toISOString(),
+    };
+
+    try {
+      const { insertedId } = await riderEarningsCollection.insertOne(earning);
+
+      await recordAudit(null, {
+        action: "rider_earning.create",
+        target: { type: "riderEarning", id: insertedId },
+        after: { riderEmail: earning.riderEmail, parcelId: parcel._id.toString(), amount, percent, zone },
+      });
+
+      return { ...earning, _id: insertedId };
+    } catch (insertError) {
+      if (insertError.code === 11000) return null;
+      throw insertError;
+    }
+  };
+
+  /**
+   * Earned, paid and outstanding totals for one rider (or every rider when riderEmail is omitted)
+   * Returns one row per rider: { riderEmail, riderName, deliveries, earned, paid, outstanding, oldestUnpaid }
+   */
+  const getRiderBalances = (riderEmail = null) =>
+    riderEarningsCollection
+      .aggregate([
+        ...(riderEmail ? [{ $match: { riderEmail } }] : []),
+        {
+          $group: {
+            _id: "$riderEmail",
+            riderName: { $last: "$riderName" },
+            deliveries: { $sum: 1 },
+            earned: { $sum: "$amount" },
+            paid: { $sum: { $cond: [{ $eq: ["$status", "paid"] }, "$amount", 0] } },
+            oldestUnpaid: { $min: { $cond: [{ $eq: ["$status", "unpaid"] }, "$earnedAt", null] } },
+          },
+        },
+        {
+          $project: {
+            _id: 0,
+            riderEmail: "$_id",
+            riderName: 1,
+            deliveries: 1,
+            earned: { $round: ["$earned", 2] },
+            paid: { $round: ["$paid", 2] },
+            outstanding: { $round: [{ $subtract: ["$earned", "$paid"] }, 2] },
+            oldestUnpaid: 1,
+          },
+        },
+        { $sort: { outstanding: -1, riderEmail: 1 } },
+      ])
+      .toArray();
+
+  // Only the rider who accepted the assignment is owed for the delivery
+  const earnsCommission = (parcel) => !!parcel.riderEmail && parcel.assignmentStatus === "accepted";
+
+  /**
+   * Record earnings for recent deliveries that don't have one yet
+   * (the event listener below logs and drops failures, and a crash can lose the event altogether)
+   * Returns the number of earnings recorded
+   */
+  const reconcileDeliveryEarnings = async () => {
+    const since = new Date(Date.now() - RECONCILE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000).toISOString();
+
+    const parcels = await parcelsCollection
+      .find({
+        status: "delivered",
+        deliveredAt: { $gte: since },
+        riderEmail: { $ne: null },
+        assignmentStatus: "accepted",
+      })
+      .toArray();
+
+    if (parcels.length === 0) return 0;
+
+    const earned = await riderEarningsCollection
+      .find({ parcelId: { $in: parcels.map((parcel) => parcel._id) } })
+      .toArray();
+    const earnedIds = new Set(earned.map((earning) => earning.parcelId.toString()));
+
+    let recorded = 0;
+    for (const parcel of parcels) {
+      if (earnedIds.has(parcel._id.toString())) continue;
+
+      if (await recordDeliveryEarning(parcel, parcel.deliveredAt)) {
+        recorded++;
+      }
+    }
+
+    return recorded;
+  };
+
+  /**
+   * Run reconcileDeliveryEarnings every intervalMs (started by index.js once the database is connected)
+   * Returns a function that stops the worker
+   */
+  const startReconcileWorker = (intervalMs = 10 * 60 * 1000) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await reconcileDeliveryEarnings();
+      } catch (error) {
+        console.error("Rider earnings reconcile error:", error.message);
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for this
+    timer.unref();
+
+    return () => clearInterval(timer);
+  };
+
+  // Deliveries through the rider endpoint and admin status changes alike
+  events.on("parcel.status_changed", async ({ parcel, status, historyEntry }) => {
+    if (status !== "delivered" || !earnsCommission(parcel)) return;
+
+    try {
+      await recordDeliveryEarning(parcel, parcel.deliveredAt || historyEntry.timestamp);
+    } catch (error) {
+      console.error("Error recording rider earning:", parcel._id, error.message);
+    }
+  });
+
+  return {
+    getCommissionRule,
+    recordDeliveryEarning,
+    getRiderBalances,
+    reconcileDeliveryEarnings,
+    startReconcileWorker,
+  };
+};
+
+module.exports = { createEarningsService };
@@ -0,0 +1,143 @@
+const { toGeoKey } = require("../db/geography");
+const { escapeRegex } = require("../utils/parcelQuery");
+
+/**
+ * Divisions, districts, service centers and delivery coverage
+ * District names are matched in any known spelling and stored in the canonical one
+ */
+const createGeoService = ({ data }) => {
+  const { districtsCollection } = data;
+
+  const findDistrict = (name) => districtsCollection.findOne({ aliases: toGeoKey(name) });
+
+  /**
+   * Districts, optionally for one division or only those with pickup/delivery coverage
+   */
+  const listDistricts = ({ division, service } = {}) => {
+    const filter = {};
+    if (division) filter.division = new RegExp(`^${escapeRegex(String(division).trim())}$`, "i");
+    if (service) filter[`coverage.${service}`] = true;
+
+    return districtsCollection
+      .find(filter, { projection: { aliases: 0 } })
+      .sort({ division: 1, name: 1 })
+      .toArray();
+  };
+
+  /**
+   * Divisions with their district counts and how many have pickup and delivery coverage
+   */
+  const listDivisions = () =>
+    districtsCollection
+      .aggregate([
+        {
+          $group: {
+            _id: "$division",
+            districts: { $sum: 1 },
+            pickupDistricts: { $sum: { $cond: ["$coverage.pickup", 1, 0] } },
+            deliveryDistricts: { $sum: { $cond: ["$coverage.delivery", 1, 0] } },
+          },
+        },
+        { $sort: { _id: 1 } },
+        { $project: { _id: 0, name: "$_id", districts: 1, pickupDistricts: 1, deliveryDistricts: 1 } },
+      ])
+      .toArray();
+
+  /**
+   * Replace a district name on a contact or parcel body with its canonical spelling, in place
+   * Returns the district, or a { field, message } error when the name isn't a known district
+   */
+  const normalizeDistrictField = async (body, field) => {
+    if (body[field] === undefined) return { district: null };
+
+    const district = await findDistrict(body[field]);
+    if (!district) {
+      return { error: { field, message: "is not a known district" } };
+    }
+
+    body[field] = district.name;
+    return { district };
+  };
+
+  /**
+   * Replace a list of district names on a body with their canonical spellings (deduplicated), in place
+   * Returns a list of { field, message } errors, one per unknown district
+   */
+  const normalizeDistrictList = async (body, field) => {
+    if (body[field] === undefined) return [];
+
+    const errors = [];
+    const names = [];
+    for (const name of body[field]) {
+      const district = await findDistrict(name);
+      if (district) {
+        names.push(district.name);
+      } else {
+        errors.push({ field, message: `${name} is not a known district` });
+      }
+    }
+
+    body[field] = [...new Set(names)];
+    return errors;
+  };
+
+  /**
+   * Check a new parcel's districts: both must exist, the sender's must have pickup coverage
+   * and the receiver's delivery coverage
+   * Districts are canonicalised and regions set to their division, in place
+   * Returns a list of { field, message } errors (empty when the parcel can be booked)
+   */
+  const checkParcelCoverage = async (parcelData) => {
+    const errors = [];
+    const sides = [
+      { field: "senderDistrict", regionField: "senderRegion", service: "pickup" },
+      { field: "receiverDistrict", regionField: "receiverRegion", service: "delivery" },
+    ];
+
+    for (const { field, regionField, service } of sides) {
+      const { district, error } = await normalizeDistrictField(parcelData, field);
+      if (error) {
+        errors.push(error);
+      } else if (district) {
+        parcelData[regionField] = district.division;
+        if (!district.coverage?.[service]) {
+          errors.push({ field, message: `${district.name} is outside our ${service} coverage` });
+        }
+      }
+    }
+
+    return errors;
+  };
+
+  /**
+   * Turn pickup and/or delivery on or off for a district
+   * Returns { before, district } or null when the district doesn't exist
+   */
+  const updateCoverage = async (name, coverage) => {
+    const $set = { updatedAt: new Date().toISOString() };
+    for (const [service, enabled] of Object.entries(coverage)) {
+      $set[`coverage.${service}`] = enabled;
+    }
+
+    const before = await districtsCollection.findOneAndUpdate(
+      { aliases: toGeoKey(name) },
+      { $set },
+      { returnDocument: "before", projection: { aliases: 0 } }
+    );
+    if (!before) return null;
+
+    return { before, district: { ...before, coverage: { ...before.coverage, ...coverage } } };
+  };
+
+  return {
+    findDistrict,
+    listDistricts,
+    listDivisions,
+    normalizeDistrictField,
+    normalizeDistrictList,
+    checkParcelCoverage,
+    updateCoverage,
+  };
+};
+
+module.exports = { createGeoService };
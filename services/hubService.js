@@ -0,0 +1,167 @@
+const { planHubRoute } = require("../utils/hubRoute");
+const { buildHistoryEntry } = require("../utils/parcelStatus");
+
+// Parcels are scanned at hubs between pickup and going out for delivery
+const SCANNABLE_STATUSES = ["picked_up", "in_transit"];
+
+/**
+ * Hubs and warehouses, parcel routing between them and hub scans
+ * A parcel's planned stops are stored as hubRoute and where it was last scanned as currentLocation
+ */
+const createHubService = ({ data, geoService, parcelService, auditService, events }) => {
+  const { hubsCollection, parcelsCollection, usersCollection } = data;
+  const { findDistrict, normalizeDistrictField, normalizeDistrictList } = geoService;
+  const { transitionParcelStatus } = parcelService;
+  const { recordAudit } = auditService;
+
+  // Hub codes are stored upper case, e.g. DHK-HUB
+  const findHub = (code) => hubsCollection.findOne({ code: String(code).trim().toUpperCase() });
+
+  /**
+   * Check and canonicalise the fields of a hub create/update body, in place
+   * Sets division from the hub's district and requires staff to be hub_staff users
+   * Returns a list of { field, message } errors
+   */
+  const normalizeHubFields = async (body) => {
+    const errors = [];
+
+    if (body.code !== undefined) {
+      body.code = body.code.toUpperCase();
+    }
+
+    if (body.district !== undefined) {
+      const { district, error } = await normalizeDistrictField(body, "district");
+      if (error) {
+        errors.push(error);
+      } else {
+        body.division = district.division;
+      }
+    }
+
+    errors.push(...(await normalizeDistrictList(body, "servedDistricts")));
+
+    if (body.staffEmails?.length) {
+      const staff = await usersCollection
+        .find({ email: { $in: body.staffEmails }, role: "hub_staff" }, { projection: { email: 1 } })
+        .toArray();
+      const staffEmails = new Set(staff.map((user) => user.email));
+
+      for (const email of body.staffEmails) {
+        if (!staffEmails.has(email)) {
+          errors.push({ field: "staffEmails", message: `${email} is not a hub staff user` });
+        }
+      }
+    }
+
+    return errors;
+  };
+
+  /**
+   * Hub sequence from the parcel's sender district to its receiver district, using active hubs
+   */
+  const planRoute = async (parcel) => {
+    const [origin, destination] = await Promise.all([
+      findDistrict(parcel.senderDistrict),
+      findDistrict(parcel.receiverDistrict),
+    ]);
+    if (!origin || !destination) return [];
+
+    const hubs = await hubsCollection.find({ active: true }).sort({ code: 1 }).toArray();
+    return planHubRoute(hubs, origin, destination);
+  };
+
+  /**
+   * Record a parcel being scanned in or out at a hub
+   * Appends a located entry to statusHistory and updates currentLocation; the first scan-in
+   * after pickup also moves the parcel to in_transit. The route is planned on the first scan
+   * Scans at hubs off the planned route are allowed (and flagged) so misrouted parcels can be tracked
+   * Returns { parcel, historyEntry } or { status, message } when the scan isn't allowed
+   */
+  const scanParcel = async ({ hub, parcel, scan, note = null, actorRole, req }) => {
+    if (!SCANNABLE_STATUSES.includes(parcel.status)) {
+      return { status: 409, message: `Parcels that are ${parcel.status} can't be scanned at a hub` };
+    }
+
+    const atThisHub = parcel.currentLocation?.hubCode === hub.code && parcel.currentLocation.state === "at_hub";
+    if (scan === "in" && atThisHub) {
+      return { status: 409, message: "Parcel is already scanned in at this hub" };
+    }
+    if (scan === "out" && !atThisHub) {
+      return { status: 409, message: "Parcel must be scanned in at this hub before it is scanned out" };
+    }
+
+    const hubRoute = parcel.hubRoute || (await planRoute(parcel));
+    const stopIndex = hubRoute.findIndex((stop) => stop.code === hub.code);
+    const now = new Date().toISOString();
+
+    const location = { scan, hubCode: hub.code, hubName: hub.name, district: hub.district };
+    const set = {
+      hubRoute,
+      currentLocation: {
+        hubCode: hub.code,
+        hubName: hub.name,
+        district: hub.district,
+        state: scan === "in" ? "at_hub" : "departed",
+        // Unknown when leaving a hub off the route - an admin re-plans it
+        nextHubCode: scan === "out" && stopIndex !== -1 ? hubRoute[stopIndex + 1]?.code || null : null,
+        onRoute: stopIndex !== -1,
+        at: now,
+      },
+    };
+
+    let historyEntry;
+    let status = parcel.status;
+
+    if (scan === "in" && parcel.status === "picked_up") {
+      status = "in_transit";
+      const transition = await transitionParcelStatus(parcel, {
+        status,
+        actorEmail: req.user.email,
+        actorRole,
+        note,
+        set,
+        req,
+        location,
+      });
+      if (transition.result.matchedCount === 0) {
+        return { status: 409, message: "Parcel was updated by another request, scan again" };
+      }
+      historyEntry = transition.historyEntry;
+    } else {
+      historyEntry = buildHistoryEntry({
+        status,
+        previousStatus: parcel.status,
+        actorEmail: req.user.email,
+        actorRole,
+        note,
+        location,
+      });
+
+      // Only if nothing else scanned or moved the parcel since it was read
+      const result = await parcelsCollection.updateOne(
+        { _id: parcel._id, status: parcel.status, "currentLocation.at": parcel.currentLocation?.at ?? null },
+        { $set: { ...set, updatedAt: now }, $push: { statusHistory: historyEntry } }
+      );
+      if (result.matchedCount === 0) {
+        return { status: 409, message: "Parcel was updated by another request, scan again" };
+      }
+    }
+
+    await recordAudit(req, {
+      action: `parcel.scan.${scan}`,
+      target: { type: "parcel", id: parcel._id },
+      before: { currentLocation: parcel.currentLocation || null },
+      after: { currentLocation: set.currentLocation },
+      metadata: { hubCode: hub.code, onRoute: set.currentLocation.onRoute },
+    });
+
+    const scannedParcel = { ...parcel, ...set, status };
+    events.emit("parcel.scanned", { parcel: scannedParcel, scan, historyEntry });
+
+    return { parcel: scannedParcel, historyEntry };
+  };
+
+  return { findHub, normalizeHubFields, planRoute, scanParcel };
+};
+
+module.exports = { SCANNABLE_STATUSES, createHubService };
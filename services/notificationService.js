@@ -0,0 +1,220 @@
+const { DEFAULT_LANGUAGE, STATUS_EVENTS, SUPPORTED_LANGUAGES, renderTemplate } = require("../notifications/templates");
+
+// Give up after this many failed sends
+const MAX_ATTEMPTS = 5;
+
+// Wait 1, 2, 4, 8... minutes between attempts
+const RETRY_BASE_DELAY_MS = 60 * 1000;
+
+const RETRY_BATCH_SIZE = 50;
+
+// A "sending" notification still unresolved after this long (e.g. the server crashed) is retried
+const SEND_LEASE_MS = 10 * 60 * 1000;
+
+// Stored in place of one-time values such as delivery codes
+const REDACTED = "******";
+
+/**
+ * Email & SMS notifications for parcel events
+ * Listens for "parcel.status_changed" on the app event bus
+ * Every message is stored in the notifications collection with one entry per send attempt:
+ * sending -> sent, or -> retrying (until MAX_ATTEMPTS) -> failed
+ * Messages carrying a one-time value are stored redacted and can't be resent - they fail on the first error
+ */
+const createNotificationService = ({ data, events, providers }) => {
+  const { notificationsCollection, usersCollection } = data;
+
+  const nextRetryAt = (attemptCount) =>
+    new Date(Date.now() + RETRY_BASE_DELAY_MS * 2 ** (attemptCount - 1)).toISOString();
+
+  const leaseExpiry = () => new Date(Date.now() + SEND_LEASE_MS).toISOString();
+
+  /**
+   * Send a stored notification once and record the attempt
+   * The caller must have claimed it (status "sending")
+   * content is the { subject, body } to send when the stored one is redacted - only available on the first attempt
+   */
+  const attemptSend = async (notification, content = notification) => {
+    const provider = providers[notification.channel];
+    const attemptNumber = (notification.attemptCount || 0) + 1;
+    const attempt = { attempt: attemptNumber, provider: provider?.name || null, at: new Date().toISOString() };
+
+    try {
+      if (!provider) {
+        throw new Error(`No ${notification.channel} provider configured`);
+      }
+
+      if (notification.redacted && content === notification) {
+        throw new Error("Message contained a one-time value that isn't stored and can't be resent");
+      }
+
+      const { id } = await provider.send({
+        to: notification.recipient,
+        subject: content.subject,
+        body: content.body,
+      });
+
+      await notificationsCollection.updateOne(
+        { _id: notification._id },
+        {
+          $set: { status: "sent", providerMessageId: id, sentAt: attempt.at, nextAttemptAt: null },
+          $inc: { attemptCount: 1 },
+          $push: { attempts: { ...attempt, status: "sent" } },
+        }
+      );
+      return true;
+    } catch (sendError) {
+      const giveUp = attemptNumber >= MAX_ATTEMPTS || Boolean(notification.redacted);
+
+      await notificationsCollection.updateOne(
+        { _id: notification._id },
+        {
+          $set: {
+            status: giveUp ? "failed" : "retrying",
+            lastError: sendError.message,
+            nextAttemptAt: giveUp ? null : nextRetryAt(attemptNumber),
+          },
+          $inc: { attemptCount: 1 },
+          $push: { attempts: { ...attempt, status: "failed", error: sendError.message } },
+        }
+      );
+
+      console.error(`❌ ${notification.channel} notification failed (attempt ${attemptNumber}):`, sendError.message);
+      return false;
+    }
+  };
+
+  /**
+   * Work out who hears about an event and on which channels
+   * content is what gets sent; storedContent has the secretValues masked
+   */
+  const buildMessages = async (event, parcel, extraValues, secretValues) => {
+    const sender = parcel.senderEmail ? await usersCollection.findOne({ email: parcel.senderEmail }) : null;
+    const senderLanguage = SUPPORTED_LANGUAGES.includes(sender?.language) ? sender.language : DEFAULT_LANGUAGE;
+
+    const targets = [
+      { audience: "sender", channel: "email", recipient: parcel.senderEmail, language: senderLanguage },
+      { audience: "sender", channel: "sms", recipient: parcel.senderPhone, language: senderLanguage },
+      { audience: "receiver", channel: "sms", recipient: parcel.receiverPhone, language: DEFAULT_LANGUAGE },
+    ];
+
+    const redactedValues = Object.fromEntries(Object.keys(secretValues).map((key) => [key, REDACTED]));
+
+    return targets
+      .filter((target) => target.recipient)
+      .map((target) => {
+        const render = (values) =>
+          renderTemplate(event, target.audience, target.language, target.channel, parcel, {
+            ...extraValues,
+            ...values,
+          });
+
+        return { ...target, content: render(secretValues), storedContent: render(redactedValues) };
+      })
+      .filter((target) => target.content);
+  };
+
+  /**
+   * Queue and send every message for one parcel event
+   * extraValues fill placeholders that don't come from the parcel
+   * secretValues do too, but only reach the provider - the stored copy shows them as REDACTED (e.g. { deliveryCode })
+   * Never throws - notifications must not break the request that triggered them
+   */
+  const notifyParcelEvent = async (event, parcel, extraValues = {}, secretValues = {}) => {
+    try {
+      const messages = await buildMessages(event, parcel, extraValues, secretValues);
+      const redacted = Object.keys(secretValues).length > 0;
+
+      for (const message of messages) {
+        const notification = {
+          event,
+          parcelId: parcel._id,
+          trackingNo: parcel.tracking_no || null,
+          audience: message.audience,
+          channel: message.channel,
+          recipient: message.recipient,
+          language: message.language,
+          subject: message.storedContent.subject,
+          body: message.storedContent.body,
+          ...(redacted && { redacted: true }),
+          status: "sending",
+          attemptCount: 0,
+          attempts: [],
+          nextAttemptAt: leaseExpiry(),
+          createdAt: new Date().toISOString(),
+        };
+
+        const { insertedId } = await notificationsCollection.insertOne(notification);
+        await attemptSend({ ...notification, _id: insertedId }, message.content);
+      }
+    } catch (error) {
+      console.error("Error sending notifications:", event, error.message);
+    }
+  };
+
+  /**
+   * Resend notifications whose retry time has come, and sends whose lease ran out
+   * Each one is claimed before sending so two servers never send the same message
+   * Returns the number of notifications attempted
+   */
+  const processDueRetries = async () => {
+    const due = await notificationsCollection
+      .find({ status: { $in: ["retrying", "sending"] }, nextAttemptAt: { $lte: new Date().toISOString() } })
+      .sort({ nextAttemptAt: 1 })
+      .limit(RETRY_BATCH_SIZE)
+      .toArray();
+
+    let attempted = 0;
+    for (const notification of due) {
+      const claimed = await notificationsCollection.findOneAndUpdate(
+        { _id: notification._id, status: notification.status, nextAttemptAt: notification.nextAttemptAt },
+        { $set: { status: "sending", nextAttemptAt: leaseExpiry() } },
+        { returnDocument: "after" }
+      );
+
+      if (claimed) {
+        await attemptSend(claimed);
+        attempted++;
+      }
+    }
+
+    return attempted;
+  };
+
+  /**
+   * Poll for due retries every intervalMs (started by index.js once the database is connected)
+   * Returns a function that stops the worker
+   */
+  const startRetryWorker = (intervalMs = 60 * 1000) => {
+    let running = false;
+
+    const timer = setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await processDueRetries();
+      } catch (error) {
+        console.error("Notification retry worker error:", error.message);
+      } finally {
+        running = false;
+      }
+    }, intervalMs);
+
+    // Don't keep the process alive just for retries
+    timer.unref();
+
+    return () => clearInterval(timer);
+  };
+
+  // Parcel lifecycle changes, including payment verification (unpaid -> paid)
+  events.on("parcel.status_changed", ({ parcel, status }) => {
+    const event = STATUS_EVENTS[status];
+    if (event) {
+      notifyParcelEvent(event, parcel);
+    }
+  });
+
+  return { notifyParcelEvent, processDueRetries, startRetryWorker };
+};
+
+module.exports = { MAX_ATTEMPTS, createNotificationService };
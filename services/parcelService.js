@@ -0,0 +1,76 @@
+const { buildHistoryEntry } = require("../utils/parcelStatus");
+
+/**
+ * Parcel helpers shared by the parcel, payment, rider and admin routers
+ */
+const createParcelService = ({ data, auditService, events }) => {
+  const { parcelsCollection } = data;
+  const { recordAudit } = auditService;
+
+  /**
+   * Move a parcel to a new lifecycle status and append to its statusHistory
+   * Only updates if the status hasn't changed since the parcel was read,
+   * so result.matchedCount is 0 when another request got there first
+   * req (when the change comes from an API request) is used for the audit log entry
+   * location (hub scans) is recorded on the history entry
+   * While an admin is approving a cancellation (cancellationRequest.status "processing") only the
+   * cancellation itself can go through
+   * Emits "parcel.status_changed" on the app event bus once the update is saved
+   */
+  const transitionParcelStatus = async (
+    parcel,
+    { status, actorEmail, actorRole, note = null, set = {}, req = null, location = null }
+  ) => {
+    const historyEntry = buildHistoryEntry({
+      status,
+      previousStatus: parcel.status,
+      actorEmail,
+      actorRole,
+      note,
+      location,
+    });
+
+    const result = await parcelsCollection.updateOne(
+      {
+        _id: parcel._id,
+        status: parcel.status,
+        ...(status !== "cancelled" && { "cancellationRequest.status": { $ne: "processing" } }),
+      },
+      {
+        $set: {
+          ...set,
+          status,
+          updatedAt: new Date().toISOString(),
+        },
+        $push: {
+          statusHistory: historyEntry,
+        },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await recordAudit(req, {
+        action: "parcel.status.update",
+        target: { type: "parcel", id: parcel._id },
+        before: { status: parcel.status },
+        after: { status, ...set },
+        metadata: { actorRole, note },
+      });
+
+      events.emit("parcel.status_changed", {
+        parcel: { ...parcel, ...set, status },
+        previousStatus: parcel.status,
+        status,
+        historyEntry,
+      });
+    }
+
+    return { result, historyEntry };
+  };
+
+  return {
+    transitionParcelStatus,
+  };
+};
+
+module.exports = { createParcelService };
@@ -0,0 +1,471 @@
+const { ObjectId } = require("mongodb");
+const { DEFAULT_BDT_PER_USD, toChargeUnitAmount, bdtToUSD } = require("../utils/currency");
+
+/**
+ * Payment helpers shared by the payment and admin routers
+ */
+const createPaymentService = ({ data, parcelService, auditService, events, stripe }) => {
+  const { parcelsCollection, paymentsCollection, exchangeRatesCollection } = data;
+  const { transitionParcelStatus } = parcelService;
+  const { recordAudit } = auditService;
+
+  /**
+   * Get the BDT per USD rate in effect right now
+   * Latest rate whose effectiveFrom has passed, or the default if none is stored
+   */
+  const getCurrentExchangeRate = async () => {
+    const [rate] = await exchangeRatesCollection
+      .find({ effectiveFrom: { $lte: new Date().toISOString() } })
+      .sort({ effectiveFrom: -1 })
+      .limit(1)
+      .toArray();
+
+    if (!rate) {
+      return { _id: null, bdtPerUsd: DEFAULT_BDT_PER_USD, effectiveFrom: null, isDefault: true };
+    }
+
+    return { ...rate, isDefault: false };
+  };
+
+  /**
+   * A payment came in for a parcel that can't take it any more (cancelled, or paid through another
+   * checkout session while this one was open): flag it and refund it straight away
+   * If the refund fails the payment stays flagged (refundRequired) for an admin to refund
+   */
+  const flagStripePaymentForRefund = async (payment, parcel, req) => {
+    const reason = parcel ? `Parcel was '${parcel.status}' when the payment completed` : "Parcel no longer exists";
+
+    const { modifiedCount } = await paymentsCollection.updateOne(
+      { _id: payment._id, pendingParcelUpdate: true },
+      { $set: { refundRequired: true, refundRequiredReason: reason }, $unset: { pendingParcelUpdate: "" } }
+    );
+
+    // Another request already flagged it
+    if (modifiedCount === 0) {
+      return { recorded: false, refundRequired: true, tracking_no: payment.trackingNumber };
+    }
+
+    await recordAudit(req, {
+      action: "payment.refund_required",
+      target: { type: "payment", id: payment._id },
+      after: { refundRequired: true },
+      metadata: { parcelId: payment.parcelId.toString(), parcelStatus: parcel?.status || null, reason },
+    });
+
+    events.emit("payment.recorded", { payment: { ...payment, refundRequired: true } });
+
+    let refunded = false;
+    try {
+      const outcome = await refundStripePayment(payment, { reason, actorEmail: "system", req });
+      if (outcome.error) {
+        console.error("❌ Automatic refund failed:", payment.stripeSessionId, outcome.error.message);
+      } else {
+        refunded = true;
+        await paymentsCollection.updateOne({ _id: payment._id }, { $set: { refundRequired: false } });
+      }
+    } catch (refundError) {
+      console.error("❌ Automatic refund failed:", payment.stripeSessionId, refundError.message);
+    }
+
+    return { recorded: true, refundRequired: true, refunded, tracking_no: payment.trackingNumber };
+  };
+
+  /**
+   * Mark the parcel of a saved Stripe payment as paid, then clear the payment's pendingParcelUpdate flag
+   * Also finishes payments left half-recorded by a request that failed after saving them
+   */
+  const completeStripePayment = async (payment, req) => {
+    const parcel = await parcelsCollection.findOne({ _id: payment.parcelId });
+
+    if (parcel?.status === "unpaid") {
+      const { result } = await transitionParcelStatus(parcel, {
+        status: "paid",
+        actorEmail: parcel.senderEmail,
+        actorRole: "system",
+        note: "Stripe payment verified",
+        set: {
+          tracking_no: payment.trackingNumber,
+          paymentMethod: "stripe",
+          stripeSessionId: payment.stripeSessionId,
+          stripePaymentIntentId: payment.stripePaymentIntentId,
+          stripeTransactionId: payment.stripeTransactionId,
+          paidAmount: payment.amountPaid,
+          paidCurrency: payment.currency,
+          paidAt: payment.paidAt,
+        },
+        req,
+      });
+
+      // The parcel changed after we read it - look again (it is no longer unpaid)
+      if (result.modifiedCount === 0) {
+        return completeStripePayment(payment, req);
+      }
+    } else if (parcel?.stripeSessionId !== payment.stripeSessionId) {
+      return flagStripePaymentForRefund(payment, parcel, req);
+    }
+
+    // Only the request that clears the flag announces the payment
+    const { modifiedCount } = await paymentsCollection.updateOne(
+      { _id: payment._id, pendingParcelUpdate: true },
+      { $unset: { pendingParcelUpdate: "" } }
+    );
+
+    if (modifiedCount > 0) {
+      events.emit("payment.recorded", { payment });
+      console.log("✅ Stripe payment recorded:", payment.stripeSessionId, payment.trackingNumber);
+    }
+
+    return { recorded: modifiedCount > 0, tracking_no: payment.trackingNumber };
+  };
+
+  /**
+   * Record a completed Stripe Checkout session against its parcel
+   * Shared by /verify-payment (browser redirect) and the Stripe webhook.
+   * The payment is saved first (the unique index on stripeSessionId makes that the idempotency check)
+   * with pendingParcelUpdate set until the parcel is marked paid, so a retry can finish the job.
+   * Payments for parcels that are no longer unpaid are kept and refunded (see flagStripePaymentForRefund)
+   * req is the /verify-payment request, or null when called from the webhook
+   * Returns { recorded, tracking_no, refundRequired?, refunded? } or { error: { status, message } }
+   */
+  const recordStripePayment = async (session, req = null) => {
+    const sessionId = session.id;
+
+    // Check if payment already exists for this session
+    const existingPayment = await paymentsCollection.findOne({
+      stripeSessionId: sessionId,
+    });
+
+    if (existingPayment) {
+      if (existingPayment.pendingParcelUpdate) {
+        return completeStripePayment(existingPayment, req);
+      }
+      return {
+        recorded: false,
+        tracking_no: existingPayment.trackingNumber,
+        ...(existingPayment.refundRequiredReason && {
+          refundRequired: true,
+          refunded: !existingPayment.refundRequired,
+        }),
+      };
+    }
+
+    if (session.payment_status !== "paid") {
+      return { error: { status: 400, message: "Payment not completed" } };
+    }
+
+    const parcelId = session.metadata?.parcelId;
+
+    if (!ObjectId.isValid(parcelId)) {
+      return { error: { status: 400, message: "Invalid parcel ID in session" } };
+    }
+
+    // Check if parcel exists
+    const parcel = await parcelsCollection.findOne({
+      _id: new ObjectId(parcelId),
+    });
+
+    if (!parcel) {
+      return { error: { status: 404, message: "Parcel not found" } };
+    }
+
+    // Paid through this session before payments were recorded separately
+    if (parcel.status !== "unpaid" && parcel.stripeSessionId === sessionId) {
+      return { recorded: false, tracking_no: parcel.tracking_no };
+    }
+
+    // Generate tracking number (parcels that can't be paid any more keep whatever they have)
+    const timestamp = Date.now().toString().slice(-8);
+    const random = Math.floor(Math.random() * 100)
+      .toString()
+      .padStart(2, "0");
+    const tracking_no = parcel.status === "unpaid" ? `ZS${timestamp}${random}` : parcel.tracking_no || null;
+
+    // Get payment details from Stripe
+    let cardDetails = { last4: null, brand: null };
+    let transactionId = null;
+
+    try {
+      // Retrieve payment intent (can't expand charges.data.payment_method, so don't)
+      const paymentIntent = await stripe.paymentIntents.retrieve(session.payment_intent, {
+        expand: ["charges.data"],
+      });
+
+      console.log("Payment Intent Retrieved:", {
+        id: paymentIntent.id,
+        paymentMethod: paymentIntent.payment_method,
+        latestCharge: paymentIntent.latest_charge,
+        hasCharges: !!paymentIntent.charges,
+        chargesCount: paymentIntent.charges?.data?.length || 0,
+      });
+
+      // Get transaction ID from latest_charge
+      if (paymentIntent.latest_charge) {
+        transactionId = paymentIntent.latest_charge;
+        console.log("Transaction ID from latest_charge:", transactionId);
+      }
+
+      // Get charge details
+      if (paymentIntent.charges && paymentIntent.charges.data.length > 0) {
+        const charge = paymentIntent.charges.data[0];
+        console.log("Charge found:", {
+          id: charge.id,
+          hasPaymentMethodDetails: !!charge.payment_method_details,
+        });
+
+        // Override transaction ID with actual charge ID
+        transactionId = charge.id;
+
+        // Get card details from payment_method_details
+        if (charge.payment_method_details?.card) {
+          console.log("Using payment_method_details from charge");
+          cardDetails.last4 = charge.payment_method_details.card.last4;
+          cardDetails.brand = charge.payment_method_details.card.brand;
+        }
+      }
+
+      // Fallback: If no card details yet, fetch payment method separately
+      if (!cardDetails.last4 && paymentIntent.payment_method) {
+        console.log("Fetching payment method separately:", paymentIntent.payment_method);
+        try {
+          const paymentMethod = await stripe.paymentMethods.retrieve(paymentIntent.payment_method);
+
+          console.log("Payment method retrieved:", {
+            id: paymentMethod.id,
+            type: paymentMethod.type,
+            hasCard: !!paymentMethod.card,
+          });
+
+          if (paymentMethod.card) {
+            cardDetails.last4 = paymentMethod.card.last4;
+            cardDetails.brand = paymentMethod.card.brand;
+          }
+        } catch (pmError) {
+          console.error("Failed to retrieve payment method:", pmError.message);
+        }
+      }
+
+      console.log("Final results:", {
+        transactionId,
+        cardDetails,
+      });
+    } catch (cardError) {
+      console.error("Error retrieving payment details:", cardError.message);
+      // Continue without card details
+    }
+
+    // Rate locked in when the checkout session was created
+    const bdtPerUsd = Number(session.metadata?.bdtPerUsd) || DEFAULT_BDT_PER_USD;
+    const amountPaid = session.amount_total / 100; // Convert cents/poisha
+    const amountPaidUSD = session.currency === "usd" ? amountPaid : bdtToUSD(amountPaid, bdtPerUsd);
+
+    // Create payment record
+    const paymentRecord = {
+      parcelId: new ObjectId(parcelId),
+      userId: parcel.senderEmail,
+      userName: parcel.senderName,
+
+      // Payment details
+      amount: parcel.cost, // Original amount in BDT
+      amountPaid: amountPaid, // Amount paid in the charged currency
+      amountPaidUSD: amountPaidUSD, // Amount paid in USD
+      currency: session.currency,
+      exchangeRate: bdtPerUsd, // BDT per USD used for this payment
+      exchangeRateId: session.metadata?.exchangeRateId || null,
+      paymentMethod: "stripe",
+      paymentStatus: "succeeded",
+
+      // Stripe details
+      stripeSessionId: sessionId,
+      stripePaymentIntentId: session.payment_intent,
+      stripeTransactionId: transactionId, // Charge ID (Transaction ID)
+      stripeCustomerEmail: session.customer_email || session.customer_details?.email,
+
+      // Card details
+      paymentDetails: cardDetails,
+
+      // Parcel info
+      parcelName: parcel.parcelName,
+      trackingNumber: tracking_no,
+      route: `${parcel.senderDistrict} → ${parcel.receiverDistrict}`,
+
+      // Timestamps
+      paidAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+
+      // Cleared once the parcel is marked paid
+      pendingParcelUpdate: true,
+    };
+
+    // Save payment record (unique index on stripeSessionId guards against
+    // the webhook and the browser redirect recording the same session twice)
+    let paymentId;
+    try {
+      const inserted = await paymentsCollection.insertOne(paymentRecord);
+      paymentId = inserted.insertedId;
+    } catch (insertError) {
+      if (insertError.code === 11000) {
+        const recordedPayment = await paymentsCollection.findOne({ stripeSessionId: sessionId });
+        return recordedPayment?.pendingParcelUpdate
+          ? completeStripePayment(recordedPayment, req)
+          : { recorded: false, tracking_no: recordedPayment?.trackingNumber };
+      }
+      throw insertError;
+    }
+
+    await recordAudit(req, {
+      action: "payment.create",
+      target: { type: "payment", id: paymentId },
+      after: {
+        parcelId: parcelId,
+        paymentMethod: "stripe",
+        amount: paymentRecord.amount,
+        amountPaid,
+        currency: session.currency,
+        stripeSessionId: sessionId,
+      },
+      metadata: { source: req ? "verify-payment" : "webhook" },
+    });
+
+    return completeStripePayment({ ...paymentRecord, _id: paymentId }, req);
+  };
+
+  /**
+   * Log a failed or abandoned payment attempt on an unpaid parcel
+   */
+  const recordFailedPaymentAttempt = async (parcelId, attempt) => {
+    if (!ObjectId.isValid(parcelId)) {
+      return;
+    }
+
+    const result = await parcelsCollection.updateOne(
+      { _id: new ObjectId(parcelId), status: "unpaid" },
+      {
+        $set: { updatedAt: new Date().toISOString() },
+        $push: {
+          paymentAttempts: {
+            ...attempt,
+            createdAt: new Date().toISOString(),
+          },
+        },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      await recordAudit(null, {
+        action: "parcel.payment_attempt.fail",
+        target: { type: "parcel", id: parcelId },
+        after: attempt,
+      });
+    }
+  };
+
+  /**
+   * Build the refund totals for a payment record from the total refunded so far
+   * amountRefunded is in the charged currency, like amountPaid
+   */
+  const buildRefundTotals = (payment, amountRefunded) => {
+    const bdtPerUsd = payment.exchangeRate || DEFAULT_BDT_PER_USD;
+    const amountPaid = payment.amountPaid ?? payment.amountPaidUSD;
+    const isUSD = (payment.currency || "usd") === "usd";
+
+    return {
+      amountRefunded,
+      amountRefundedUSD: isUSD ? amountRefunded : bdtToUSD(amountRefunded, bdtPerUsd),
+      amountRefundedBDT: isUSD ? Math.round(amountRefunded * bdtPerUsd) : amountRefunded,
+      paymentStatus: amountRefunded >= amountPaid ? "refunded" : "partially_refunded",
+    };
+  };
+
+  /**
+   * Refund a Stripe payment in full or in part
+   * amountBDT is optional - omit it to refund whatever is left
+   * req is the admin request that triggered the refund, for the audit log
+   * Returns the updated payment record or { error: { status, message } }
+   */
+  const refundStripePayment = async (payment, { amountBDT, reason, actorEmail, req = null }) => {
+    if (!payment.stripePaymentIntentId) {
+      return { error: { status: 400, message: "Payment has no Stripe payment intent to refund" } };
+    }
+
+    const bdtPerUsd = payment.exchangeRate || DEFAULT_BDT_PER_USD;
+    const isUSD = (payment.currency || "usd") === "usd";
+    const amountPaid = payment.amountPaid ?? payment.amountPaidUSD;
+    const remaining = Math.round((amountPaid - (payment.amountRefunded || 0)) * 100); // cents/poisha
+
+    if (remaining <= 0) {
+      return { error: { status: 400, message: "Payment is already fully refunded" } };
+    }
+
+    let refundUnits = remaining;
+    if (amountBDT !== undefined && amountBDT !== null) {
+      const value = Number(amountBDT);
+      if (!Number.isFinite(value) || value <= 0) {
+        return { error: { status: 400, message: "Refund amount must be a positive number" } };
+      }
+      refundUnits = toChargeUnitAmount(value, isUSD ? "usd" : "bdt", bdtPerUsd);
+      if (refundUnits > remaining) {
+        return { error: { status: 400, message: "Refund amount exceeds the refundable balance" } };
+      }
+    }
+
+    const refund = await stripe.refunds.create({
+      payment_intent: payment.stripePaymentIntentId,
+      amount: refundUnits,
+      reason: "requested_by_customer",
+      metadata: {
+        paymentId: payment._id.toString(),
+        parcelId: payment.parcelId.toString(),
+        reason: reason || "",
+      },
+    });
+
+    const totals = buildRefundTotals(payment, (payment.amountRefunded || 0) + refund.amount / 100);
+
+    await paymentsCollection.updateOne(
+      { _id: payment._id },
+      {
+        $set: {
+          ...totals,
+          refundStatus: refund.status,
+          refundReason: reason || null,
+          refundedAt: new Date().toISOString(),
+        },
+        $push: {
+          refunds: {
+            stripeRefundId: refund.id,
+            amount: refund.amount / 100,
+            currency: refund.currency,
+            status: refund.status,
+            reason: reason || null,
+            createdBy: actorEmail,
+            createdAt: new Date().toISOString(),
+          },
+        },
+      }
+    );
+
+    await recordAudit(req, {
+      action: "payment.refund",
+      target: { type: "payment", id: payment._id },
+      before: {
+        amountRefunded: payment.amountRefunded || 0,
+        paymentStatus: payment.paymentStatus,
+      },
+      after: { amountRefunded: totals.amountRefunded, paymentStatus: totals.paymentStatus },
+      metadata: { stripeRefundId: refund.id, amount: refund.amount / 100, currency: refund.currency, reason },
+    });
+
+    console.log("✅ Stripe refund issued:", refund.id, refund.amount / 100, refund.currency);
+    return { payment: { ...payment, ...totals, refundStatus: refund.status }, refund };
+  };
+
+  return {
+    getCurrentExchangeRate,
+    recordStripePayment,
+    recordFailedPaymentAttempt,
+    buildRefundTotals,
+    refundStripePayment,
+  };
+};
+
+module.exports = { createPaymentService };
@@ -0,0 +1,199 @@
+// Comment line sent periodically so proxies don't close idle streams
+const HEARTBEAT_INTERVAL_MS = 25 * 1000;
+
+// How often an open stream re-checks its user (bans, suspensions, role changes made on another server)
+const ACCESS_CHECK_INTERVAL_MS = 60 * 1000;
+
+// Only what a dashboard needs to update a row - clients refetch for full details
+const toParcelSummary = (parcel) => ({
+  _id: parcel._id,
+  tracking_no: parcel.tracking_no || null,
+  parcelName: parcel.parcelName,
+  status: parcel.status,
+  senderEmail: parcel.senderEmail,
+  senderDistrict: parcel.senderDistrict,
+  receiverDistrict: parcel.receiverDistrict,
+  riderEmail: parcel.riderEmail || null,
+  assignmentStatus: parcel.assignmentStatus || null,
+  currentLocation: parcel.currentLocation || null,
+  cost: parcel.cost,
+});
+
+const toPaymentSummary = (payment) => ({
+  _id: payment._id,
+  parcelId: payment.parcelId,
+  trackingNumber: payment.trackingNumber,
+  userId: payment.userId,
+  amount: payment.amount,
+  paymentMethod: payment.paymentMethod,
+  paymentStatus: payment.paymentStatus,
+  paidAt: payment.paidAt,
+});
+
+/**
+ * Server-Sent Events fan-out of app events to connected dashboards
+ * - senders: status changes and hub scans on their own parcels
+ * - riders: assignments (and unassignments) plus status changes on parcels assigned to them
+ * - admins: new parcels and new payments
+ * Streams are closed (with a "stream.closed" event) when the token expires or the user is banned,
+ * suspended, signed out everywhere or given another role - on "user.access_changed" and every minute
+ */
+const createRealtimeService = ({ data, events }) => {
+  const { usersCollection } = data;
+
+  // Connected streams: res -> { email, role, authTime, close }
+  const clients = new Map();
+  let nextEventId = 1;
+
+  const send = (res, type, payload) => {
+    res.write(`id: ${nextEventId++}\nevent: ${type}\ndata: ${JSON.stringify(payload)}\n\n`);
+  };
+
+  // Send to every client matching the predicate
+  const broadcast = (type, payload, predicate) => {
+    for (const [res, client] of clients) {
+      if (predicate(client)) {
+        send(res, type, payload);
+      }
+    }
+  };
+
+  const isAdmin = (client) => client.role === "admin";
+
+  /**
+   * Why a connected user may no longer receive their stream, or null while they still can
+   * Mirrors the checks verifyToken makes when the stream is opened
+   */
+  const getAccessProblem = (client, account) => {
+    if (account?.status === "banned") {
+      return "account_banned";
+    }
+
+    if (
+      account?.status === "suspended" &&
+      !(account.suspendedUntil && new Date(account.suspendedUntil) <= new Date())
+    ) {
+      return "account_suspended";
+    }
+
+    if (account?.tokensRevokedAt && client.authTime * 1000 < new Date(account.tokensRevokedAt).getTime()) {
+      return "session_revoked";
+    }
+
+    // Reconnecting picks up the new role (and what it can see)
+    if ((account?.role || null) !== client.role) {
+      return "role_changed";
+    }
+
+    return null;
+  };
+
+  // Close every stream of one user that fails the access checks
+  const recheckUser = async (email) => {
+    const streams = [...clients.values()].filter((client) => client.email === email);
+    if (streams.length === 0) return;
+
+    const account = await usersCollection.findOne({ email });
+    for (const client of streams) {
+      const problem = getAccessProblem(client, account);
+      if (problem) {
+        client.close(problem);
+      }
+    }
+  };
+
+  /**
+   * Keep a response open as an event stream for the given user (req.user from verifyToken)
+   * Cleans up when the client disconnects; closes the stream itself when the token expires
+   */
+  const subscribe = (req, res, { email, role, authTime, expiresAt }) => {
+    res.status(200);
+    res.setHeader("Content-Type", "text/event-stream");
+    res.setHeader("Cache-Control", "no-cache, no-transform");
+    res.setHeader("Connection", "keep-alive");
+    // Stop nginx from buffering the stream
+    res.setHeader("X-Accel-Buffering", "no");
+    res.flushHeaders();
+
+    const heartbeat = setInterval(() => res.write(": heartbeat\n\n"), HEARTBEAT_INTERVAL_MS);
+
+    const accessCheck = setInterval(async () => {
+      try {
+        await recheckUser(email);
+      } catch (error) {
+        console.error("Error re-checking event stream access:", email, error.message);
+      }
+    }, ACCESS_CHECK_INTERVAL_MS);
+
+    // expiresAt is the token's exp claim (seconds) - the client has to reconnect with a fresh token
+    const expiry = expiresAt
+      ? setTimeout(() => close("token_expired"), Math.max(expiresAt * 1000 - Date.now(), 0))
+      : null;
+
+    const cleanUp = () => {
+      clearInterval(heartbeat);
+      clearInterval(accessCheck);
+      clearTimeout(expiry);
+      clients.delete(res);
+    };
+
+    // Tell the client why before ending, so it doesn't just reconnect with the same token
+    const close = (reason) => {
+      if (!clients.has(res)) return;
+      send(res, "stream.closed", { reason });
+      cleanUp();
+      res.end();
+    };
+
+    clients.set(res, { email, role, authTime, close });
+    send(res, "ready", { email, role });
+
+    req.on("close", cleanUp);
+  };
+
+  // A user was banned, suspended, signed out everywhere, given a new role or deleted
+  events.on("user.access_changed", async ({ email }) => {
+    try {
+      await recheckUser(email);
+    } catch (error) {
+      console.error("Error re-checking event stream access:", email, error.message);
+    }
+  });
+
+  events.on("parcel.created", ({ parcel }) => {
+    broadcast("parcel.created", toParcelSummary(parcel), isAdmin);
+  });
+
+  events.on("parcel.status_changed", ({ parcel, previousStatus, status, historyEntry }) => {
+    const payload = { parcel: toParcelSummary(parcel), previousStatus, status, history: historyEntry };
+    broadcast(
+      "parcel.status_changed",
+      payload,
+      (client) => client.email === parcel.senderEmail || (!!parcel.riderEmail && client.email === parcel.riderEmail)
+    );
+  });
+
+  events.on("parcel.scanned", ({ parcel, scan, historyEntry }) => {
+    const payload = { parcel: toParcelSummary(parcel), scan, history: historyEntry };
+    broadcast("parcel.scanned", payload, (client) => client.email === parcel.senderEmail);
+  });
+
+  events.on("parcel.assigned", ({ parcel, previousRiderEmail }) => {
+    const summary = toParcelSummary(parcel);
+    broadcast("parcel.assigned", summary, (client) => client.email === parcel.riderEmail);
+
+    if (previousRiderEmail && previousRiderEmail !== parcel.riderEmail) {
+      broadcast("parcel.unassigned", summary, (client) => client.email === previousRiderEmail);
+    }
+  });
+
+  events.on("payment.recorded", ({ payment }) => {
+    broadcast("payment.recorded", toPaymentSummary(payment), isAdmin);
+  });
+
+  const getClientCount = () => clients.size;
+
+  return { subscribe, getClientCount };
+};
+
+module.exports = { createRealtimeService };
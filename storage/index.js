@@ -0,0 +1,79 @@
+const fs = require("fs/promises");
+const path = require("path");
+
+// ==========================================
+// FILE STORAGE
+// ==========================================
+// A storage keeps uploaded files (delivery photos and signatures) under a key:
+//   { name, put: async ({ key, buffer, contentType }) => ({ key }), get: async (key) => Buffer | null }
+// Keys look like "delivery-proof/<parcelId>/<file>" and never come from user input.
+// Object stores (S3, GCS, ...) plug in by implementing the same shape.
+
+/**
+ * Writes files under a local directory (default for a single server)
+ */
+const createLocalDiskStorage = (dir) => {
+  const root = path.resolve(dir);
+
+  // Refuse keys that would escape the storage directory
+  const resolveKey = (key) => {
+    const filePath = path.resolve(root, key);
+    if (!filePath.startsWith(root + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: "local",
+    put: async ({ key, buffer }) => {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, buffer);
+      return { key };
+    },
+    get: async (key) => {
+      try {
+        return await fs.readFile(resolveKey(key));
+      } catch (readError) {
+        if (readError.code === "ENOENT") return null;
+        throw readError;
+      }
+    },
+  };
+};
+
+/**
+ * Keeps files in memory - for tests and throwaway environments
+ */
+const createMemoryStorage = () => {
+  const files = new Map();
+
+  return {
+    name: "memory",
+    put: async ({ key, buffer }) => {
+      files.set(key, Buffer.from(buffer));
+      return { key };
+    },
+    get: async (key) => files.get(key) || null,
+  };
+};
+
+const STORAGE_FACTORIES = {
+  local: () => createLocalDiskStorage(process.env.UPLOAD_DIR || "uploads"),
+  memory: () => createMemoryStorage(),
+};
+
+/**
+ * Pick the storage from FILE_STORAGE_PROVIDER ("local" or "memory", default "local")
+ */
+const createStorage = () => {
+  const name = process.env.FILE_STORAGE_PROVIDER || "local";
+  const factory = STORAGE_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown file storage provider: ${name}`);
+  }
+  return factory();
+};
+
+module.exports = { createLocalDiskStorage, createMemoryStorage, createStorage };
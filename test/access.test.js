@@ -0,0 +1,279 @@
+const { describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+const { listRoutes } = require("../utils/routeRegistry");
+
+// Who may call each route. "user" is the parcel's sender and the owner of the seeded payment and
+// contact; "other" is a second ordinary user who owns nothing; "rider" is assigned to the parcel;
+// "hub_staff" works at the seeded hub
+const ROLES = ["anonymous", "other", "user", "hub_staff", "rider", "admin"];
+
+const EVERYONE = ROLES;
+const SIGNED_IN = ROLES.filter((role) => role !== "anonymous");
+const ADMIN = ["admin"];
+const RIDER = ["rider"];
+const HUB_STAFF = ["hub_staff", "admin"];
+const OWNER_OR_ADMIN = ["user", "admin"];
+const PARCEL_PARTIES = ["user", "rider", "admin"];
+
+// "METHOD /path": [allowed roles, { params, body, stream }]
+// Every route the app registers has to be listed - a new route fails the test until it is
+const ACCESS = {
+  "GET /": [EVERYONE],
+  "GET /openapi.json": [EVERYONE],
+  "GET /docs": [EVERYONE],
+
+  // Parcels
+  "GET /parcels": [ADMIN],
+  "POST /parcels": [SIGNED_IN],
+  "GET /parcels/user/:email": [OWNER_OR_ADMIN],
+  "GET /parcels/user/:email/unpaid": [OWNER_OR_ADMIN],
+  "GET /parcels/search/phone/:phone": [SIGNED_IN],
+  "GET /parcels/:id": [PARCEL_PARTIES],
+  "DELETE /parcels/:id": [OWNER_OR_ADMIN],
+  "PATCH /parcels/:id/status": [OWNER_OR_ADMIN, { body: { status: "cancelled" } }],
+  "POST /parcels/:id/cancellation-request": [["user"], { body: { reason: "Changed my mind" } }],
+  "POST /quotes": [EVERYONE],
+  "GET /track/:trackingNo": [EVERYONE],
+
+  // Payments
+  "POST /create-checkout-session": [SIGNED_IN],
+  "POST /verify-payment": [SIGNED_IN, { body: { sessionId: "cs_missing" } }],
+  "POST /webhooks/stripe": [EVERYONE],
+  "POST /parcels/:id/pay": [OWNER_OR_ADMIN],
+  "GET /payments": [ADMIN],
+  "GET /payments/user/:email": [OWNER_OR_ADMIN],
+  "GET /payments/:id": [OWNER_OR_ADMIN, { params: { id: "payment" } }],
+  "GET /payments/:id/receipt": [OWNER_OR_ADMIN, { params: { id: "payment" } }],
+  "GET /payments/stats/overview": [ADMIN],
+  "GET /exchange-rates/current": [EVERYONE],
+
+  // Riders
+  "GET /riders/me/parcels": [RIDER],
+  "PATCH /riders/me/parcels/:id/accept": [RIDER],
+  "PATCH /riders/me/parcels/:id/reject": [RIDER],
+  "PATCH /riders/me/parcels/:id/pickup": [RIDER],
+  "PATCH /riders/me/parcels/:id/deliver": [RIDER],
+  "POST /riders/me/parcels/:id/delivery-code": [RIDER],
+  "POST /riders/me/parcels/:id/proof/:kind": [RIDER],
+  "GET /riders/me/earnings": [RIDER],
+  "GET /riders/me/profile": [RIDER],
+  "POST /riders/applications": [SIGNED_IN],
+  "GET /riders/applications/me": [SIGNED_IN],
+
+  // Delivery proof
+  "GET /parcels/:id/proof": [OWNER_OR_ADMIN],
+  "GET /parcels/:id/proof/attachments/:attachmentId": [OWNER_OR_ADMIN],
+
+  // Users
+  "GET /users": [ADMIN],
+  "POST /users": [SIGNED_IN],
+  "GET /users/:email": [OWNER_OR_ADMIN],
+  "DELETE /users/:email": [ADMIN],
+  "GET /users/:email/check-admin": [OWNER_OR_ADMIN],
+  "PATCH /users/:email/role": [ADMIN],
+  "PATCH /users/:email/status": [ADMIN],
+  "GET /users/stats/overview": [ADMIN],
+
+  // Admin
+  "GET /admin/users": [ADMIN],
+  "PATCH /parcels/:id/assign-rider": [ADMIN],
+  "GET /admin/cancellation-requests": [ADMIN],
+  "PATCH /admin/parcels/:id/cancellation-request": [ADMIN],
+  "GET /admin/cod/outstanding": [ADMIN],
+  "GET /admin/cod/outstanding/:riderEmail": [ADMIN],
+  "GET /admin/cod/settlements": [ADMIN],
+  "POST /admin/cod/settlements": [ADMIN],
+  "GET /admin/exchange-rates": [ADMIN],
+  "POST /admin/exchange-rates": [ADMIN],
+  "GET /admin/audit-logs": [ADMIN],
+  "GET /admin/notifications": [ADMIN],
+  "POST /admin/notifications/:id/retry": [ADMIN, { params: { id: "missing" } }],
+  "GET /admin/rider-balances": [ADMIN],
+  "GET /admin/riders/:riderEmail/earnings": [ADMIN],
+  "GET /admin/rider-payouts": [ADMIN],
+  "POST /admin/rider-payouts": [ADMIN],
+  "GET /admin/commission-rules": [ADMIN],
+  "POST /admin/commission-rules": [ADMIN],
+  "GET /admin/rider-applications": [ADMIN],
+  "PATCH /admin/rider-applications/:id/review": [ADMIN, { params: { id: "missing" } }],
+  "GET /admin/riders/:riderEmail/profile": [ADMIN],
+  "GET /admin/exports/parcels.csv": [ADMIN],
+  "GET /admin/exports/payments.csv": [ADMIN],
+  "GET /admin/analytics/revenue": [ADMIN],
+  "GET /admin/analytics/revenue/by-route": [ADMIN],
+  "GET /admin/analytics/revenue/by-method": [ADMIN],
+  "GET /admin/analytics/parcels/by-status": [ADMIN],
+  "GET /admin/analytics/delivery-time": [ADMIN],
+
+  // Address book - everyone has their own
+  "GET /contacts": [SIGNED_IN],
+  "POST /contacts": [SIGNED_IN],
+  "GET /contacts/:id": [SIGNED_IN, { params: { id: "contact" } }],
+  "PATCH /contacts/:id": [SIGNED_IN, { params: { id: "contact" } }],
+  "DELETE /contacts/:id": [SIGNED_IN, { params: { id: "contact" } }],
+
+  // Geography
+  "GET /geo/divisions": [EVERYONE],
+  "GET /geo/districts": [EVERYONE],
+  "GET /geo/districts/:name": [EVERYONE],
+  "GET /geo/service-centers": [EVERYONE],
+  "PATCH /admin/districts/:name/coverage": [ADMIN],
+
+  // Hubs
+  "GET /admin/hubs": [ADMIN],
+  "POST /admin/hubs": [ADMIN],
+  "PATCH /admin/hubs/:code": [ADMIN],
+  "GET /hubs/assigned": [SIGNED_IN],
+  "GET /hubs/:code/parcels": [HUB_STAFF],
+  "POST /hubs/:code/scan-in": [HUB_STAFF],
+  "POST /hubs/:code/scan-out": [HUB_STAFF],
+  "GET /parcels/:id/route": [PARCEL_PARTIES],
+  "POST /admin/parcels/:id/route": [ADMIN],
+
+  // Live updates
+  "GET /events/stream": [SIGNED_IN, { stream: true }],
+};
+
+// Routes registered on the app, including its own (e.g. GET /)
+const appRoutes = (app) => {
+  const layers = app.router.stack;
+  return [
+    ...listRoutes([{ stack: layers }]),
+    ...listRoutes(layers.map((layer) => layer.handle).filter((handle) => Array.isArray(handle.stack))),
+  ];
+};
+
+describe("route access", () => {
+  const { db, test } = useTestDatabase();
+  let server;
+  let routes = [];
+
+  before(async () => {
+    if (db.unavailable) return;
+    const { app } = createTestApp(db.data);
+    routes = appRoutes(app);
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  // A parcel sent by "user" and assigned to "rider", with a payment, a contact and a hub to point routes at
+  const seed = async () => {
+    await seedUsers(db.data);
+
+    const now = new Date().toISOString();
+    const { insertedId: parcelId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "01712345678",
+      receiverDistrict: "Chattogram",
+      receiverAddress: "12 Agrabad Road",
+      cost: 110,
+      status: "unpaid",
+      riderEmail: USERS.rider.email,
+      assignmentStatus: "pending",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    const { insertedId: paymentId } = await db.data.paymentsCollection.insertOne({
+      parcelId,
+      userId: USERS.user.email,
+      amount: 110,
+      currency: "usd",
+      paymentMethod: "stripe",
+      paymentStatus: "succeeded",
+      paidAt: now,
+      createdAt: now,
+    });
+
+    const { insertedId: contactId } = await db.data.contactsCollection.insertOne({
+      ownerEmail: USERS.user.email,
+      name: "Receiver",
+      phone: "+8801712345678",
+      district: "Chattogram",
+      createdAt: now,
+    });
+
+    await db.data.hubsCollection.insertOne({
+      code: "DHK",
+      name: "Dhaka Hub",
+      type: "hub",
+      district: "Dhaka",
+      staffEmails: [USERS.hub_staff.email],
+      active: true,
+      createdAt: now,
+    });
+
+    return {
+      id: parcelId.toString(),
+      payment: paymentId.toString(),
+      contact: contactId.toString(),
+      missing: new ObjectId().toString(),
+    };
+  };
+
+  test("lists every registered route", () => {
+    assert.deepEqual(
+      routes.filter((route) => !ACCESS[route]),
+      [],
+      "add new routes to ACCESS"
+    );
+    assert.deepEqual(
+      Object.keys(ACCESS).filter((route) => !routes.includes(route)),
+      [],
+      "remove deleted routes from ACCESS"
+    );
+  });
+
+  for (const [route, [allowed, { params = {}, body = {}, stream = false } = {}]] of Object.entries(ACCESS)) {
+    test(route, async () => {
+      const ids = await seed();
+      const values = {
+        email: USERS.user.email,
+        riderEmail: USERS.rider.email,
+        phone: "01712345678",
+        trackingNo: "ZS00000000",
+        kind: "photo",
+        attachmentId: "missing",
+        name: "Dhaka",
+        code: "DHK",
+        id: ids.id,
+        ...Object.fromEntries(Object.entries(params).map(([name, key]) => [name, ids[key]])),
+      };
+      const [method, pattern] = route.split(" ");
+      const path = pattern.replace(/:(\w+)/g, (match, name) => encodeURIComponent(values[name]));
+
+      // Turned-away roles first, so nothing they'd change is already changed by an allowed one
+      const order = [
+        ...ROLES.filter((role) => !allowed.includes(role)),
+        ...ROLES.filter((role) => allowed.includes(role)),
+      ];
+
+      for (const role of order) {
+        const res = await server.request(method, path, {
+          as: role === "anonymous" ? undefined : USERS[role].email,
+          body: method === "GET" ? undefined : body,
+          stream,
+        });
+
+        if (allowed.includes(role)) {
+          assert.ok(![401, 403].includes(res.status), `${role} should reach ${route}, got ${res.status}`);
+        } else {
+          const expected = role === "anonymous" ? 401 : 403;
+          assert.equal(res.status, expected, `${role} should get ${expected} from ${route}`);
+        }
+      }
+    });
+  }
+});
@@ -0,0 +1,207 @@
+const { describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+describe("admin routes", () => {
+  const { db, test } = useTestDatabase();
+  let server;
+
+  before(async () => {
+    if (db.unavailable) return;
+    server = await startServer(createTestApp(db.data).app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  // A delivered COD parcel whose cash the rider still holds
+  const insertCollectedCod = async (codAmount) => {
+    const now = new Date().toISOString();
+    const { insertedId: parcelId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "+8801712345678",
+      receiverDistrict: "Dhaka",
+      receiverAddress: "12 Road 5, Dhanmondi",
+      cost: 60,
+      status: "delivered",
+      paymentMethod: "cod",
+      codAmount,
+      codStatus: "collected",
+      riderEmail: USERS.rider.email,
+      assignmentStatus: "accepted",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    await db.data.paymentsCollection.insertOne({
+      parcelId,
+      userId: USERS.user.email,
+      amount: codAmount,
+      amountPaid: codAmount,
+      currency: "bdt",
+      paymentMethod: "cod",
+      paymentStatus: "succeeded",
+      collectedBy: USERS.rider.email,
+      settlementStatus: "outstanding",
+      paidAt: now,
+      createdAt: now,
+    });
+
+    return parcelId;
+  };
+
+  test("settles a rider's cash once when two settlements race", async () => {
+    await seedUsers(db.data);
+    const parcelIds = [await insertCollectedCod(150), await insertCollectedCod(80)];
+
+    // Hold each settlement just before it's saved, until the other one gets there too (or can't)
+    const collection = db.data.codSettlementsCollection;
+    const { insertOne } = collection;
+    const waiting = [];
+    collection.insertOne = async (...args) => {
+      await new Promise((resolve) => {
+        waiting.push(resolve);
+        if (waiting.length === 2) waiting.forEach((release) => release());
+        setTimeout(resolve, 200);
+      });
+      return insertOne.apply(collection, args);
+    };
+
+    let results;
+    try {
+      results = await Promise.all(
+        [1, 2].map(() =>
+          server.request("POST", "/admin/cod/settlements", {
+            as: USERS.admin.email,
+            body: { riderEmail: USERS.rider.email },
+          })
+        )
+      );
+    } finally {
+      collection.insertOne = insertOne;
+    }
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [201, 400]);
+
+    const settlements = await db.data.codSettlementsCollection.find().toArray();
+    assert.equal(settlements.length, 1);
+    assert.equal(settlements[0].totalAmount, 230);
+
+    const payments = await db.data.paymentsCollection.find().toArray();
+    assert.ok(payments.every((payment) => payment.settlementId.equals(settlements[0]._id)));
+
+    const parcels = await db.data.parcelsCollection.find({ _id: { $in: parcelIds } }).toArray();
+    assert.ok(parcels.every((parcel) => parcel.codStatus === "settled"));
+  });
+
+  test("won't reassign a parcel its rider accepted meanwhile", async () => {
+    await seedUsers(db.data);
+    const otherRider = { email: "rider2@test.com", displayName: "Rider Two", role: "rider", status: "active" };
+    await db.data.usersCollection.insertOne(otherRider);
+
+    const now = new Date().toISOString();
+    const { insertedId: parcelId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderDistrict: "Dhaka",
+      receiverDistrict: "Dhaka",
+      cost: 60,
+      status: "paid",
+      riderEmail: USERS.rider.email,
+      assignmentStatus: "pending",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+
+    // Hold both requests after they've loaded the still-pending parcel
+    const collection = db.data.parcelsCollection;
+    const { findOne } = collection;
+    const waiting = [];
+    collection.findOne = async (...args) => {
+      const parcel = await findOne.apply(collection, args);
+      if (waiting.length < 2) {
+        await new Promise((resolve) => {
+          waiting.push(resolve);
+          if (waiting.length === 2) waiting.forEach((release) => release());
+        });
+      }
+      return parcel;
+    };
+
+    let results;
+    try {
+      results = await Promise.all([
+        server.request("PATCH", `/riders/me/parcels/${parcelId}/accept`, { as: USERS.rider.email, body: {} }),
+        server.request("PATCH", `/parcels/${parcelId}/assign-rider`, {
+          as: USERS.admin.email,
+          body: { riderEmail: otherRider.email },
+        }),
+      ]);
+    } finally {
+      collection.findOne = findOne;
+    }
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+
+    const parcel = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    if (results[0].status === 200) {
+      assert.equal(parcel.riderEmail, USERS.rider.email);
+      assert.equal(parcel.assignmentStatus, "accepted");
+    } else {
+      assert.equal(parcel.riderEmail, otherRider.email);
+      assert.equal(parcel.assignmentStatus, "pending");
+    }
+  });
+
+  test("leaves an application pending when the applicant's role changed during approval", async () => {
+    await seedUsers(db.data);
+    const res = await server.request("POST", "/riders/applications", {
+      as: USERS.other.email,
+      body: {
+        fullName: "Other User",
+        phone: "01812345678",
+        dateOfBirth: "1998-04-12",
+        nidNumber: "1234567890",
+        address: "7 Lake Road",
+        district: "Bogra",
+        vehicle: { type: "bicycle" },
+        preferredDistricts: ["Bogra"],
+      },
+    });
+    assert.equal(res.status, 201);
+    const applicationId = res.body.application._id;
+
+    // Another admin makes the applicant hub staff while the application is being approved
+    const collection = db.data.riderApplicationsCollection;
+    const { findOneAndUpdate } = collection;
+    collection.findOneAndUpdate = async (...args) => {
+      await db.data.usersCollection.updateOne({ email: USERS.other.email }, { $set: { role: "hub_staff" } });
+      return findOneAndUpdate.apply(collection, args);
+    };
+
+    let review;
+    try {
+      review = await server.request("PATCH", `/admin/rider-applications/${applicationId}/review`, {
+        as: USERS.admin.email,
+        body: { decision: "approve" },
+      });
+    } finally {
+      collection.findOneAndUpdate = findOneAndUpdate;
+    }
+
+    assert.equal(review.status, 409);
+    assert.equal((await db.data.usersCollection.findOne({ email: USERS.other.email })).role, "hub_staff");
+    assert.equal((await collection.findOne({})).status, "pending");
+    assert.equal(await db.data.riderProfilesCollection.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,60 @@
+const { describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+describe("contact routes", () => {
+  const { db, test } = useTestDatabase();
+  let server;
+
+  before(async () => {
+    if (db.unavailable) return;
+    server = await startServer(createTestApp(db.data).app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  const createContact = async (as, fields = {}) => {
+    const res = await server.request("POST", "/contacts", {
+      as,
+      body: { name: "Sender", phone: "01712345678", district: "Dhaka", address: "12 Road 5, Dhanmondi", ...fields },
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.contact._id;
+  };
+
+  const isDefault = async (id) =>
+    (await server.request("GET", `/contacts/${id}`, { as: USERS.user.email })).body.contact.isDefaultSender;
+
+  test("moves the default sender to another own contact", async () => {
+    await seedUsers(db.data);
+    const home = await createContact(USERS.user.email, { isDefaultSender: true });
+    const office = await createContact(USERS.user.email, { label: "Office" });
+
+    const res = await server.request("PATCH", `/contacts/${office}`, {
+      as: USERS.user.email,
+      body: { isDefaultSender: true },
+    });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.contact.isDefaultSender, true);
+    assert.equal(await isDefault(office), true);
+    assert.equal(await isDefault(home), false);
+  });
+
+  test("keeps the default sender when making someone else's contact the default", async () => {
+    await seedUsers(db.data);
+    const home = await createContact(USERS.user.email, { isDefaultSender: true });
+    const others = await createContact(USERS.other.email);
+
+    const res = await server.request("PATCH", `/contacts/${others}`, {
+      as: USERS.user.email,
+      body: { isDefaultSender: true },
+    });
+
+    assert.equal(res.status, 404);
+    assert.equal(await isDefault(home), true);
+  });
+});
@@ -0,0 +1,262 @@
+const { describe, before, after, it } = require("node:test");
+const assert = require("node:assert/strict");
+const { MongoClient, ObjectId } = require("mongodb");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+const { createDataLayer } = require("../db");
+const { buildOpenApiDocument } = require("../openapi");
+const { createResponseContract, toOpenApiPath } = require("../middleware/responseContract");
+const { listRoutes } = require("../utils/routeRegistry");
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+// Requests go through real routes; every JSON response is checked against the OpenAPI document
+describe("OpenAPI contract", () => {
+  const { db, test } = useTestDatabase();
+  const document = buildOpenApiDocument();
+  const { checkResponse } = createResponseContract(document);
+  let server;
+  let sent;
+
+  before(async () => {
+    if (db.unavailable) return;
+    const testApp = createTestApp(db.data);
+    sent = testApp.sent;
+    server = await startServer(testApp.app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  /**
+   * Send a request to a route and check the status and the response body against the document
+   * route is the Express path ("/parcels/:id"); params fill it in
+   */
+  const call = async (method, route, { params = {}, query = "", as, body, status = 200 } = {}) => {
+    const path = route.replace(/:(\w+)/g, (match, name) => encodeURIComponent(params[name]));
+    const res = await server.request(method, path + query, { as, body });
+
+    assert.equal(res.status, status, `${method} ${route}: ${JSON.stringify(res.body)}`);
+
+    if (typeof res.body === "object") {
+      const problems = checkResponse(method, route, res.status, res.body);
+      assert.deepEqual(problems, [], `${method} ${route} ${res.status} doesn't match the OpenAPI document`);
+    }
+
+    return res.body;
+  };
+
+  const waitForMessage = async (predicate) => {
+    for (let i = 0; i < 50; i++) {
+      const message = sent.find(predicate);
+      if (message) return message;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error("Message was never sent");
+  };
+
+  it("documents every registered route", () => {
+    // Routes are only listed here, so the data layer never connects
+    const client = new MongoClient("mongodb://127.0.0.1:27017");
+    const { app } = createTestApp(createDataLayer(client.db("openapi-contract")));
+    const routes = listRoutes(app.router.stack.map((layer) => layer.handle).filter((handle) => handle.stack));
+
+    const documented = Object.entries(document.paths).flatMap(([path, operations]) =>
+      Object.keys(operations)
+        .filter((method) => HTTP_METHODS.includes(method))
+        .map((method) => `${method.toUpperCase()} ${path}`)
+    );
+
+    // The docs routes serve the document itself
+    const undocumented = routes
+      .filter((route) => !["GET /openapi.json", "GET /docs"].includes(route))
+      .map((route) => {
+        const [method, path] = route.split(" ");
+        return `${method} ${toOpenApiPath(path)}`;
+      })
+      .filter((route) => !documented.includes(route));
+
+    assert.deepEqual(undocumented, []);
+  });
+
+  test("cash on delivery parcel from booking to delivery", async () => {
+    await seedUsers(db.data);
+    const { user, admin, rider } = USERS;
+
+    await call("POST", "/users", { as: user.email, body: { email: user.email, displayName: "User" } });
+    await call("GET", "/users/:email", { as: user.email, params: { email: user.email } });
+    await call("POST", "/quotes", {
+      body: { parcelType: "non-document", parcelWeight: 2, senderDistrict: "Dhaka", receiverDistrict: "Cumilla" },
+    });
+
+    const { contact } = await call("POST", "/contacts", {
+      as: user.email,
+      status: 201,
+      body: { label: "Office", name: "Receiver", phone: "01712345678", district: "Comilla", address: "5 Kandirpar" },
+    });
+    await call("GET", "/contacts", { as: user.email });
+    await call("PATCH", "/contacts/:id", {
+      as: user.email,
+      params: { id: contact._id },
+      body: { instruction: "Call on arrival" },
+    });
+
+    const { parcelId } = await call("POST", "/parcels", {
+      as: user.email,
+      status: 201,
+      body: {
+        parcelType: "non-document",
+        parcelName: "Books",
+        parcelWeight: 2,
+        senderEmail: user.email,
+        senderName: "User",
+        senderDistrict: "Dhaka",
+        senderAddress: "1 Road 2, Dhanmondi",
+        receiverContactId: contact._id,
+      },
+    });
+    const params = { id: parcelId };
+
+    await call("GET", "/parcels/:id", { as: user.email, params });
+    await call("GET", "/parcels/user/:email", { as: user.email, params: { email: user.email } });
+    await call("GET", "/parcels/user/:email/unpaid", { as: user.email, params: { email: user.email } });
+    await call("GET", "/parcels/search/phone/:phone", { as: user.email, params: { phone: "01712345678" } });
+    await call("POST", "/parcels/:id/pay", { as: user.email, params, body: { paymentMethod: "cod" } });
+
+    await call("PATCH", "/parcels/:id/assign-rider", { as: admin.email, params, body: { riderEmail: rider.email } });
+    await call("GET", "/riders/me/parcels", { as: rider.email });
+    await call("PATCH", "/riders/me/parcels/:id/accept", { as: rider.email, params, body: {} });
+    await call("PATCH", "/riders/me/parcels/:id/pickup", { as: rider.email, params, body: {} });
+    await call("PATCH", "/parcels/:id/status", { as: rider.email, params, body: { status: "out_for_delivery" } });
+
+    const sms = await waitForMessage((message) => message.channel === "sms" && /\b\d{6}\b/.test(message.body));
+    const deliveryCode = sms.body.match(/\b\d{6}\b/)[0];
+    const { codAmount } = await db.data.parcelsCollection.findOne({ _id: new ObjectId(parcelId) });
+
+    await call("PATCH", "/riders/me/parcels/:id/deliver", {
+      as: rider.email,
+      params,
+      status: 400,
+      body: { deliveryCode: deliveryCode === "000000" ? "111111" : "000000", cashCollected: codAmount },
+    });
+    await call("PATCH", "/riders/me/parcels/:id/deliver", {
+      as: rider.email,
+      params,
+      body: { deliveryCode, cashCollected: codAmount },
+    });
+
+    const { tracking_no } = await db.data.parcelsCollection.findOne({ _id: new ObjectId(parcelId) });
+    await call("GET", "/track/:trackingNo", { params: { trackingNo: tracking_no } });
+    await call("GET", "/parcels/:id/proof", { as: user.email, params });
+    await call("GET", "/parcels/:id/route", { as: user.email, params });
+
+    const { payments } = await call("GET", "/payments/user/:email", { as: user.email, params: { email: user.email } });
+    await call("GET", "/payments/:id", { as: user.email, params: { id: payments[0]._id } });
+    await call("GET", "/payments", { as: admin.email });
+
+    await call("GET", "/parcels", { as: admin.email });
+    await call("GET", "/admin/cod/outstanding/:riderEmail", { as: admin.email, params: { riderEmail: rider.email } });
+    await call("GET", "/admin/notifications", { as: admin.email });
+    await call("GET", "/admin/audit-logs", { as: admin.email });
+    await call("GET", "/riders/me/earnings", { as: rider.email });
+  });
+
+  test("cancellation requests and rider applications", async () => {
+    await seedUsers(db.data);
+    const { user, other, admin } = USERS;
+    const now = new Date().toISOString();
+
+    const { insertedId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "+8801712345678",
+      receiverDistrict: "Chattogram",
+      receiverAddress: "12 Agrabad Road",
+      cost: 110,
+      status: "paid",
+      tracking_no: "ZS12345678",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+    const params = { id: insertedId.toString() };
+
+    await call("POST", "/parcels/:id/cancellation-request", {
+      as: user.email,
+      params,
+      status: 201,
+      body: { reason: "Sent the wrong papers" },
+    });
+    await call("GET", "/admin/cancellation-requests", { as: admin.email });
+    await call("PATCH", "/admin/parcels/:id/cancellation-request", {
+      as: admin.email,
+      params,
+      body: { action: "reject", reason: "Already being sorted" },
+    });
+
+    const { application } = await call("POST", "/riders/applications", {
+      as: other.email,
+      status: 201,
+      body: {
+        fullName: "Other User",
+        phone: "01812345678",
+        dateOfBirth: "1998-04-12",
+        nidNumber: "1234567890",
+        address: "7 Lake Road",
+        district: "Bogra",
+        vehicle: { type: "bicycle" },
+        preferredDistricts: ["Bogra"],
+      },
+    });
+    await call("GET", "/riders/applications/me", { as: other.email });
+    await call("GET", "/admin/rider-applications", { as: admin.email });
+    await call("PATCH", "/admin/rider-applications/:id/review", {
+      as: admin.email,
+      params: { id: application._id },
+      body: { decision: "approve" },
+    });
+    await call("GET", "/admin/riders/:riderEmail/profile", { as: admin.email, params: { riderEmail: other.email } });
+    await call("GET", "/users/:email", { as: admin.email, params: { email: other.email } });
+  });
+
+  test("geography and hubs", async () => {
+    await seedUsers(db.data);
+    const { admin, hub_staff } = USERS;
+
+    await call("GET", "/geo/divisions");
+    await call("GET", "/geo/districts");
+    await call("GET", "/geo/districts/:name", { params: { name: "Chittagong" } });
+    await call("GET", "/geo/service-centers", { query: "?district=Dhaka" });
+
+    await call("POST", "/admin/hubs", {
+      as: admin.email,
+      status: 201,
+      body: { code: "dhk-hub", name: "Dhaka Hub", type: "hub", district: "Dhaka", staffEmails: [hub_staff.email] },
+    });
+    await call("GET", "/admin/hubs", { as: admin.email });
+    await call("PATCH", "/admin/hubs/:code", {
+      as: admin.email,
+      params: { code: "DHK-HUB" },
+      body: { address: "Tejgaon" },
+    });
+    await call("GET", "/users/:email", { as: hub_staff.email, params: { email: hub_staff.email } });
+    await call("GET", "/hubs/assigned", { as: hub_staff.email });
+    await call("GET", "/hubs/:code/parcels", { as: hub_staff.email, params: { code: "DHK-HUB" } });
+  });
+
+  test("error responses", async () => {
+    await seedUsers(db.data);
+    const { user, other } = USERS;
+
+    await call("GET", "/parcels/user/:email", { params: { email: user.email }, status: 401 });
+    await call("GET", "/parcels/user/:email", { as: other.email, params: { email: user.email }, status: 403 });
+    await call("GET", "/parcels/:id", { as: user.email, params: { id: new ObjectId().toString() }, status: 404 });
+    await call("POST", "/parcels", { as: user.email, body: { parcelType: "box" }, status: 400 });
+    await call("GET", "/geo/districts/:name", { params: { name: "Atlantis" }, status: 404 });
+  });
+});
@@ -0,0 +1,130 @@
+const { describe, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+describe("delivery codes", () => {
+  const { db, test } = useTestDatabase();
+  const servers = [];
+
+  after(async () => {
+    await Promise.all(servers.map((server) => server.close()));
+  });
+
+  const start = async (options) => {
+    const testApp = createTestApp(db.data, options);
+    const server = await startServer(testApp.app);
+    servers.push(server);
+    return { ...testApp, server };
+  };
+
+  // A parcel the rider has picked up and is about to take out for delivery
+  const insertPickedUpParcel = async () => {
+    const now = new Date().toISOString();
+    const { insertedId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "+8801712345678",
+      receiverDistrict: "Dhaka",
+      receiverAddress: "12 Road 5, Dhanmondi",
+      cost: 60,
+      status: "picked_up",
+      tracking_no: "ZS12345678",
+      riderEmail: USERS.rider.email,
+      assignmentStatus: "accepted",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+    });
+    return insertedId;
+  };
+
+  const sendOutForDelivery = (server, parcelId) =>
+    server.request("PATCH", `/parcels/${parcelId}/status`, {
+      as: USERS.rider.email,
+      body: { status: "out_for_delivery" },
+    });
+
+  // The code is issued by an event listener after the response
+  const waitForCodeNotification = async () => {
+    for (let i = 0; i < 50; i++) {
+      const notification = await db.data.notificationsCollection.findOne({ event: "parcel.delivery_code" });
+      if (notification && notification.status !== "sending") return notification;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error("Delivery code notification was never recorded");
+  };
+
+  test("texts the code to the receiver but stores and lists it masked", async () => {
+    await seedUsers(db.data);
+    const { server, sent } = await start();
+    const parcelId = await insertPickedUpParcel();
+
+    assert.equal((await sendOutForDelivery(server, parcelId)).status, 200);
+    const notification = await waitForCodeNotification();
+
+    const sms = sent.find((message) => message.to === "+8801712345678" && /code for parcel/.test(message.body));
+    const code = sms.body.match(/ is (\d{6})\b/)[1];
+
+    assert.equal(notification.status, "sent");
+    assert.equal(notification.redacted, true);
+    assert.ok(!notification.body.includes(code));
+    assert.ok(notification.body.includes("******"));
+
+    const listed = await server.request("GET", "/admin/notifications", { as: USERS.admin.email });
+    assert.equal(listed.status, 200);
+    assert.ok(!JSON.stringify(listed.body).includes(code));
+
+    const delivered = await server.request("PATCH", `/riders/me/parcels/${parcelId}/deliver`, {
+      as: USERS.rider.email,
+      body: { deliveryCode: code },
+    });
+    assert.equal(delivered.status, 200);
+  });
+
+  test("gives up on a failed code message instead of retrying it, and won't let admins resend it", async () => {
+    await seedUsers(db.data);
+    const failing = (channel) => ({
+      name: "failing",
+      channel,
+      send: async () => {
+        throw new Error("Provider down");
+      },
+    });
+    const { server } = await start({ notificationProviders: { email: failing("email"), sms: failing("sms") } });
+    const parcelId = await insertPickedUpParcel();
+
+    assert.equal((await sendOutForDelivery(server, parcelId)).status, 200);
+    const notification = await waitForCodeNotification();
+
+    assert.equal(notification.status, "failed");
+    assert.equal(notification.attemptCount, 1);
+    assert.equal(notification.nextAttemptAt, null);
+
+    const retry = await server.request("POST", `/admin/notifications/${notification._id}/retry`, {
+      as: USERS.admin.email,
+    });
+    assert.equal(retry.status, 400);
+    assert.match(retry.body.message, /new code/);
+  });
+
+  test("answers an oversized upload with a JSON 413", async () => {
+    await seedUsers(db.data);
+    const { server } = await start();
+    const parcelId = await insertPickedUpParcel();
+
+    const res = await server.request("POST", `/riders/me/parcels/${parcelId}/proof/photo`, {
+      as: USERS.rider.email,
+      body: Buffer.alloc(5 * 1024 * 1024 + 1),
+      headers: { "content-type": "image/jpeg" },
+    });
+
+    assert.equal(res.status, 413);
+    assert.equal(res.body.success, false);
+    assert.match(res.body.message, /5 MB/);
+  });
+});
@@ -0,0 +1,81 @@
+const { describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+describe("rider earnings", () => {
+  const { db, test } = useTestDatabase();
+  let server;
+  let earningsService;
+
+  before(async () => {
+    if (db.unavailable) return;
+    const { app } = createTestApp(db.data);
+    earningsService = app.locals.earningsService;
+    server = await startServer(app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  const insertParcel = async (fields = {}) => {
+    const now = new Date().toISOString();
+    const { insertedId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "+8801712345678",
+      receiverDistrict: "Dhaka",
+      receiverAddress: "12 Road 5, Dhanmondi",
+      cost: 60,
+      status: "out_for_delivery",
+      tracking_no: `ZS${Date.now()}`,
+      riderEmail: USERS.rider.email,
+      riderName: "Rider",
+      assignmentStatus: "accepted",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    });
+    return insertedId;
+  };
+
+  // Earnings are recorded by an event listener after the response
+  const settle = () => new Promise((resolve) => setTimeout(resolve, 100));
+
+  test("doesn't pay a rider who never accepted the assignment", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel({ assignmentStatus: "pending" });
+
+    const res = await server.request("PATCH", `/parcels/${parcelId}/status`, {
+      as: USERS.admin.email,
+      body: { status: "delivered" },
+    });
+    assert.equal(res.status, 200);
+    await settle();
+
+    assert.equal(await db.data.riderEarningsCollection.countDocuments(), 0);
+    assert.equal(await earningsService.reconcileDeliveryEarnings(), 0);
+  });
+
+  test("reconciles deliveries whose earning wasn't recorded, once", async () => {
+    await seedUsers(db.data);
+    const deliveredAt = new Date().toISOString();
+    const missed = await insertParcel({ status: "delivered", deliveredAt });
+    await insertParcel({ status: "delivered", deliveredAt, assignmentStatus: "pending" });
+
+    assert.equal(await earningsService.reconcileDeliveryEarnings(), 1);
+    assert.equal(await earningsService.reconcileDeliveryEarnings(), 0);
+
+    const earnings = await db.data.riderEarningsCollection.find().toArray();
+    assert.equal(earnings.length, 1);
+    assert.ok(earnings[0].parcelId.equals(missed));
+    assert.equal(earnings[0].riderEmail, USERS.rider.email);
+    assert.equal(earnings[0].earnedAt, deliveredAt);
+  });
+});
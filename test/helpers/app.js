@@ -0,0 +1,105 @@
+const { createApp } = require("../../app");
+const { createMemoryStorage } = require("../../storage");
+
+// Bearer tokens in tests are simply the user's email
+const firebaseAuth = {
+  verifyIdToken: async (token) => {
+    if (!token || !token.includes("@")) {
+      const error = new Error("Invalid token");
+      error.code = "auth/argument-error";
+      throw error;
+    }
+    const now = Math.floor(Date.now() / 1000);
+    return { uid: `uid-${token}`, email: token, email_verified: true, auth_time: now, exp: now + 3600 };
+  },
+};
+
+// One account per role
+const USERS = {
+  admin: { email: "admin@test.com", displayName: "Admin", role: "admin", status: "active" },
+  rider: { email: "rider@test.com", displayName: "Rider", role: "rider", status: "active" },
+  hub_staff: { email: "hub@test.com", displayName: "Hub Staff", role: "hub_staff", status: "active" },
+  user: { email: "user@test.com", displayName: "User", role: "user", status: "active" },
+  other: { email: "other@test.com", displayName: "Other User", role: "user", status: "active" },
+};
+
+const seedUsers = (data) =>
+  data.usersCollection.insertMany(
+    Object.values(USERS).map((user) => ({ ...user, createdAt: new Date().toISOString() }))
+  );
+
+/**
+ * Build the app against a test data layer
+ * Notifications are captured in `sent` and files kept in memory
+ */
+const createTestApp = (data, options = {}) => {
+  const sent = [];
+  const provider = (channel) => ({
+    name: "test",
+    channel,
+    send: async (message) => {
+      sent.push({ channel, ...message });
+      return { id: `${channel}-${sent.length}` };
+    },
+  });
+
+  const app = createApp({
+    data,
+    stripe: {},
+    firebaseAuth,
+    notificationProviders: { email: provider("email"), sms: provider("sms") },
+    fileStorage: createMemoryStorage(),
+    ...options,
+  });
+
+  return { app, sent };
+};
+
+/**
+ * Listen on a random port (url is its base address)
+ * request(method, path, { as, body, headers, stream }) sends JSON (or a Buffer/string body as is) and
+ * resolves to { status, headers, body } with JSON bodies parsed
+ * stream: true resolves as soon as the headers arrive and closes the connection (for event streams)
+ */
+const startServer = async (app) => {
+  const server = app.listen(0);
+  await new Promise((resolve) => server.once("listening", resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  const request = async (method, path, { as, body, headers = {}, stream = false } = {}) => {
+    const isRaw = Buffer.isBuffer(body) || typeof body === "string";
+    const response = await fetch(base + path, {
+      method,
+      headers: {
+        ...(body !== undefined && !isRaw && { "content-type": "application/json" }),
+        ...(as && { authorization: `Bearer ${as}` }),
+        ...headers,
+      },
+      body: body === undefined ? undefined : isRaw ? body : JSON.stringify(body),
+    });
+
+    if (stream) {
+      await response.body.cancel();
+      return { status: response.status, headers: response.headers, body: null };
+    }
+
+    const text = await response.text();
+    let parsed = text;
+    if ((response.headers.get("content-type") || "").includes("application/json")) {
+      parsed = JSON.parse(text);
+    }
+
+    return { status: response.status, headers: response.headers, body: parsed };
+  };
+
+  // Open event streams would otherwise keep the server from closing
+  const close = () =>
+    new Promise((resolve) => {
+      server.close(resolve);
+      server.closeAllConnections();
+    });
+
+  return { url: base, request, close };
+};
+
+module.exports = { firebaseAuth, USERS, seedUsers, createTestApp, startServer };
@@ -0,0 +1,90 @@
+const { before, after, it, mock } = require("node:test");
+const { MongoClient } = require("mongodb");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+const { createDataLayer, ensureIndexes, seedGeography } = require("../../db");
+
+/**
+ * Start an in-memory MongoDB with the API's indexes and seeded geography
+ * mongodb-memory-server downloads a mongod binary on first use and caches it;
+ * set MONGODB_TEST_URI to run against an existing server instead
+ * Returns { data, reset, stop }, or { unavailable: reason } when no MongoDB can be started
+ */
+const startTestDatabase = async () => {
+  let server = null;
+  let uri = process.env.MONGODB_TEST_URI;
+
+  try {
+    if (!uri) {
+      server = await MongoMemoryServer.create();
+      uri = server.getUri();
+    }
+  } catch (error) {
+    return { unavailable: `No MongoDB for tests: ${error.message.split("\n")[0]}` };
+  }
+
+  const client = await MongoClient.connect(uri);
+  const database = client.db(`unishift-test-${process.pid}`);
+  const data = createDataLayer(database);
+
+  await ensureIndexes(data);
+  await seedGeography(data);
+
+  // Empty everything except the seeded districts
+  const reset = async () => {
+    for (const [name, collection] of Object.entries(data)) {
+      if (name !== "districtsCollection") {
+        await collection.deleteMany({});
+      }
+    }
+  };
+
+  const stop = async () => {
+    await database.dropDatabase();
+    await client.close();
+    if (server) await server.stop();
+  };
+
+  return { data, reset, stop };
+};
+
+/**
+ * One database per test file, emptied before each test
+ * Returns { db, test } - db.data is the data layer once started; test() is node:test's it()
+ * that skips (with the reason) on machines where MongoDB can't be started, or fails on CI (CI set)
+ * so a missing MongoDB can't pass the build
+ * The API logs every verified token and sent message, so console.log is silenced while the database
+ * starts and during each test (set TEST_LOGS=1 to see the logs)
+ */
+const useTestDatabase = () => {
+  const db = {};
+
+  before(async () => {
+    const log = process.env.TEST_LOGS ? null : mock.method(console, "log", () => {});
+    try {
+      Object.assign(db, await startTestDatabase());
+    } finally {
+      log?.mock.restore();
+    }
+  });
+
+  after(async () => {
+    if (db.stop) await db.stop();
+  });
+
+  const test = (name, fn) =>
+    it(name, async (t) => {
+      if (db.unavailable) {
+        if (process.env.CI) throw new Error(db.unavailable);
+        return t.skip(db.unavailable);
+      }
+      if (!process.env.TEST_LOGS) {
+        t.mock.method(console, "log", () => {});
+      }
+      await db.reset();
+      return fn(t);
+    });
+
+  return { db, test };
+};
+
+module.exports = { startTestDatabase, useTestDatabase };
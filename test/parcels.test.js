@@ -0,0 +1,229 @@
+const { describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { ObjectId } = require("mongodb");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+const newParcel = (overrides = {}) => ({
+  parcelType: "document",
+  parcelName: "Exam papers",
+  senderEmail: USERS.user.email,
+  senderName: "User",
+  senderDistrict: "Dhaka",
+  receiverName: "Receiver",
+  receiverPhone: "01712345678",
+  receiverDistrict: "Chittagong",
+  receiverAddress: "12 Agrabad Road",
+  ...overrides,
+});
+
+describe("parcel routes", () => {
+  const { db, test } = useTestDatabase();
+  let server;
+
+  before(async () => {
+    if (db.unavailable) return;
+    server = await startServer(createTestApp(db.data).app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  const book = async (overrides) => {
+    const res = await server.request("POST", "/parcels", { as: USERS.user.email, body: newParcel(overrides) });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.parcelId;
+  };
+
+  test("books a parcel with canonical districts and a server-side price", async () => {
+    await seedUsers(db.data);
+
+    const res = await server.request("POST", "/parcels", {
+      as: USERS.user.email,
+      body: newParcel(),
+    });
+
+    assert.equal(res.status, 201);
+    assert.equal(res.body.success, true);
+
+    const parcel = await db.data.parcelsCollection.findOne({ _id: new ObjectId(res.body.parcelId) });
+    assert.equal(parcel.status, "unpaid");
+    assert.equal(parcel.receiverDistrict, "Chattogram");
+    assert.equal(parcel.receiverPhone, "+8801712345678");
+    assert.equal(parcel.cost, res.body.cost);
+    assert.equal(parcel.statusHistory.length, 1);
+
+    const audit = await db.data.auditLogsCollection.findOne({ action: "parcel.create" });
+    assert.equal(audit.actor.email, USERS.user.email);
+  });
+
+  test("rejects a parcel booked for someone else's email", async () => {
+    await seedUsers(db.data);
+
+    const res = await server.request("POST", "/parcels", {
+      as: USERS.user.email,
+      body: newParcel({ senderEmail: USERS.other.email }),
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal(await db.data.parcelsCollection.countDocuments(), 0);
+  });
+
+  test("rejects unknown districts and missing fields with field errors", async () => {
+    await seedUsers(db.data);
+
+    const unknown = await server.request("POST", "/parcels", {
+      as: USERS.user.email,
+      body: newParcel({ receiverDistrict: "Atlantis" }),
+    });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(
+      unknown.body.errors.map((error) => error.field),
+      ["receiverDistrict"]
+    );
+
+    const missing = await server.request("POST", "/parcels", {
+      as: USERS.user.email,
+      body: newParcel({ receiverName: undefined }),
+    });
+    assert.equal(missing.status, 400);
+    assert.ok(missing.body.errors.some((error) => error.field === "receiverName"));
+  });
+
+  test("quotes the price a booking would get for district aliases", async () => {
+    await seedUsers(db.data);
+
+    const quote = await server.request("POST", "/quotes", {
+      body: { parcelType: "document", senderDistrict: "Chittagong", receiverDistrict: "Chattogram" },
+    });
+    assert.equal(quote.status, 200);
+    assert.equal(quote.body.quote.breakdown.zone, "sameDistrict");
+
+    const booked = await book({ senderDistrict: "Chittagong", receiverDistrict: "Chattogram" });
+    const parcel = await db.data.parcelsCollection.findOne({ _id: new ObjectId(booked) });
+    assert.equal(parcel.cost, quote.body.quote.cost);
+
+    const unknown = await server.request("POST", "/quotes", {
+      body: { parcelType: "document", senderDistrict: "Dhaka", receiverDistrict: "Atlantis" },
+    });
+    assert.equal(unknown.status, 400);
+    assert.deepEqual(
+      unknown.body.errors.map((error) => error.field),
+      ["receiverDistrict"]
+    );
+  });
+
+  test("requires a token", async () => {
+    const res = await server.request("POST", "/parcels", { body: newParcel() });
+
+    assert.equal(res.status, 401);
+  });
+
+  test("only the sender and admins can read or delete a parcel", async () => {
+    await seedUsers(db.data);
+    const parcelId = await book();
+
+    const asSender = await server.request("GET", `/parcels/${parcelId}`, { as: USERS.user.email });
+    assert.equal(asSender.status, 200);
+    assert.equal(asSender.body.parcel.parcelName, "Exam papers");
+
+    const asAdmin = await server.request("GET", `/parcels/${parcelId}`, { as: USERS.admin.email });
+    assert.equal(asAdmin.status, 200);
+
+    const asOther = await server.request("GET", `/parcels/${parcelId}`, { as: USERS.other.email });
+    assert.equal(asOther.status, 403);
+
+    const deleteAsOther = await server.request("DELETE", `/parcels/${parcelId}`, { as: USERS.other.email });
+    assert.equal(deleteAsOther.status, 403);
+
+    const deleteAsSender = await server.request("DELETE", `/parcels/${parcelId}`, { as: USERS.user.email });
+    assert.equal(deleteAsSender.status, 200);
+    assert.equal(await db.data.parcelsCollection.countDocuments(), 0);
+  });
+
+  test("lists a user's own parcels but not another user's", async () => {
+    await seedUsers(db.data);
+    await book();
+    await book({ parcelName: "Second parcel" });
+
+    const own = await server.request("GET", `/parcels/user/${USERS.user.email}`, { as: USERS.user.email });
+    assert.equal(own.status, 200);
+    assert.equal(own.body.count, 2);
+
+    const others = await server.request("GET", `/parcels/user/${USERS.user.email}`, { as: USERS.other.email });
+    assert.equal(others.status, 403);
+  });
+
+  test("leaves status notes out of the public tracking timeline", async () => {
+    const timestamp = new Date().toISOString();
+    await db.data.parcelsCollection.insertOne({
+      ...newParcel(),
+      status: "picked_up",
+      tracking_no: "ZS1234567890",
+      statusHistory: [
+        { status: "paid", timestamp },
+        { status: "picked_up", note: "Gate code 4411, left with the guard", timestamp },
+      ],
+      createdAt: timestamp,
+      updatedAt: timestamp,
+    });
+
+    const res = await server.request("GET", "/track/ZS1234567890");
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.tracking.timeline.length, 2);
+    assert.ok(res.body.tracking.timeline.every((entry) => !("note" in entry)));
+  });
+
+  test("includes the whole 'to' day in Dhaka when listing by date", async () => {
+    await seedUsers(db.data);
+    // 23:30 on 10 May and 00:30 on 11 May in Dhaka
+    for (const createdAt of ["2024-05-10T17:30:00.000Z", "2024-05-10T18:30:00.000Z"]) {
+      await db.data.parcelsCollection.insertOne({ ...newParcel(), status: "unpaid", createdAt, updatedAt: createdAt });
+    }
+
+    const res = await server.request("GET", "/parcels?from=2024-05-10&to=2024-05-10", { as: USERS.admin.email });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      res.body.parcels.map((parcel) => parcel.createdAt),
+      ["2024-05-10T17:30:00.000Z"]
+    );
+  });
+
+  test("books cash on delivery once when two requests race", async () => {
+    await seedUsers(db.data);
+    const parcelId = await book();
+
+    // Hold both requests after they've loaded the unpaid parcel
+    const collection = db.data.parcelsCollection;
+    const { findOne } = collection;
+    const waiting = [];
+    collection.findOne = async (...args) => {
+      const parcel = await findOne.apply(collection, args);
+      if (waiting.length < 2) {
+        await new Promise((resolve) => {
+          waiting.push(resolve);
+          if (waiting.length === 2) waiting.forEach((release) => release());
+        });
+      }
+      return parcel;
+    };
+
+    let results;
+    try {
+      results = await Promise.all(
+        [1, 2].map(() =>
+          server.request("POST", `/parcels/${parcelId}/pay`, { as: USERS.user.email, body: { paymentMethod: "cod" } })
+        )
+      );
+    } finally {
+      collection.findOne = findOne;
+    }
+
+    assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+    assert.match(results.find((res) => res.status === 409).body.message, /changed by another request/);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: new ObjectId(parcelId) })).status, "cod_pending");
+  });
+});
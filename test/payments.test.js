@@ -0,0 +1,262 @@
+const { describe, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const Stripe = require("stripe");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+const WEBHOOK_SECRET = "whsec_test_secret";
+
+describe("Stripe webhook", () => {
+  const { db, test } = useTestDatabase();
+  // Real client for signing and verifying; only the API calls are stubbed
+  const stripe = new Stripe("sk_test_123");
+  let server;
+  let refunds;
+  let eventCount = 0;
+
+  before(async () => {
+    process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+
+    stripe.paymentIntents.retrieve = async (id) => ({ id, latest_charge: `ch_${id}` });
+    stripe.paymentMethods.retrieve = async (id) => ({ id, type: "card", card: null });
+    stripe.refunds.create = async (params) => {
+      refunds.push(params);
+      return { id: `re_${refunds.length}`, amount: params.amount, currency: "usd", status: "succeeded" };
+    };
+
+    if (db.unavailable) return;
+    server = await startServer(createTestApp(db.data, { stripe }).app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  beforeEach(() => {
+    refunds = [];
+  });
+
+  const insertParcel = async (fields = {}) => {
+    const { insertedId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "+8801712345678",
+      receiverDistrict: "Chattogram",
+      receiverAddress: "12 Agrabad Road",
+      cost: 110,
+      status: "unpaid",
+      statusHistory: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...fields,
+    });
+    return insertedId;
+  };
+
+  const checkoutSession = (parcelId, fields = {}) => ({
+    id: "cs_test_1",
+    object: "checkout.session",
+    payment_status: "paid",
+    payment_intent: "pi_test_1",
+    amount_total: 100,
+    currency: "usd",
+    customer_email: USERS.user.email,
+    metadata: { parcelId: parcelId.toString(), bdtPerUsd: "110" },
+    ...fields,
+  });
+
+  // Deliver an event the way Stripe does: raw JSON body with a signed Stripe-Signature header
+  const deliver = (type, object, { secret = WEBHOOK_SECRET } = {}) => {
+    eventCount += 1;
+    const payload = JSON.stringify({ id: `evt_${eventCount}`, object: "event", type, data: { object } });
+    const signature = stripe.webhooks.generateTestHeaderString({ payload, secret });
+
+    return server.request("POST", "/webhooks/stripe", {
+      body: payload,
+      headers: { "content-type": "application/json", "stripe-signature": signature },
+    });
+  };
+
+  test("marks the parcel paid once however often the session is delivered", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+    const session = checkoutSession(parcelId);
+
+    const first = await deliver("checkout.session.completed", session);
+    assert.equal(first.status, 200);
+
+    const parcel = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    assert.equal(parcel.status, "paid");
+    assert.equal(parcel.stripeSessionId, "cs_test_1");
+    assert.ok(parcel.tracking_no);
+
+    // Redelivered, then delivered concurrently with the async success event
+    const again = await Promise.all([
+      deliver("checkout.session.completed", session),
+      deliver("checkout.session.async_payment_succeeded", session),
+    ]);
+    assert.deepEqual(
+      again.map((res) => res.status),
+      [200, 200]
+    );
+
+    const payments = await db.data.paymentsCollection.find({ stripeSessionId: "cs_test_1" }).toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].pendingParcelUpdate, undefined);
+    assert.equal(payments[0].trackingNumber, parcel.tracking_no);
+
+    const reread = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    assert.equal(reread.tracking_no, parcel.tracking_no);
+    assert.equal(reread.statusHistory.filter((entry) => entry.status === "paid").length, 1);
+  });
+
+  test("records concurrent first deliveries of one session once", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+    const session = checkoutSession(parcelId);
+
+    const results = await Promise.all([
+      deliver("checkout.session.completed", session),
+      deliver("checkout.session.completed", session),
+    ]);
+    assert.deepEqual(
+      results.map((res) => res.status),
+      [200, 200]
+    );
+
+    assert.equal(await db.data.paymentsCollection.countDocuments({ stripeSessionId: "cs_test_1" }), 1);
+    const parcel = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    assert.equal(parcel.status, "paid");
+  });
+
+  test("waits for async_payment_succeeded when a delayed payment completes unpaid", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+
+    const pending = await deliver(
+      "checkout.session.completed",
+      checkoutSession(parcelId, { payment_status: "unpaid" })
+    );
+    assert.equal(pending.status, 200);
+    assert.equal(await db.data.paymentsCollection.countDocuments(), 0);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).status, "unpaid");
+
+    const succeeded = await deliver("checkout.session.async_payment_succeeded", checkoutSession(parcelId));
+    assert.equal(succeeded.status, 200);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).status, "paid");
+  });
+
+  test("records async_payment_failed as a failed attempt and leaves the parcel unpaid", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+
+    const res = await deliver(
+      "checkout.session.async_payment_failed",
+      checkoutSession(parcelId, { payment_status: "unpaid" })
+    );
+    assert.equal(res.status, 200);
+
+    const parcel = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    assert.equal(parcel.status, "unpaid");
+    assert.equal(parcel.paymentAttempts.length, 1);
+    assert.equal(parcel.paymentAttempts[0].status, "failed");
+    assert.equal(parcel.paymentAttempts[0].stripeSessionId, "cs_test_1");
+    assert.equal(await db.data.paymentsCollection.countDocuments(), 0);
+  });
+
+  test("logs expired sessions and failed payment intents as attempts on the unpaid parcel", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+
+    const expired = await deliver(
+      "checkout.session.expired",
+      checkoutSession(parcelId, { status: "expired", payment_status: "unpaid" })
+    );
+    assert.equal(expired.status, 200);
+
+    const failed = await deliver("payment_intent.payment_failed", {
+      id: "pi_test_2",
+      object: "payment_intent",
+      metadata: { parcelId: parcelId.toString() },
+      last_payment_error: { message: "Your card was declined." },
+    });
+    assert.equal(failed.status, 200);
+
+    const parcel = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    assert.equal(parcel.status, "unpaid");
+    assert.deepEqual(
+      parcel.paymentAttempts.map((attempt) => attempt.status),
+      ["expired", "failed"]
+    );
+    assert.equal(parcel.paymentAttempts[1].reason, "Your card was declined.");
+    assert.equal(await db.data.paymentsCollection.countDocuments(), 0);
+  });
+
+  test("marks the payment refunded when the charge is refunded", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+    await deliver("checkout.session.completed", checkoutSession(parcelId));
+
+    const partial = await deliver("charge.refunded", {
+      id: "ch_pi_test_1",
+      object: "charge",
+      payment_intent: "pi_test_1",
+      amount: 100,
+      amount_refunded: 40,
+    });
+    assert.equal(partial.status, 200);
+    let payment = await db.data.paymentsCollection.findOne({ stripeSessionId: "cs_test_1" });
+    assert.equal(payment.paymentStatus, "partially_refunded");
+    assert.equal(payment.amountRefundedUSD, 0.4);
+
+    await deliver("charge.refunded", {
+      id: "ch_pi_test_1",
+      object: "charge",
+      payment_intent: "pi_test_1",
+      amount: 100,
+      amount_refunded: 100,
+    });
+    payment = await db.data.paymentsCollection.findOne({ stripeSessionId: "cs_test_1" });
+    assert.equal(payment.paymentStatus, "refunded");
+  });
+
+  test("refunds a payment for a parcel that was cancelled before it completed", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel({ status: "cancelled" });
+
+    const res = await deliver("checkout.session.completed", checkoutSession(parcelId));
+    assert.equal(res.status, 200);
+
+    const payment = await db.data.paymentsCollection.findOne({ stripeSessionId: "cs_test_1" });
+    assert.ok(payment.refundRequiredReason);
+    assert.equal(payment.refundRequired, false);
+    assert.equal(refunds.length, 1);
+    assert.equal(refunds[0].payment_intent, "pi_test_1");
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).status, "cancelled");
+  });
+
+  test("rejects a payload that isn't signed with the webhook secret", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel();
+
+    const res = await deliver("checkout.session.completed", checkoutSession(parcelId), { secret: "whsec_wrong" });
+
+    assert.equal(res.status, 400);
+    assert.equal(await db.data.paymentsCollection.countDocuments(), 0);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).status, "unpaid");
+  });
+
+  test("answers 5xx so Stripe retries when the payment can't be recorded", async () => {
+    await seedUsers(db.data);
+    const missingParcelId = "64b000000000000000000000";
+
+    const res = await deliver("checkout.session.completed", checkoutSession(missingParcelId));
+
+    assert.equal(res.status, 500);
+    assert.equal(await db.data.paymentsCollection.countDocuments(), 0);
+  });
+});
@@ -0,0 +1,107 @@
+const { describe, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer, firebaseAuth } = require("./helpers/app");
+
+/**
+ * Open the event stream and collect its events until the server ends it
+ * Resolves once the "ready" event arrives; `ended` resolves with every event received,
+ * or rejects if the server keeps the stream open for more than 5 seconds
+ */
+const openStream = async (server, email) => {
+  const response = await fetch(`${server.url}/events/stream`, { headers: { authorization: `Bearer ${email}` } });
+  assert.equal(response.status, 200);
+
+  const events = [];
+  const decoder = new TextDecoder();
+  const reader = response.body.getReader();
+  let buffer = "";
+  let markReady;
+  const ready = new Promise((resolve) => (markReady = resolve));
+
+  const ended = (async () => {
+    for (;;) {
+      const { value, done } = await reader.read();
+      if (done) return events;
+
+      buffer += decoder.decode(value, { stream: true });
+      const frames = buffer.split("\n\n");
+      buffer = frames.pop();
+
+      for (const frame of frames) {
+        const type = frame.match(/^event: (.+)$/m)?.[1];
+        const data = frame.match(/^data: (.+)$/m)?.[1];
+        if (!type) continue;
+        events.push({ type, data: JSON.parse(data) });
+        if (type === "ready") markReady();
+      }
+    }
+  })();
+
+  const stillOpen = new Promise((resolve, reject) => {
+    setTimeout(() => reject(new Error("Stream was not closed")), 5000).unref();
+  });
+
+  await ready;
+  return { events, ended: Promise.race([ended, stillOpen]) };
+};
+
+describe("event stream access", () => {
+  const { db, test } = useTestDatabase();
+  const servers = [];
+
+  after(async () => {
+    await Promise.all(servers.map((server) => server.close()));
+  });
+
+  const start = async (options) => {
+    const server = await startServer(createTestApp(db.data, options).app);
+    servers.push(server);
+    return server;
+  };
+
+  test("closes a user's stream when an admin bans them", async () => {
+    await seedUsers(db.data);
+    const server = await start();
+    const stream = await openStream(server, USERS.user.email);
+
+    const ban = await server.request("PATCH", `/users/${USERS.user.email}/status`, {
+      as: USERS.admin.email,
+      body: { status: "banned", reason: "Fraud" },
+    });
+    assert.equal(ban.status, 200);
+
+    const events = await stream.ended;
+    assert.deepEqual(events.at(-1), { type: "stream.closed", data: { reason: "account_banned" } });
+
+    const reconnect = await server.request("GET", "/events/stream", { as: USERS.user.email });
+    assert.equal(reconnect.status, 403);
+  });
+
+  test("closes a stream when the user's role changes so they reconnect with the new one", async () => {
+    await seedUsers(db.data);
+    const server = await start();
+    const stream = await openStream(server, USERS.rider.email);
+
+    const demote = await server.request("PATCH", `/users/${USERS.rider.email}/role`, {
+      as: USERS.admin.email,
+      body: { role: "user" },
+    });
+    assert.equal(demote.status, 200);
+
+    const events = await stream.ended;
+    assert.deepEqual(events.at(-1), { type: "stream.closed", data: { reason: "role_changed" } });
+  });
+
+  test("ends the stream when the token expires", async () => {
+    await seedUsers(db.data);
+    const shortLived = {
+      verifyIdToken: async (token) => ({ ...(await firebaseAuth.verifyIdToken(token)), exp: Date.now() / 1000 + 0.2 }),
+    };
+    const server = await start({ firebaseAuth: shortLived });
+    const stream = await openStream(server, USERS.user.email);
+
+    const events = await stream.ended;
+    assert.deepEqual(events.at(-1), { type: "stream.closed", data: { reason: "token_expired" } });
+  });
+});
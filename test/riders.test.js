@@ -0,0 +1,193 @@
+const { describe, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { useTestDatabase } = require("./helpers/database");
+const { USERS, seedUsers, createTestApp, startServer } = require("./helpers/app");
+
+describe("rider routes", () => {
+  const { db, test } = useTestDatabase();
+  let server;
+  let sent;
+
+  before(async () => {
+    if (db.unavailable) return;
+    const testApp = createTestApp(db.data);
+    sent = testApp.sent;
+    server = await startServer(testApp.app);
+  });
+
+  after(async () => {
+    if (server) await server.close();
+  });
+
+  const insertParcel = async (fields = {}) => {
+    const now = new Date().toISOString();
+    const { insertedId } = await db.data.parcelsCollection.insertOne({
+      parcelType: "document",
+      parcelName: "Exam papers",
+      senderEmail: USERS.user.email,
+      senderName: "User",
+      senderDistrict: "Dhaka",
+      receiverName: "Receiver",
+      receiverPhone: "+8801712345678",
+      receiverDistrict: "Dhaka",
+      receiverAddress: "12 Road 5, Dhanmondi",
+      cost: 60,
+      status: "paid",
+      tracking_no: `ZS${Date.now()}`,
+      riderEmail: USERS.rider.email,
+      assignmentStatus: "accepted",
+      statusHistory: [],
+      createdAt: now,
+      updatedAt: now,
+      ...fields,
+    });
+    return insertedId;
+  };
+
+  // Take a picked up parcel out for delivery and read the code texted to the receiver
+  const sendOutForDelivery = async (parcelId) => {
+    const res = await server.request("PATCH", `/parcels/${parcelId}/status`, {
+      as: USERS.rider.email,
+      body: { status: "out_for_delivery" },
+    });
+    assert.equal(res.status, 200);
+
+    for (let i = 0; i < 50; i++) {
+      const sms = sent.find((message) => / is (\d{6})\b/.test(message.body));
+      if (sms) return sms.body.match(/ is (\d{6})\b/)[1];
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+    throw new Error("No delivery code was sent");
+  };
+
+  test("lets only one of a concurrent accept and reject through", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel({ assignmentStatus: "pending" });
+
+    // Hold both requests after they've loaded the still-pending parcel, so both pass the checks
+    const collection = db.data.parcelsCollection;
+    const { findOne } = collection;
+    const waiting = [];
+    collection.findOne = async (...args) => {
+      const parcel = await findOne.apply(collection, args);
+      if (waiting.length < 2) {
+        await new Promise((resolve) => {
+          waiting.push(resolve);
+          if (waiting.length === 2) waiting.forEach((release) => release());
+        });
+      }
+      return parcel;
+    };
+
+    let results;
+    try {
+      results = await Promise.all([
+        server.request("PATCH", `/riders/me/parcels/${parcelId}/accept`, { as: USERS.rider.email, body: {} }),
+        server.request("PATCH", `/riders/me/parcels/${parcelId}/reject`, { as: USERS.rider.email, body: {} }),
+      ]);
+    } finally {
+      collection.findOne = findOne;
+    }
+    const statuses = results.map((res) => res.status);
+
+    assert.deepEqual([...statuses].sort(), [200, 409]);
+
+    const parcel = await db.data.parcelsCollection.findOne({ _id: parcelId });
+    const winner = statuses[0] === 200 ? "accepted" : "rejected";
+    assert.equal(parcel.assignmentStatus, winner);
+    assert.equal(parcel.riderEmail, winner === "accepted" ? USERS.rider.email : null);
+    assert.equal(await db.data.auditLogsCollection.countDocuments({ action: /^parcel\.assignment\./ }), 1);
+  });
+
+  test("won't accept a parcel that was reassigned to another rider", async () => {
+    await seedUsers(db.data);
+    const parcelId = await insertParcel({ assignmentStatus: "pending", riderEmail: "someone-else@test.com" });
+
+    const res = await server.request("PATCH", `/riders/me/parcels/${parcelId}/accept`, {
+      as: USERS.rider.email,
+      body: {},
+    });
+
+    assert.equal(res.status, 403);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).assignmentStatus, "pending");
+  });
+
+  test("records the COD amount as paid and any extra cash separately", async () => {
+    await seedUsers(db.data);
+    sent.length = 0;
+    const parcelId = await insertParcel({ status: "picked_up", codStatus: "pending", codAmount: 150 });
+    const deliveryCode = await sendOutForDelivery(parcelId);
+
+    const res = await server.request("PATCH", `/riders/me/parcels/${parcelId}/deliver`, {
+      as: USERS.rider.email,
+      body: { deliveryCode, cashCollected: 200 },
+    });
+    assert.equal(res.status, 200);
+
+    const payment = await db.data.paymentsCollection.findOne({ parcelId, paymentMethod: "cod" });
+    assert.equal(payment.amountPaid, 150);
+    assert.equal(payment.cashCollected, 200);
+    assert.equal(payment.overCollected, 50);
+
+    const outstanding = await server.request("GET", `/admin/cod/outstanding/${USERS.rider.email}`, {
+      as: USERS.admin.email,
+    });
+    assert.equal(outstanding.status, 200);
+    assert.equal(outstanding.body.totalOutstanding, 150);
+  });
+
+  test("records the COD payment on retry when saving it failed after delivery", async () => {
+    await seedUsers(db.data);
+    sent.length = 0;
+    const parcelId = await insertParcel({ status: "picked_up", codStatus: "pending", codAmount: 150 });
+    const deliveryCode = await sendOutForDelivery(parcelId);
+
+    const collection = db.data.paymentsCollection;
+    const { insertOne } = collection;
+    collection.insertOne = async () => {
+      throw new Error("Connection reset");
+    };
+
+    let failed;
+    try {
+      failed = await server.request("PATCH", `/riders/me/parcels/${parcelId}/deliver`, {
+        as: USERS.rider.email,
+        body: { deliveryCode, cashCollected: 150 },
+      });
+    } finally {
+      collection.insertOne = insertOne;
+    }
+    assert.equal(failed.status, 500);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).status, "delivered");
+
+    for (let attempt = 0; attempt < 2; attempt++) {
+      const res = await server.request("PATCH", `/riders/me/parcels/${parcelId}/deliver`, {
+        as: USERS.rider.email,
+        body: {},
+      });
+      assert.equal(res.status, attempt === 0 ? 200 : 400);
+    }
+
+    const payments = await db.data.paymentsCollection.find({ parcelId, paymentMethod: "cod" }).toArray();
+    assert.equal(payments.length, 1);
+    assert.equal(payments[0].amountPaid, 150);
+    assert.equal((await db.data.parcelsCollection.findOne({ _id: parcelId })).pendingCodPayment, undefined);
+    assert.equal(await db.data.auditLogsCollection.countDocuments({ action: "payment.create" }), 1);
+  });
+
+  test("refuses delivery when less than the COD amount was collected", async () => {
+    await seedUsers(db.data);
+    sent.length = 0;
+    const parcelId = await insertParcel({ status: "picked_up", codStatus: "pending", codAmount: 150 });
+    const deliveryCode = await sendOutForDelivery(parcelId);
+
+    const res = await server.request("PATCH", `/riders/me/parcels/${parcelId}/deliver`, {
+      as: USERS.rider.email,
+      body: { deliveryCode, cashCollected: 100 },
+    });
+
+    assert.equal(res.status, 400);
+    assert.equal(res.body.codAmount, 150);
+    assert.equal(await db.data.paymentsCollection.countDocuments(), 0);
+  });
+});
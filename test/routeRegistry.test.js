@@ -0,0 +1,26 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const express = require("express");
+const { listRoutes, assertNoDuplicateRoutes } = require("../utils/routeRegistry");
+
+describe("route registry", () => {
+  const handler = (req, res) => res.end();
+
+  it("lists each method and path", () => {
+    const router = express.Router();
+    router.get("/parcels", handler);
+    router.route("/parcels/:id").get(handler).delete(handler);
+
+    assert.deepEqual(listRoutes([router]), ["GET /parcels", "GET /parcels/:id", "DELETE /parcels/:id"]);
+  });
+
+  it("fails when two routers register the same method and path", () => {
+    const users = express.Router();
+    users.get("/users/:email", handler);
+    const admin = express.Router();
+    admin.get("/users/:email", handler);
+    admin.patch("/users/:email", handler);
+
+    assert.throws(() => assertNoDuplicateRoutes([users, admin]), /Duplicate routes registered: GET \/users\/:email$/);
+  });
+});
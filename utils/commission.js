@@ -0,0 +1,31 @@
+// ==========================================
+// RIDER COMMISSION
+// ==========================================
+
+const { isSameDistrict } = require("./pricing");
+
+/**
+ * Used until an admin stores a rule in the commissionRules collection
+ * Riders earn a percentage of the parcel's delivery cost, never less than minimumPerParcel (BDT)
+ */
+const DEFAULT_COMMISSION_RULE = {
+  sameDistrictPercent: Number(process.env.DEFAULT_SAME_DISTRICT_COMMISSION) || 40,
+  interDistrictPercent: Number(process.env.DEFAULT_INTER_DISTRICT_COMMISSION) || 30,
+  minimumPerParcel: 20,
+};
+
+const roundBDT = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Commission a rider earns for delivering a parcel under a rule
+ * Returns { zone, percent, amount } - amount in BDT
+ */
+const calculateCommission = (parcel, rule) => {
+  const sameDistrict = isSameDistrict(parcel.senderDistrict, parcel.receiverDistrict);
+  const percent = sameDistrict ? rule.sameDistrictPercent : rule.interDistrictPercent;
+  const amount = roundBDT(Math.max(((Number(parcel.cost) || 0) * percent) / 100, rule.minimumPerParcel || 0));
+
+  return { zone: sameDistrict ? "sameDistrict" : "interDistrict", percent, amount };
+};
+
+module.exports = { DEFAULT_COMMISSION_RULE, roundBDT, calculateCommission };
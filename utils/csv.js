@@ -0,0 +1,68 @@
+// ==========================================
+// CSV EXPORT
+// ==========================================
+
+// Spreadsheet apps run cells starting with these as formulas
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Quote a single CSV cell (RFC 4180)
+ * Text that looks like a formula is prefixed with ' so Excel shows it as text
+ */
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return "";
+
+  let text = value instanceof Date ? value.toISOString() : String(value);
+
+  if (typeof value === "string" && FORMULA_PREFIX.test(text)) {
+    text = `'${text}`;
+  }
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsvRow = (values) => values.map(toCsvCell).join(",") + "\r\n";
+
+// Resolves once the socket buffer empties, rejects if the client goes away first
+const waitForDrain = (res) =>
+  new Promise((resolve, reject) => {
+    const onDrain = () => {
+      res.off("close", onClose);
+      resolve();
+    };
+    const onClose = () => {
+      res.off("drain", onDrain);
+      reject(new Error("Client closed the connection during export"));
+    };
+    res.once("drain", onDrain);
+    res.once("close", onClose);
+  });
+
+/**
+ * Stream a MongoDB cursor to the response as a CSV download
+ * columns: [{ header, value: (doc) => cellValue }]
+ * Rows are written as documents arrive, waiting for the client when the socket buffer is full
+ * Once rows are flowing, errors can't become a JSON response - callers should destroy the socket
+ */
+const streamCsv = async (res, cursor, columns, filename) => {
+  res.status(200);
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+
+  // BOM so Excel opens the file as UTF-8 (district names, → in routes)
+  res.write("\uFEFF" + toCsvRow(columns.map((column) => column.header)));
+
+  try {
+    for await (const doc of cursor) {
+      if (!res.write(toCsvRow(columns.map((column) => column.value(doc))))) {
+        await waitForDrain(res);
+      }
+    }
+  } finally {
+    await cursor.close();
+  }
+
+  res.end();
+};
+
+module.exports = { toCsvCell, toCsvRow, streamCsv };
@@ -0,0 +1,42 @@
+// ==========================================
+// CURRENCY CONVERSION
+// ==========================================
+
+// Used until an admin stores a rate in the exchangeRates collection
+const DEFAULT_BDT_PER_USD = Number(process.env.DEFAULT_BDT_PER_USD) || 110;
+
+// Currencies we can charge through Stripe
+// "bdt" requires a Stripe account that supports charging in Taka
+const SUPPORTED_CHARGE_CURRENCIES = ["usd", "bdt"];
+
+/**
+ * Currency Stripe Checkout sessions are created in (STRIPE_CHARGE_CURRENCY, default "usd")
+ */
+const getChargeCurrency = () => {
+  const currency = (process.env.STRIPE_CHARGE_CURRENCY || "usd").toLowerCase();
+  return SUPPORTED_CHARGE_CURRENCIES.includes(currency) ? currency : "usd";
+};
+
+/**
+ * Convert a BDT amount to the smallest unit of the charge currency
+ * Stripe requires amounts in cents/poisha
+ */
+const toChargeUnitAmount = (amountBDT, currency, bdtPerUsd) => {
+  if (currency === "bdt") {
+    return Math.round(amountBDT * 100);
+  }
+  return Math.round((amountBDT / bdtPerUsd) * 100);
+};
+
+/**
+ * Convert a BDT amount to USD, rounded to cents
+ */
+const bdtToUSD = (amountBDT, bdtPerUsd) => Math.round((amountBDT / bdtPerUsd) * 100) / 100;
+
+module.exports = {
+  DEFAULT_BDT_PER_USD,
+  SUPPORTED_CHARGE_CURRENCIES,
+  getChargeCurrency,
+  toChargeUnitAmount,
+  bdtToUSD,
+};
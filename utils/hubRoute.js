@@ -0,0 +1,48 @@
+// ==========================================
+// HUB ROUTE PLANNING
+// ==========================================
+// Parcels move hub-and-spoke:
+//   origin warehouse -> origin division hub -> destination division hub -> destination warehouse
+// A warehouse serves the districts it's in or is listed for; a division hub is preferred when
+// it lists the district, otherwise any hub in the same division is used.
+
+const HUB_TYPES = ["hub", "warehouse"];
+
+const servesDistrict = (hub, districtName) =>
+  hub.district === districtName || (hub.servedDistricts || []).includes(districtName);
+
+const findWarehouse = (hubs, district) =>
+  hubs.find((hub) => hub.type === "warehouse" && servesDistrict(hub, district.name)) || null;
+
+const findDivisionHub = (hubs, district) =>
+  hubs.find((hub) => hub.type === "hub" && servesDistrict(hub, district.name)) ||
+  hubs.find((hub) => hub.type === "hub" && hub.division === district.division) ||
+  null;
+
+// What a parcel stores for each stop on its route
+const toRouteStop = (hub) => ({ code: hub.code, name: hub.name, type: hub.type, district: hub.district });
+
+/**
+ * Plan the hub sequence between two districts
+ * hubs: active hubs and warehouses; origin/destination: district documents ({ name, division })
+ * Missing legs are skipped (e.g. a district without a warehouse is served straight from its
+ * division hub) and no hub appears twice in a row. Returns [] when no hub serves either end
+ */
+const planHubRoute = (hubs, origin, destination) => {
+  const stops =
+    origin.name === destination.name
+      ? [findWarehouse(hubs, origin) || findDivisionHub(hubs, origin)]
+      : [
+          findWarehouse(hubs, origin),
+          findDivisionHub(hubs, origin),
+          findDivisionHub(hubs, destination),
+          findWarehouse(hubs, destination),
+        ];
+
+  return stops
+    .filter(Boolean)
+    .filter((hub, index, list) => index === 0 || hub.code !== list[index - 1].code)
+    .map(toRouteStop);
+};
+
+module.exports = { HUB_TYPES, planHubRoute };
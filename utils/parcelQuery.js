@@ -0,0 +1,213 @@
+// ==========================================
+// LISTING QUERIES (PARCELS, PAYMENTS, AUDIT LOGS)
+// ==========================================
+
+const { parseRangeDate } = require("./reportRange");
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const SORTABLE_FIELDS = ["createdAt", "updatedAt", "cost", "status", "paidAt"];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+// "paid,delivered" -> ["paid", "delivered"]
+const toList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+/**
+ * Add a [from, to) range on a timestamp field to filter
+ * Dates are read like report ranges, so to=2026-10-31 includes all of the 31st in Dhaka
+ * Returns an error message for an unparseable date, otherwise null
+ */
+const addDateRange = (filter, field, query) => {
+  if (!query.from && !query.to) return null;
+
+  filter[field] = {};
+
+  for (const [param, operator] of [
+    ["from", "$gte"],
+    ["to", "$lt"],
+  ]) {
+    if (!query[param]) continue;
+
+    const date = parseRangeDate(param, String(query[param]));
+    if (isNaN(date.getTime())) {
+      return `Invalid '${param}' date`;
+    }
+    // Timestamps are stored as ISO strings, so compare as strings
+    filter[field][operator] = date.toISOString();
+  }
+
+  return null;
+};
+
+/**
+ * Build a MongoDB filter from listing query params
+ * status, paymentMethod: comma separated lists
+ * senderDistrict, receiverDistrict, district (either end), riderEmail: exact match
+ * from, to: createdAt date range
+ * search: parcel name, receiver name or tracking number (case-insensitive)
+ * Returns { filter } or { error }
+ */
+const buildParcelFilter = (query) => {
+  const filter = {};
+  const and = [];
+
+  if (query.status) {
+    filter.status = { $in: toList(query.status) };
+  }
+
+  if (query.paymentMethod) {
+    filter.paymentMethod = { $in: toList(query.paymentMethod) };
+  }
+
+  if (query.senderDistrict) {
+    filter.senderDistrict = query.senderDistrict;
+  }
+
+  if (query.receiverDistrict) {
+    filter.receiverDistrict = query.receiverDistrict;
+  }
+
+  if (query.district) {
+    and.push({ $or: [{ senderDistrict: query.district }, { receiverDistrict: query.district }] });
+  }
+
+  if (query.riderEmail) {
+    filter.riderEmail = query.riderEmail;
+  }
+
+  const dateError = addDateRange(filter, "createdAt", query);
+  if (dateError) {
+    return { error: dateError };
+  }
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), "i");
+    and.push({ $or: [{ parcelName: pattern }, { receiverName: pattern }, { tracking_no: pattern }] });
+  }
+
+  if (and.length > 0) {
+    filter.$and = and;
+  }
+
+  return { filter };
+};
+
+/**
+ * Build a MongoDB filter from payment listing query params
+ * paymentMethod, paymentStatus: comma separated lists
+ * email: payer email
+ * from, to: paidAt date range
+ * search: tracking number, parcel name or payer name (case-insensitive)
+ * Returns { filter } or { error }
+ */
+const buildPaymentFilter = (query) => {
+  const filter = {};
+
+  if (query.paymentMethod) {
+    filter.paymentMethod = { $in: toList(query.paymentMethod) };
+  }
+
+  if (query.paymentStatus) {
+    filter.paymentStatus = { $in: toList(query.paymentStatus) };
+  }
+
+  if (query.email) {
+    filter.userId = query.email;
+  }
+
+  const dateError = addDateRange(filter, "paidAt", query);
+  if (dateError) {
+    return { error: dateError };
+  }
+
+  if (query.search) {
+    const pattern = new RegExp(escapeRegex(String(query.search).trim()), "i");
+    filter.$or = [{ trackingNumber: pattern }, { parcelName: pattern }, { userName: pattern }];
+  }
+
+  return { filter };
+};
+
+/**
+ * Build a MongoDB filter from audit log query params
+ * action: comma separated list, a trailing ".*" matches a prefix (e.g. "user.*")
+ * actorEmail, targetType, targetId, ip: exact match
+ * from, to: createdAt date range
+ * Returns { filter } or { error }
+ */
+const buildAuditFilter = (query) => {
+  const filter = {};
+
+  if (query.action) {
+    const actions = toList(query.action).map((action) =>
+      action.endsWith(".*") ? new RegExp(`^${escapeRegex(action.slice(0, -1))}`) : action
+    );
+    filter.action = { $in: actions };
+  }
+
+  if (query.actorEmail) {
+    filter["actor.email"] = query.actorEmail;
+  }
+
+  if (query.targetType) {
+    filter["target.type"] = query.targetType;
+  }
+
+  if (query.targetId) {
+    filter["target.id"] = query.targetId;
+  }
+
+  if (query.ip) {
+    filter.ip = query.ip;
+  }
+
+  const dateError = addDateRange(filter, "createdAt", query);
+  if (dateError) {
+    return { error: dateError };
+  }
+
+  return { filter };
+};
+
+/**
+ * Read page, limit, sort and order query params
+ * Returns { page, limit, skip, sort } or { error }
+ */
+const buildPagination = (query) => {
+  const page = query.page === undefined ? 1 : Number(query.page);
+  const limit = query.limit === undefined ? DEFAULT_PAGE_SIZE : Number(query.limit);
+
+  if (!Number.isInteger(page) || page < 1) {
+    return { error: "page must be a positive integer" };
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+    return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const sortField = query.sort || "createdAt";
+  if (!SORTABLE_FIELDS.includes(sortField)) {
+    return { error: `sort must be one of: ${SORTABLE_FIELDS.join(", ")}` };
+  }
+
+  const order = query.order === "asc" ? 1 : -1;
+
+  // _id as a tie-breaker keeps pages stable when sort values are equal
+  return { page, limit, skip: (page - 1) * limit, sort: { [sortField]: order, _id: order } };
+};
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  SORTABLE_FIELDS,
+  escapeRegex,
+  buildParcelFilter,
+  buildPaymentFilter,
+  buildAuditFilter,
+  buildPagination,
+};
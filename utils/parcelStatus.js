@@ -0,0 +1,153 @@
+// ==========================================
+// PARCEL DELIVERY LIFECYCLE
+// ==========================================
+
+/**
+ * All statuses a parcel can be in
+ * "unpaid" and "paid" are kept for compatibility with existing documents
+ * "cod_pending" = booked as cash on delivery, cash is collected by the rider on delivery
+ */
+const PARCEL_STATUSES = [
+  "unpaid",
+  "paid",
+  "cod_pending",
+  "picked_up",
+  "in_transit",
+  "out_for_delivery",
+  "delivered",
+  "returned",
+  "cancelled",
+];
+
+/**
+ * Allowed transitions: current status -> next status -> roles allowed to make it
+ * "system" is used for server-driven changes (e.g. payment confirmation)
+ */
+const TRANSITIONS = {
+  unpaid: {
+    paid: ["system"],
+    cod_pending: ["system"],
+    cancelled: ["sender", "admin"],
+  },
+  paid: {
+    picked_up: ["rider", "admin"],
+    cancelled: ["admin"],
+  },
+  cod_pending: {
+    picked_up: ["rider", "admin"],
+    cancelled: ["sender", "admin"],
+  },
+  picked_up: {
+    in_transit: ["rider", "hub_staff", "admin"], // hub_staff: first hub scan-in
+    out_for_delivery: ["rider", "admin"],
+  },
+  in_transit: {
+    out_for_delivery: ["rider", "admin"],
+    returned: ["admin"],
+  },
+  out_for_delivery: {
+    delivered: ["rider", "admin"],
+    returned: ["rider", "admin"],
+  },
+  delivered: {},
+  returned: {},
+  cancelled: {},
+};
+
+/**
+ * Human readable descriptions shown on the public tracking timeline
+ */
+const STATUS_LABELS = {
+  unpaid: "Parcel booked, awaiting payment",
+  paid: "Payment received, awaiting pickup",
+  cod_pending: "Booked for cash on delivery, awaiting pickup",
+  picked_up: "Parcel picked up by rider",
+  in_transit: "Parcel in transit",
+  out_for_delivery: "Out for delivery",
+  delivered: "Parcel delivered",
+  returned: "Parcel returned to sender",
+  cancelled: "Parcel cancelled",
+};
+
+const isValidStatus = (status) => PARCEL_STATUSES.includes(status);
+
+/**
+ * Check if a role may move a parcel from one status to another
+ */
+const canTransition = (from, to, role) => {
+  const allowedRoles = TRANSITIONS[from]?.[to];
+  return Array.isArray(allowedRoles) && allowedRoles.includes(role);
+};
+
+/**
+ * List the statuses a role can move a parcel to from its current status
+ */
+const getAllowedTransitions = (from, role) => {
+  const next = TRANSITIONS[from] || {};
+  return Object.keys(next).filter((status) => next[status].includes(role));
+};
+
+/**
+ * Build a timestamped entry for a parcel's statusHistory array
+ * location is set for hub scans: { scan: "in" | "out", hubCode, hubName, district }
+ */
+const buildHistoryEntry = ({
+  status,
+  previousStatus = null,
+  actorEmail = null,
+  actorRole,
+  note = null,
+  location = null,
+}) => ({
+  status,
+  previousStatus,
+  actorEmail,
+  actorRole,
+  note,
+  ...(location && { location }),
+  timestamp: new Date().toISOString(),
+});
+
+// Timeline text for an entry - hub scans describe where the parcel is
+const describeEntry = (entry) => {
+  if (entry.location?.scan === "in") return `Arrived at ${entry.location.hubName}, ${entry.location.district}`;
+  if (entry.location?.scan === "out") return `Departed ${entry.location.hubName}, ${entry.location.district}`;
+  return STATUS_LABELS[entry.status] || entry.status;
+};
+
+/**
+ * Build a chronological, public-safe event timeline for a parcel
+ * Status notes are left out - they're written by staff and riders, not for whoever has the tracking number
+ * Falls back to createdAt/paidAt for parcels created before statusHistory existed
+ */
+const buildTimeline = (parcel) => {
+  let history = parcel.statusHistory || [];
+
+  if (history.length === 0) {
+    history = [{ status: "unpaid", timestamp: parcel.createdAt }];
+    if (parcel.paidAt) {
+      history.push({ status: "paid", timestamp: parcel.paidAt });
+    }
+  }
+
+  return history
+    .filter((entry) => entry.timestamp)
+    .map((entry) => ({
+      status: entry.status,
+      description: describeEntry(entry),
+      location: entry.location?.district || null,
+      timestamp: entry.timestamp,
+    }))
+    .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+};
+
+module.exports = {
+  PARCEL_STATUSES,
+  TRANSITIONS,
+  STATUS_LABELS,
+  isValidStatus,
+  canTransition,
+  getAllowedTransitions,
+  buildHistoryEntry,
+  buildTimeline,
+};
@@ -0,0 +1,39 @@
+// ==========================================
+// BANGLADESHI PHONE NUMBERS
+// ==========================================
+
+// Local mobile format: 01 + operator digit (3-9) + 8 digits, e.g. 01712345678
+const LOCAL_MOBILE = /^01[3-9]\d{8}$/;
+
+/**
+ * Normalise a Bangladeshi mobile number to E.164 (+8801XXXXXXXXX)
+ * Accepts 01712345678, 1712345678, 8801712345678, +880 1712-345678, 00880 1712 345678, ...
+ * Returns null if it isn't a valid Bangladeshi mobile number
+ */
+const normalizeBDPhone = (input) => {
+  if (typeof input !== "string" && typeof input !== "number") return null;
+
+  let digits = String(input).replace(/[\s\-().]/g, "");
+
+  if (digits.startsWith("+")) digits = digits.slice(1);
+  if (digits.startsWith("00")) digits = digits.slice(2);
+  if (!/^\d+$/.test(digits)) return null;
+
+  if (digits.startsWith("880")) digits = digits.slice(3);
+  if (digits.length === 10 && digits.startsWith("1")) digits = `0${digits}`;
+
+  return LOCAL_MOBILE.test(digits) ? `+88${digits}` : null;
+};
+
+/**
+ * Every stored form a number may have - parcels saved before normalisation keep the raw value
+ */
+const phoneVariants = (input) => {
+  const normalized = normalizeBDPhone(input);
+  if (!normalized) return [String(input)];
+
+  const local = normalized.slice(3); // 01712345678
+  return [...new Set([normalized, local, normalized.slice(1), String(input)])];
+};
+
+module.exports = { normalizeBDPhone, phoneVariants };
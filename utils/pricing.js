@@ -0,0 +1,119 @@
+// ==========================================
+// DELIVERY PRICING ENGINE
+// ==========================================
+
+/**
+ * Delivery rates in BDT
+ * Same-district = sender and receiver in the same district
+ */
+const PRICING_RULES = {
+  document: {
+    sameDistrict: 60,
+    interDistrict: 80,
+  },
+  nonDocument: {
+    baseWeightKg: 3,
+    sameDistrict: 110,
+    interDistrict: 150,
+    extraPerKg: 40, // Charged per kg (rounded up) above baseWeightKg
+    interDistrictSurcharge: 40, // Extra flat charge for overweight inter-district parcels
+  },
+};
+
+const PARCEL_TYPES = ["document", "non-document"];
+
+const normalizeDistrict = (district) => (district || "").toString().trim().toLowerCase();
+
+const isSameDistrict = (senderDistrict, receiverDistrict) =>
+  normalizeDistrict(senderDistrict) === normalizeDistrict(receiverDistrict);
+
+/**
+ * Validate the parcel attributes needed to price a delivery
+ * Returns an error message, or null when the input can be priced
+ */
+const getPricingError = ({ parcelType, parcelWeight, senderDistrict, receiverDistrict } = {}) => {
+  if (!PARCEL_TYPES.includes(parcelType)) {
+    return "Parcel type must be 'document' or 'non-document'";
+  }
+
+  if (!normalizeDistrict(senderDistrict) || !normalizeDistrict(receiverDistrict)) {
+    return "Sender and receiver districts are required";
+  }
+
+  if (parcelType === "non-document") {
+    const weight = Number(parcelWeight);
+    if (!Number.isFinite(weight) || weight <= 0) {
+      return "Parcel weight must be a positive number for non-document parcels";
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Calculate delivery cost in BDT from parcel attributes
+ * Call getPricingError first - this assumes the input is valid
+ */
+const calculateDeliveryCost = ({ parcelType, parcelWeight, senderDistrict, receiverDistrict }) => {
+  const sameDistrict = isSameDistrict(senderDistrict, receiverDistrict);
+  const zone = sameDistrict ? "sameDistrict" : "interDistrict";
+
+  if (parcelType === "document") {
+    const baseCharge = PRICING_RULES.document[zone];
+    return {
+      cost: baseCharge,
+      currency: "BDT",
+      breakdown: {
+        parcelType,
+        zone,
+        baseCharge,
+        extraWeightKg: 0,
+        extraWeightCharge: 0,
+        surcharge: 0,
+      },
+    };
+  }
+
+  const rules = PRICING_RULES.nonDocument;
+  const weight = Number(parcelWeight);
+  const baseCharge = rules[zone];
+  const extraWeightKg = Math.max(0, Math.ceil(weight - rules.baseWeightKg));
+  const extraWeightCharge = extraWeightKg * rules.extraPerKg;
+  const surcharge = extraWeightKg > 0 && !sameDistrict ? rules.interDistrictSurcharge : 0;
+
+  return {
+    cost: baseCharge + extraWeightCharge + surcharge,
+    currency: "BDT",
+    breakdown: {
+      parcelType,
+      zone,
+      weightKg: weight,
+      baseCharge,
+      extraWeightKg,
+      extraWeightCharge,
+      surcharge,
+    },
+  };
+};
+
+/**
+ * Compute the price of a stored parcel from its own attributes
+ * Payment routes charge this amount - never an amount sent by the client
+ * Returns { cost, breakdown } or { error }
+ */
+const getParcelPrice = (parcel) => {
+  const pricingError = getPricingError(parcel);
+  if (pricingError) {
+    return { error: `Parcel cannot be priced: ${pricingError}` };
+  }
+  return calculateDeliveryCost(parcel);
+};
+
+module.exports = {
+  PRICING_RULES,
+  PARCEL_TYPES,
+  isSameDistrict,
+  getPricingError,
+  calculateDeliveryCost,
+  getParcelPrice,
+};
@@ -0,0 +1,101 @@
+const PDFDocument = require("pdfkit");
+const { REPORT_TIMEZONE } = require("./reportRange");
+
+// ==========================================
+// PAYMENT RECEIPTS
+// ==========================================
+
+const PAYMENT_METHOD_LABELS = {
+  stripe: "Card (Stripe)",
+  cod: "Cash on delivery",
+};
+
+// Built-in PDF fonts only cover Latin-1, so spell out the symbols we store
+const toPdfText = (value) =>
+  String(value ?? "-")
+    .replace(/→/g, "to")
+    .replace(/৳/g, "BDT ");
+
+const formatDhakaTime = (timestamp) =>
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: REPORT_TIMEZONE,
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(timestamp)) + " (Dhaka)";
+
+const formatBDT = (amount) => `BDT ${Number(amount || 0).toFixed(2)}`;
+const formatUSD = (amount) => `USD ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Label/value rows shown on a receipt, built from the stored payment record only
+ */
+const buildReceiptLines = (payment) => {
+  const card = payment.paymentDetails || {};
+  const lines = [
+    ["Receipt no.", payment._id.toString()],
+    ["Paid on", formatDhakaTime(payment.paidAt || payment.createdAt)],
+    ["Paid by", `${payment.userName || ""} <${payment.userId}>`.trim()],
+    ["Tracking number", payment.trackingNumber],
+    ["Parcel", payment.parcelName],
+    ["Route", payment.route],
+    ["Payment method", PAYMENT_METHOD_LABELS[payment.paymentMethod] || payment.paymentMethod],
+  ];
+
+  if (card.last4) {
+    lines.push(["Card", `${(card.brand || "card").toUpperCase()} ending ${card.last4}`]);
+  }
+
+  if (payment.stripeTransactionId) {
+    lines.push(["Transaction ID", payment.stripeTransactionId]);
+  }
+
+  lines.push(
+    ["Amount (BDT)", formatBDT(payment.amount)],
+    ["Amount (USD)", formatUSD(payment.amountPaidUSD)],
+    ["Exchange rate", `${payment.exchangeRate} BDT per USD`]
+  );
+
+  if (payment.currency && payment.currency !== "usd" && payment.amountPaid !== undefined) {
+    lines.push(["Charged", `${payment.currency.toUpperCase()} ${Number(payment.amountPaid).toFixed(2)}`]);
+  }
+
+  if (payment.amountRefunded) {
+    lines.push(
+      ["Refunded (BDT)", formatBDT(payment.amountRefundedBDT)],
+      ["Refunded (USD)", formatUSD(payment.amountRefundedUSD)]
+    );
+  }
+
+  lines.push(["Status", payment.paymentStatus]);
+
+  return lines;
+};
+
+/**
+ * Render a PDF receipt for a payment record into a writable stream (e.g. the response)
+ */
+const writePaymentReceipt = (payment, stream) => {
+  const doc = new PDFDocument({ size: "A4", margin: 50, info: { Title: `Receipt ${payment.trackingNumber}` } });
+  doc.pipe(stream);
+
+  doc.font("Helvetica-Bold").fontSize(20).text("Uni Ship");
+  doc.font("Helvetica").fontSize(12).fillColor("#555").text("Payment receipt");
+  doc.moveDown(1.5).fillColor("#000");
+
+  for (const [label, value] of buildReceiptLines(payment)) {
+    const y = doc.y;
+    doc.font("Helvetica-Bold").fontSize(11).text(label, 50, y, { width: 150 });
+    doc.font("Helvetica").text(toPdfText(value), 210, y, { width: 335 });
+    doc.moveDown(0.6);
+  }
+
+  doc.moveDown(2);
+  doc
+    .fontSize(9)
+    .fillColor("#777")
+    .text("This receipt was generated from our payment records and is valid without a signature.", 50);
+
+  doc.end();
+};
+
+module.exports = { buildReceiptLines, writePaymentReceipt };
@@ -0,0 +1,80 @@
+// ==========================================
+// REPORTING DATE RANGES
+// ==========================================
+
+// Reports are bucketed by the local calendar in Bangladesh
+const REPORT_TIMEZONE = "Asia/Dhaka";
+
+// Bangladesh has no daylight saving, so local midnight is always UTC+6
+const REPORT_UTC_OFFSET = "+06:00";
+
+const GRANULARITIES = ["day", "week", "month"];
+
+// Bangladeshi weeks run Saturday to Friday
+const WEEK_START = "saturday";
+
+// Used when a report is requested without a from date
+const DEFAULT_RANGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Today's date in Dhaka as YYYY-MM-DD
+ */
+const getLocalDate = (date = new Date()) =>
+  new Intl.DateTimeFormat("en-CA", { timeZone: REPORT_TIMEZONE }).format(date);
+
+// "2026-10-01" -> 2026-09-30T18:00:00.000Z (midnight in Dhaka)
+const startOfLocalDay = (localDate) => new Date(`${localDate}T00:00:00${REPORT_UTC_OFFSET}`);
+
+/**
+ * Read a from/to query param as the start or (exclusive) end of a range
+ * Plain dates (YYYY-MM-DD) are whole days in Dhaka, so to=2026-10-31 includes all of the 31st
+ * Full timestamps are used as given
+ */
+const parseRangeDate = (param, value) => {
+  if (DATE_ONLY.test(value)) {
+    const date = startOfLocalDay(value);
+    // The end of a plain date is the following midnight
+    return param === "to" ? new Date(date.getTime() + DAY_MS) : date;
+  }
+  return new Date(value);
+};
+
+/**
+ * Read from/to query params into a [start, end) range (see parseRangeDate)
+ * Defaults to the last 30 days, ending today
+ * Returns { start, end } as ISO strings (to compare with stored timestamps) or { error }
+ */
+const parseReportRange = (query) => {
+  const today = startOfLocalDay(getLocalDate());
+
+  const end = query.to ? parseRangeDate("to", String(query.to)) : new Date(today.getTime() + DAY_MS);
+  if (isNaN(end.getTime())) {
+    return { error: "Invalid 'to' date" };
+  }
+
+  const start = query.from
+    ? parseRangeDate("from", String(query.from))
+    : new Date(end.getTime() - DEFAULT_RANGE_DAYS * DAY_MS);
+  if (isNaN(start.getTime())) {
+    return { error: "Invalid 'from' date" };
+  }
+
+  if (start >= end) {
+    return { error: "'from' must be before 'to'" };
+  }
+
+  return { start: start.toISOString(), end: end.toISOString() };
+};
+
+module.exports = {
+  REPORT_TIMEZONE,
+  GRANULARITIES,
+  WEEK_START,
+  getLocalDate,
+  startOfLocalDay,
+  parseRangeDate,
+  parseReportRange,
+};
@@ -0,0 +1,39 @@
+// ==========================================
+// ROUTE REGISTRY CHECKS
+// ==========================================
+
+/**
+ * List "METHOD /path" for every route registered on the given routers
+ */
+const listRoutes = (routers) =>
+  routers.flatMap((router) =>
+    router.stack
+      .filter((layer) => layer.route)
+      .flatMap((layer) =>
+        Object.keys(layer.route.methods)
+          .filter((method) => method !== "_all")
+          .map((method) => `${method.toUpperCase()} ${layer.route.path}`)
+      )
+  );
+
+/**
+ * Fail startup if the same method + path is registered more than once
+ * Express silently serves the first registration, so any later copy is dead code
+ */
+const assertNoDuplicateRoutes = (routers) => {
+  const seen = new Set();
+  const duplicates = new Set();
+
+  listRoutes(routers).forEach((route) => {
+    if (seen.has(route)) {
+      duplicates.add(route);
+    }
+    seen.add(route);
+  });
+
+  if (duplicates.size > 0) {
+    throw new Error(`Duplicate routes registered: ${[...duplicates].join(", ")}`);
+  }
+};
+
+module.exports = { listRoutes, assertNoDuplicateRoutes };